@@ -12,6 +12,7 @@
 import * as tf from '@tensorflow/tfjs';
 import callCallback from '../utils/callcallback';
 import p5Utils from '../utils/p5Utils';
+import { randomTfSeed } from '../utils/random';
 
 class Cvae {
   /**
@@ -27,7 +28,7 @@ class Cvae {
      */
     this.ready = false;
     this.model = {};
-    this.latentDim = tf.randomUniform([1, 16]);
+    this.latentDim = tf.randomUniform([1, 16], 0, 1, 'float32', randomTfSeed());
     this.modelPath = modelPath;
     this.modelPathPrefix = '';
 
@@ -77,7 +78,7 @@ class Cvae {
 
   async generateInternal(label) {
     const res = tf.tidy(() => {
-      this.latentDim = tf.randomUniform([1, 16]);
+      this.latentDim = tf.randomUniform([1, 16], 0, 1, 'float32', randomTfSeed());
       const cursor = this.labels.indexOf(label);
       if (cursor < 0) {
         console.log('Wrong input of the label!');
@@ -0,0 +1,213 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/* eslint "no-param-reassign": [2, { "props": false }] */
+/*
+DBSCAN: Density-Based Spatial Clustering of Applications with Noise (with Euclidian distance).
+The points with at least minPoints points within eps are core points. A cluster grows from
+a core point to all of the points within eps of its core points. The other points are noise.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import callCallback from '../utils/callcallback';
+import {
+  CHUNK_SIZE,
+  loadDataset,
+  getSquaredDistances,
+  getMembers,
+  pointsToTensor,
+} from '../utils/clustering';
+
+const DEFAULTS = {
+  eps: 0.5,
+  minPoints: 5,
+};
+
+// the cluster of the points that do not belong to any cluster
+const NOISE = -1;
+
+class DBSCAN {
+  /**
+   * Create a DBSCAN.
+   * @param {String || array || object} dataset - The dataset to cluster.
+   * @param {options} options - An object describing a model's parameters:
+   *    - eps: the distance within which points are neighbors
+   *    - minPoints: the number of neighbors of a core point, including the point itself
+   * @param {function} callback  - Optional. A callback to be called once
+   *    the model has loaded. If no callback is provided, it will return a
+   *    promise that will be resolved once the model has loaded.
+   */
+  constructor(dataset, options = {}, callback) {
+    this.config = {
+      eps: options.eps || DEFAULTS.eps,
+      minPoints: options.minPoints || DEFAULTS.minPoints,
+    };
+
+    // the number of clusters and of the points that are noise
+    this.clusters = 0;
+    this.noise = 0;
+    this.centroids = null;
+    this.ready = callCallback(this.load(dataset), callback);
+  }
+
+  /**
+   * Load dataset and find the clusters.
+   * @param {string || array || object} dataset
+   */
+  async load(dataset) {
+    this.dataset = await loadDataset(dataset);
+    this.dispose();
+    this.dataTensor = tf.tensor2d(this.dataset);
+    this.fit();
+
+    return this;
+  }
+
+  /**
+   * Find the clusters. The cluster of every point is stored as its
+   *   centroid property, -1 for noise.
+   */
+  fit() {
+    const neighbors = this.getNeighbors();
+    const isCore = neighbors.map(n => n.length >= this.config.minPoints);
+    const labels = new Array(this.dataset.length).fill(NOISE);
+
+    let clusters = 0;
+    for (let i = 0; i < this.dataset.length; i += 1) {
+      if (labels[i] === NOISE && isCore[i]) {
+        DBSCAN.expandCluster(i, clusters, labels, neighbors, isCore);
+        clusters += 1;
+      }
+    }
+
+    this.dataset.forEach((d, idx) => {
+      d.centroid = labels[idx];
+      d.isCore = isCore[idx];
+    });
+    this.clusters = clusters;
+    this.noise = labels.filter(label => label === NOISE).length;
+
+    // the core points decide the cluster of new points
+    const coreIndices = [];
+    isCore.forEach((core, idx) => {
+      if (core) coreIndices.push(idx);
+    });
+    this.coreLabels = coreIndices.map(idx => labels[idx]);
+    this.coreTensor =
+      coreIndices.length > 0
+        ? tf.tidy(() => this.dataTensor.gather(tf.tensor1d(coreIndices, 'int32')))
+        : null;
+    this.centroids = clusters > 0 ? this.getCentroids(labels) : null;
+  }
+
+  /**
+   * The indices of the points within eps of every point.
+   * @return {array} an array of arrays of indices
+   */
+  getNeighbors() {
+    const count = this.dataset.length;
+    const epsSquared = this.config.eps ** 2;
+    const neighbors = [];
+
+    for (let start = 0; start < count; start += CHUNK_SIZE) {
+      const size = Math.min(CHUNK_SIZE, count - start);
+      const rows = this.dataTensor.slice(start, size);
+      const within = tf.tidy(() => getSquaredDistances(rows, this.dataTensor).lessEqual(epsSquared));
+      const values = within.dataSync();
+      tf.dispose([rows, within]);
+
+      for (let i = 0; i < size; i += 1) {
+        const row = [];
+        for (let j = 0; j < count; j += 1) {
+          if (values[i * count + j]) row.push(j);
+        }
+        neighbors.push(row);
+      }
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * The mean of the points of every cluster, without the noise.
+   * @param {array} labels - the cluster of every point
+   * @return {tf.tensor} a tensor of the shape [clusters, dimensions]
+   */
+  getCentroids(labels) {
+    return tf.tidy(() => {
+      // the noise is -1 which is all zeros in the one hot encoding
+      const members = getMembers(labels, this.clusters);
+      const sums = members.transpose().matMul(this.dataTensor);
+      return sums.div(members.sum(0).expandDims(1));
+    });
+  }
+
+  /**
+   * Assing `value` to the cluster of its closest core point, or -1
+   *   if there is no core point within eps. An array of values
+   *   is assigned all at once and returns the cluster of every value.
+   * @param {array || object} value
+   */
+  classify(value) {
+    const { tensor, isBatch } = pointsToTensor(value);
+    let result;
+    if (this.coreTensor === null) {
+      result = new Array(tensor.shape[0]).fill(NOISE);
+    } else {
+      const [closest, distances] = tf.tidy(() => {
+        const squaredDistances = getSquaredDistances(tensor, this.coreTensor);
+        return [squaredDistances.argMin(1), squaredDistances.min(1)];
+      });
+      const indices = closest.dataSync();
+      const values = distances.dataSync();
+      tf.dispose([closest, distances]);
+
+      const epsSquared = this.config.eps ** 2;
+      result = Array.from(indices).map((idx, i) =>
+        values[i] <= epsSquared ? this.coreLabels[idx] : NOISE,
+      );
+    }
+    tensor.dispose();
+
+    return isBatch ? result : result[0];
+  }
+
+  /**
+   * Dispose the tensors of the data, the core points and the centroids.
+   */
+  dispose() {
+    tf.dispose([this.dataTensor, this.coreTensor, this.centroids]);
+  }
+
+  /**
+   * Adds all of the points that can be reached from a core point to its cluster.
+   * @param {number} start - the index of the core point
+   * @param {number} cluster - the index of the cluster
+   * @param {array} labels - the cluster of every point, changed in place
+   * @param {array} neighbors - the neighbors of every point
+   * @param {array} isCore - whether every point is a core point
+   */
+  static expandCluster(start, cluster, labels, neighbors, isCore) {
+    labels[start] = cluster;
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const point = queue.pop();
+      // only the core points spread the cluster to their neighbors
+      if (isCore[point]) {
+        neighbors[point].forEach(neighbor => {
+          if (labels[neighbor] === NOISE) {
+            labels[neighbor] = cluster;
+            queue.push(neighbor);
+          }
+        });
+      }
+    }
+  }
+}
+
+const dbscan = (dataset, options, callback) => new DBSCAN(dataset, options, callback);
+
+export default dbscan;
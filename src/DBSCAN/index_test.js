@@ -0,0 +1,38 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { dbscan } = ml5;
+
+const DATA = [
+  [0, 0], [0, 1], [1, 0], [1, 1],
+  [10, 10], [10, 11], [11, 10], [11, 11],
+  [50, 50],
+];
+
+describe("dbscan", () => {
+  let model;
+
+  beforeAll(async () => {
+    model = await dbscan(DATA, { eps: 1.5, minPoints: 3 }).ready;
+  });
+
+  it("Should create dbscan with the options", () => {
+    expect(model.config.eps).toBe(1.5);
+    expect(model.config.minPoints).toBe(3);
+  });
+
+  it("Should find the clusters and the noise", () => {
+    expect(model.clusters).toBe(2);
+    expect(model.noise).toBe(1);
+    expect(model.dataset.map(val => val.centroid)).toEqual([0, 0, 0, 0, 1, 1, 1, 1, -1]);
+    expect(model.centroids.arraySync()).toEqual([[0.5, 0.5], [10.5, 10.5]]);
+  });
+
+  it("Should classify a point and an array of points", () => {
+    expect(model.classify([0.5, 0.5])).toBe(0);
+    expect(model.classify({ x: 10, y: 12 })).toBe(1);
+    expect(model.classify([[11, 11], [30, 30]])).toEqual([1, -1]);
+  });
+});
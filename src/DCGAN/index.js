@@ -12,6 +12,7 @@ import * as tf from '@tensorflow/tfjs';
 import axios from 'axios';
 import callCallback from '../utils/callcallback';
 import  p5Utils from '../utils/p5Utils';
+import { randomTfSeed } from '../utils/random';
 
 // Default pre-trained face model
 
@@ -79,7 +80,7 @@ class DCGANBase {
     const y = tf.tidy(() => {
       let z;
       if(Array.isArray(latentVector) === false) {
-        z = tf.randomNormal([1, latentDim]);
+        z = tf.randomNormal([1, latentDim], 0, 1, 'float32', randomTfSeed());
       }
       else {
         const buffer = tf.buffer([1, latentDim]);
@@ -0,0 +1,105 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+Principal Component Analysis: projects the points on the directions in which they vary the most
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import { randomTfSeed } from '../utils/random';
+
+// the number of power iterations for every component
+const POWER_ITERATIONS = 100;
+
+/**
+ * The principal components of centered data, found by power iteration with deflation.
+ * @param {tf.Tensor2D} centered - the data of the shape [points, dimensions] minus its mean
+ * @param {number} nComponents
+ * @return {object} { components: a tensor of the shape [dimensions, components],
+ *    explainedVariance: the share of the variance of every component }
+ */
+const getPrincipalComponents = (centered, nComponents) =>
+  tf.tidy(() => {
+    const dimensions = centered.shape[1];
+    const totalVariance = centered.square().sum().dataSync()[0];
+
+    let residual = centered;
+    const components = [];
+    const explainedVariance = [];
+    for (let c = 0; c < Math.min(nComponents, dimensions); c += 1) {
+      let vector = tf.randomNormal([dimensions, 1], 0, 1, 'float32', randomTfSeed());
+      for (let i = 0; i < POWER_ITERATIONS; i += 1) {
+        const next = residual.transpose().matMul(residual.matMul(vector));
+        vector = next.div(next.norm().maximum(tf.scalar(1e-12)));
+      }
+      const projection = residual.matMul(vector);
+      const eigenvalue = projection.square().sum().dataSync()[0];
+      explainedVariance.push(totalVariance > 0 ? eigenvalue / totalVariance : 0);
+      components.push(vector);
+      // remove the component before looking for the next one
+      residual = residual.sub(projection.matMul(vector.transpose()));
+    }
+
+    return { components: tf.concat(components, 1), explainedVariance };
+  });
+
+class PCA {
+  /**
+   * @param {object} config - { dimensions }
+   */
+  constructor(config) {
+    this.config = config;
+    // PCA is done in one step
+    this.steps = 1;
+    this.mean = null;
+    this.components = null;
+    this.explainedVariance = null;
+    this.embedding = null;
+  }
+
+  /**
+   * Keep the data and its mean.
+   * @param {tf.Tensor2D} data - a tensor of the shape [points, dimensions]
+   */
+  init(data) {
+    this.mean = data.mean(0);
+    this.data = data;
+  }
+
+  /**
+   * Find the principal components and project the data on them.
+   */
+  step() {
+    const centered = this.data.sub(this.mean);
+    const { components, explainedVariance } = getPrincipalComponents(centered, this.config.dimensions);
+    this.components = components;
+    this.explainedVariance = explainedVariance;
+    this.embedding = centered.matMul(components);
+    centered.dispose();
+  }
+
+  getPoints() {
+    return this.embedding.arraySync();
+  }
+
+  /**
+   * Project new points on the principal components of the data.
+   * @param {tf.Tensor2D} points - a tensor of the shape [points, dimensions]
+   * @return {array} the points in the embedding
+   */
+  transform(points) {
+    const projection = tf.tidy(() => points.sub(this.mean).matMul(this.components));
+    const result = projection.arraySync();
+    projection.dispose();
+    return result;
+  }
+
+  dispose() {
+    tf.dispose([this.mean, this.components, this.embedding]);
+  }
+}
+
+export { getPrincipalComponents };
+export default PCA;
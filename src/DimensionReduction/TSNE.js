@@ -0,0 +1,183 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+t-SNE: t-distributed Stochastic Neighbor Embedding (exact, with Euclidian distance).
+Every step moves the points of the embedding so their neighbors match the neighbors in the data.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import { getSquaredDistances } from '../utils/clustering';
+import { getPrincipalComponents } from './PCA';
+
+// the number of bisections of the precision of every point to match the perplexity
+const BISECTIONS = 32;
+const EXAGGERATION = 12;
+// the embedding starts as the principal components with this standard deviation
+const INITIAL_STD = 1e-4;
+
+class TSNE {
+  /**
+   * @param {object} config - { dimensions, steps, perplexity, learningRate }
+   */
+  constructor(config) {
+    this.config = config;
+    this.steps = config.steps;
+    this.embedding = null;
+  }
+
+  /**
+   * Compute the similarities of the points of the data and the initial embedding.
+   * @param {tf.Tensor2D} data - a tensor of the shape [points, dimensions]
+   */
+  init(data) {
+    const count = data.shape[0];
+    const { dimensions, perplexity, learningRate } = this.config;
+    if (count <= perplexity) {
+      throw new Error(`t-SNE needs more points than the perplexity of ${perplexity}`);
+    }
+
+    this.similarities = TSNE.getJointProbabilities(data, perplexity);
+    // the points are pulled together harder while the clusters form
+    this.exaggerationSteps = Math.min(250, Math.floor(this.steps / 4));
+    this.learningRate = learningRate || Math.max(count / EXAGGERATION / 4, 50);
+    this.embedding = tf.tidy(() => {
+      const centered = data.sub(data.mean(0));
+      const { components } = getPrincipalComponents(centered, dimensions);
+      const projection = centered.matMul(components);
+      const std = tf.moments(projection.slice([0, 0], [-1, 1])).variance.sqrt();
+      return projection.div(std.maximum(1e-12)).mul(INITIAL_STD);
+    });
+    this.update = tf.zerosLike(this.embedding);
+    this.gains = tf.onesLike(this.embedding);
+  }
+
+  /**
+   * Move the points of the embedding with gradient descent with momentum.
+   * @param {number} step - the number of the step, from 1
+   */
+  step(step) {
+    const isExaggerated = step <= this.exaggerationSteps;
+    const exaggeration = isExaggerated ? EXAGGERATION : 1;
+    const momentum = isExaggerated ? 0.5 : 0.8;
+
+    const [embedding, update, gains] = tf.tidy(() => {
+      const count = this.embedding.shape[0];
+      // the Student-t similarities of the points of the embedding
+      const offDiagonal = tf.scalar(1).sub(tf.eye(count));
+      const kernel = getSquaredDistances(this.embedding, this.embedding)
+        .add(1)
+        .reciprocal()
+        .mul(offDiagonal);
+      const q = kernel.div(kernel.sum()).maximum(1e-12);
+      const forces = this.similarities
+        .mul(exaggeration)
+        .sub(q)
+        .mul(kernel);
+      const gradient = forces
+        .sum(1, true)
+        .mul(this.embedding)
+        .sub(forces.matMul(this.embedding))
+        .mul(4);
+
+      // the gain of a coordinate grows while it keeps moving in the same direction
+      const keepsDirection = gradient
+        .mul(this.update)
+        .less(0)
+        .toFloat();
+      const newGains = keepsDirection
+        .mul(this.gains.add(0.2))
+        .add(tf.scalar(1).sub(keepsDirection).mul(this.gains.mul(0.8)))
+        .maximum(0.01);
+      const newUpdate = this.update
+        .mul(momentum)
+        .sub(newGains.mul(gradient).mul(this.learningRate));
+      const moved = this.embedding.add(newUpdate);
+
+      return [moved.sub(moved.mean(0)), newUpdate, newGains];
+    });
+
+    tf.dispose([this.embedding, this.update, this.gains]);
+    this.embedding = embedding;
+    this.update = update;
+    this.gains = gains;
+  }
+
+  getPoints() {
+    return this.embedding.arraySync();
+  }
+
+  /**
+   * t-SNE has no mapping from the data to the embedding.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  transform() {
+    throw new Error(
+      't-SNE can not transform new points, reduce all of the points at once or use pca or umap',
+    );
+  }
+
+  dispose() {
+    tf.dispose([this.similarities, this.embedding, this.update, this.gains]);
+  }
+
+  /**
+   * The symmetric similarities of the points of the data: the Gaussian similarities of
+   *   every point to the other points with the precision that matches the perplexity.
+   * @param {tf.Tensor2D} data - a tensor of the shape [points, dimensions]
+   * @param {number} perplexity - about the number of neighbors of every point
+   * @return {tf.Tensor2D} a tensor of the shape [points, points] that sums to 1
+   */
+  static getJointProbabilities(data, perplexity) {
+    return tf.tidy(() => {
+      const count = data.shape[0];
+      const offDiagonal = tf.scalar(1).sub(tf.eye(count));
+      const squaredDistances = getSquaredDistances(data, data).mul(offDiagonal);
+      // relative to the closest point so the closest point has a similarity of 1
+      const closest = squaredDistances
+        .add(tf.eye(count).mul(1e30))
+        .min(1, true);
+      const distances = squaredDistances.sub(closest).relu();
+      const targetEntropy = Math.log(perplexity);
+
+      const getSimilarities = logPrecision =>
+        tf.tidy(() => {
+          const similarities = distances
+            .mul(logPrecision.exp())
+            .neg()
+            .exp()
+            .mul(offDiagonal);
+          const totals = similarities.sum(1, true);
+          const entropy = totals.log().add(
+            distances
+              .mul(similarities)
+              .sum(1, true)
+              .mul(logPrecision.exp())
+              .div(totals),
+          );
+          return { similarities: similarities.div(totals), entropy };
+        });
+
+      // the entropy goes down when the precision goes up
+      let low = tf.fill([count, 1], -50);
+      let high = tf.fill([count, 1], 50);
+      for (let i = 0; i < BISECTIONS; i += 1) {
+        const middle = low.add(high).div(2);
+        const { entropy } = getSimilarities(middle);
+        const tooHigh = entropy.greater(targetEntropy).toFloat();
+        low = low.add(tooHigh.mul(middle.sub(low)));
+        high = high.add(tf.scalar(1).sub(tooHigh).mul(middle.sub(high)));
+      }
+
+      const { similarities } = getSimilarities(low.add(high).div(2));
+      return similarities
+        .add(similarities.transpose())
+        .div(2 * count)
+        .maximum(1e-12);
+    });
+  }
+}
+
+export default TSNE;
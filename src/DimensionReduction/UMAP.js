@@ -0,0 +1,330 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/* eslint "no-param-reassign": [2, { "props": false }] */
+/*
+UMAP: Uniform Manifold Approximation and Projection (with Euclidian distance).
+The nearest neighbors of every point form a weighted graph and every step (an epoch)
+pulls the neighbors together and pushes random points apart in the embedding.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import { CHUNK_SIZE, getSquaredDistances } from '../utils/clustering';
+import { randomInt } from '../utils/random';
+import { getPrincipalComponents } from './PCA';
+
+// the number of random points that every edge pushes away
+const NEGATIVE_SAMPLES = 5;
+// the number of bisections of the scale of the distances of every point
+const BISECTIONS = 64;
+// the scale of the distances of a point is at least this share of its average distance
+const MIN_SCALE = 1e-3;
+// the embedding starts as the principal components within this range
+const INITIAL_RANGE = 10;
+
+/**
+ * Keeps a step of a point in the range of -4 to 4.
+ * @param {number} value
+ */
+const clip = value => Math.max(-4, Math.min(4, value));
+
+/**
+ * Fits 1 / (1 + a * x^(2b)) to the similarity of two points at the distance x in the embedding:
+ *   1 up to minDist, then falling off with the spread.
+ * @param {number} spread
+ * @param {number} minDist
+ * @return {object} { a, b }
+ */
+function fitCurve(spread, minDist) {
+  const xs = [];
+  const ys = [];
+  for (let i = 1; i <= 300; i += 1) {
+    const x = (i * 3 * spread) / 300;
+    xs.push(x);
+    ys.push(x < minDist ? 1 : Math.exp(-(x - minDist) / spread));
+  }
+
+  const getError = (a, b) =>
+    xs.reduce((sum, x, i) => sum + (1 / (1 + a * x ** (2 * b)) - ys[i]) ** 2, 0);
+
+  // Levenberg-Marquardt
+  let a = 1;
+  let b = 1;
+  let damping = 1e-3;
+  let error = getError(a, b);
+  for (let iteration = 0; iteration < 100; iteration += 1) {
+    let aa = 0;
+    let ab = 0;
+    let bb = 0;
+    let ra = 0;
+    let rb = 0;
+    for (let i = 0; i < xs.length; i += 1) {
+      const power = xs[i] ** (2 * b);
+      const denominator = (1 + a * power) ** 2;
+      const residual = 1 / (1 + a * power) - ys[i];
+      const da = -power / denominator;
+      const db = (-a * power * 2 * Math.log(xs[i])) / denominator;
+      aa += da * da;
+      ab += da * db;
+      bb += db * db;
+      ra += da * residual;
+      rb += db * residual;
+    }
+    const dampedAa = aa * (1 + damping);
+    const dampedBb = bb * (1 + damping);
+    const determinant = dampedAa * dampedBb - ab * ab;
+    const nextA = a - (dampedBb * ra - ab * rb) / determinant;
+    const nextB = b - (dampedAa * rb - ab * ra) / determinant;
+    const nextError = nextA > 0 && nextB > 0 ? getError(nextA, nextB) : Infinity;
+    if (nextError < error) {
+      a = nextA;
+      b = nextB;
+      error = nextError;
+      damping /= 10;
+    } else {
+      damping *= 10;
+    }
+  }
+
+  return { a, b };
+}
+
+/**
+ * The similarity of every point to its neighbors: 1 for the closest neighbor, falling off with
+ *   a scale that makes the similarities of every point add up to log2 of the number of neighbors.
+ * @param {array} distances - the distances to the neighbors of every point, from the closest
+ * @return {array} the similarities to the neighbors of every point
+ */
+function getSimilarities(distances) {
+  const target = Math.log2(distances[0].length);
+  const total = distances.reduce((sum, row) => sum + row.reduce((s, d) => s + d, 0), 0);
+  const averageDistance = total / (distances.length * distances[0].length);
+
+  return distances.map(row => {
+    const closest = row.find(d => d > 0) || 0;
+    const getTotal = scale => row.reduce((sum, d) => sum + Math.exp(-Math.max(0, d - closest) / scale), 0);
+
+    let low = 0;
+    let high = Infinity;
+    let scale = 1;
+    for (let i = 0; i < BISECTIONS; i += 1) {
+      const difference = getTotal(scale) - target;
+      if (Math.abs(difference) < 1e-5) break;
+      if (difference > 0) {
+        high = scale;
+        scale = (low + high) / 2;
+      } else {
+        low = scale;
+        scale = high === Infinity ? scale * 2 : (low + high) / 2;
+      }
+    }
+    const average = row.reduce((sum, d) => sum + d, 0) / row.length;
+    scale = Math.max(scale, MIN_SCALE * (closest > 0 ? average : averageDistance));
+
+    return row.map(d => Math.exp(-Math.max(0, d - closest) / scale));
+  });
+}
+
+class UMAP {
+  /**
+   * @param {object} config - { dimensions, steps, nNeighbors, minDist, spread, learningRate }
+   */
+  constructor(config) {
+    this.config = config;
+    this.steps = config.steps;
+    this.points = null;
+  }
+
+  /**
+   * Build the graph of the nearest neighbors and the initial embedding.
+   * @param {tf.Tensor2D} data - a tensor of the shape [points, dimensions]
+   */
+  init(data) {
+    const count = data.shape[0];
+    const { dimensions, nNeighbors, minDist, spread } = this.config;
+    if (count <= nNeighbors) {
+      throw new Error(`UMAP needs more points than the nNeighbors of ${nNeighbors}`);
+    }
+
+    this.data = data;
+    this.curve = fitCurve(spread, minDist);
+    this.setEdges(UMAP.getNeighbors(data, data, nNeighbors, true));
+    const initial = tf.tidy(() => {
+      const centered = data.sub(data.mean(0));
+      const { components } = getPrincipalComponents(centered, dimensions);
+      const projection = centered.matMul(components);
+      return projection.div(projection.abs().max().maximum(1e-12)).mul(INITIAL_RANGE);
+    });
+    this.points = initial.arraySync();
+    initial.dispose();
+  }
+
+  /**
+   * The edges of the graph: the similarity of two neighbors is
+   *   the chance that either one is a neighbor of the other.
+   * @param {object} neighbors - { indices, distances } of the neighbors of every point
+   */
+  setEdges({ indices, distances }) {
+    const count = indices.length;
+    const similarities = getSimilarities(distances);
+    const directed = new Map();
+    indices.forEach((row, i) => {
+      row.forEach((j, n) => directed.set(i * count + j, similarities[i][n]));
+    });
+
+    const heads = [];
+    const tails = [];
+    const weights = [];
+    directed.forEach((weight, key) => {
+      const i = Math.floor(key / count);
+      const j = key % count;
+      const reverse = directed.get(j * count + i) || 0;
+      // both directions of an edge are kept, the edge from j to i is added by j if it exists
+      heads.push(i);
+      tails.push(j);
+      weights.push(weight + reverse - weight * reverse);
+      if (!directed.has(j * count + i)) {
+        heads.push(j);
+        tails.push(i);
+        weights.push(weight);
+      }
+    });
+
+    // the edges that would be sampled less than once are left out
+    const maxWeight = weights.reduce((max, weight) => Math.max(max, weight), 0);
+    const kept = weights
+      .map((weight, e) => e)
+      .filter(e => weights[e] >= maxWeight / this.steps);
+    this.heads = kept.map(e => heads[e]);
+    this.tails = kept.map(e => tails[e]);
+    this.epochsPerSample = kept.map(e => maxWeight / weights[e]);
+    this.epochOfNextSample = [...this.epochsPerSample];
+    this.epochOfNextNegativeSample = this.epochsPerSample.map(epochs => epochs / NEGATIVE_SAMPLES);
+  }
+
+  /**
+   * Move the points along the edges that are due in this epoch
+   *   and away from random points.
+   * @param {number} step - the number of the step, from 1
+   */
+  step(step) {
+    const { a, b } = this.curve;
+    const count = this.points.length;
+    const alpha = this.config.learningRate * (1 - (step - 1) / this.steps);
+
+    for (let e = 0; e < this.heads.length; e += 1) {
+      if (this.epochOfNextSample[e] <= step) {
+        const current = this.points[this.heads[e]];
+        const other = this.points[this.tails[e]];
+        const distance = UMAP.getSquaredDistance(current, other);
+        const attraction = distance > 0 ? (-2 * a * b * distance ** (b - 1)) / (a * distance ** b + 1) : 0;
+        for (let d = 0; d < current.length; d += 1) {
+          const move = clip(attraction * (current[d] - other[d])) * alpha;
+          current[d] += move;
+          other[d] -= move;
+        }
+        this.epochOfNextSample[e] += this.epochsPerSample[e];
+
+        const epochsPerNegativeSample = this.epochsPerSample[e] / NEGATIVE_SAMPLES;
+        const negativeSamples = Math.floor(
+          (step - this.epochOfNextNegativeSample[e]) / epochsPerNegativeSample,
+        );
+        for (let s = 0; s < negativeSamples; s += 1) {
+          const index = randomInt(0, count - 1);
+          if (index !== this.heads[e]) {
+            this.pushApart(current, this.points[index], alpha);
+          }
+        }
+        this.epochOfNextNegativeSample[e] += negativeSamples * epochsPerNegativeSample;
+      }
+    }
+  }
+
+  /**
+   * Move a point away from a random point.
+   * @param {array} current
+   * @param {array} other
+   * @param {number} alpha - the learning rate of the step
+   */
+  pushApart(current, other, alpha) {
+    const { a, b } = this.curve;
+    const distance = UMAP.getSquaredDistance(current, other);
+    const repulsion = distance > 0 ? (2 * b) / ((0.001 + distance) * (a * distance ** b + 1)) : 0;
+    for (let d = 0; d < current.length; d += 1) {
+      current[d] += (repulsion > 0 ? clip(repulsion * (current[d] - other[d])) : 4) * alpha;
+    }
+  }
+
+  getPoints() {
+    return this.points.map(point => [...point]);
+  }
+
+  /**
+   * Place new points at the weighted average of their nearest neighbors in the embedding.
+   * @param {tf.Tensor2D} points - a tensor of the shape [points, dimensions]
+   * @return {array} the points in the embedding
+   */
+  transform(points) {
+    const { indices, distances } = UMAP.getNeighbors(points, this.data, this.config.nNeighbors, false);
+    const similarities = getSimilarities(distances);
+
+    return indices.map((row, i) => {
+      const total = similarities[i].reduce((sum, s) => sum + s, 0);
+      return this.points[0].map((_, d) =>
+        row.reduce((sum, j, n) => sum + (similarities[i][n] / total) * this.points[j][d], 0),
+      );
+    });
+  }
+
+  dispose() {
+    this.data = null;
+  }
+
+  /**
+   * The nearest neighbors of every point.
+   * @param {tf.Tensor2D} points - a tensor of the shape [points, dimensions]
+   * @param {tf.Tensor2D} data - the points to look for neighbors in
+   * @param {number} k - the number of neighbors
+   * @param {boolean} isSelf - whether the points are the data, a point is not its own neighbor
+   * @return {object} { indices, distances } of the shape [points, k], from the closest
+   */
+  static getNeighbors(points, data, k, isSelf) {
+    const count = points.shape[0];
+    const indices = [];
+    const distances = [];
+
+    for (let start = 0; start < count; start += CHUNK_SIZE) {
+      const size = Math.min(CHUNK_SIZE, count - start);
+      const [values, nearest] = tf.tidy(() => {
+        let squaredDistances = getSquaredDistances(points.slice(start, size), data);
+        if (isSelf) {
+          const self = tf.oneHot(tf.range(start, start + size, 1, 'int32'), data.shape[0]);
+          squaredDistances = squaredDistances.add(self.toFloat().mul(1e30));
+        }
+        const { values: negatives, indices: closest } = tf.topk(squaredDistances.neg(), k);
+        return [negatives.neg().sqrt(), closest];
+      });
+      indices.push(...nearest.arraySync());
+      distances.push(...values.arraySync());
+      tf.dispose([values, nearest]);
+    }
+
+    return { indices, distances };
+  }
+
+  /**
+   * @param {array} point
+   * @param {array} other
+   */
+  static getSquaredDistance(point, other) {
+    let sum = 0;
+    for (let d = 0; d < point.length; d += 1) {
+      sum += (point[d] - other[d]) ** 2;
+    }
+    return sum;
+  }
+}
+
+export default UMAP;
@@ -0,0 +1,174 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+Dimensionality reduction: places high dimensional points like embeddings in 2 or 3 dimensions,
+so that points that are close in the data stay close, with PCA, t-SNE or UMAP.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import callCallback from '../utils/callcallback';
+import { loadDataset, pointsToTensor } from '../utils/clustering';
+import { createGenerator, withGenerator } from '../utils/random';
+import PCA from './PCA';
+import TSNE from './TSNE';
+import UMAP from './UMAP';
+
+const DEFAULTS = {
+  method: 'pca',
+  dimensions: 2,
+  steps: null,
+  learningRate: null,
+  perplexity: 30,
+  nNeighbors: 15,
+  minDist: 0.1,
+  spread: 1,
+  seed: null,
+  whileFitting: null,
+};
+
+const METHODS = {
+  pca: PCA,
+  tsne: TSNE,
+  umap: UMAP,
+};
+
+// the default number of steps and learning rate of every method, null for t-SNE is
+// a learning rate that depends on the number of points
+const METHOD_DEFAULTS = {
+  pca: { steps: 1, learningRate: null },
+  tsne: { steps: 500, learningRate: null },
+  umap: { steps: 200, learningRate: 1 },
+};
+
+/**
+ * Formats the data as a tensor of the shape [points, dimensions]: a tensor with the
+ *   points as its first axis, an array of tensors, or anything loadDataset() reads.
+ * @param {tf.Tensor || array || string} data
+ */
+async function dataToTensor(data) {
+  if (data instanceof tf.Tensor) {
+    return tf.tidy(() => data.reshape([data.shape[0], -1]).toFloat());
+  }
+  if (Array.isArray(data) && data[0] instanceof tf.Tensor) {
+    return tf.tidy(() => tf.stack(data.map(tensor => tensor.flatten())).toFloat());
+  }
+  return tf.tensor2d(await loadDataset(data));
+}
+
+class DimensionReduction {
+  /**
+   * Create a dimensionality reduction.
+   * @param {tf.Tensor || String || array} data - The points to reduce.
+   * @param {options} options - An object describing a model's parameters:
+   *    - method: 'pca', 'tsne' or 'umap'
+   *    - dimensions: the number of dimensions to reduce to
+   *    - steps: the number of steps of t-SNE and epochs of UMAP
+   *    - learningRate: the size of the steps of t-SNE and UMAP
+   *    - perplexity: t-SNE, about the number of neighbors of every point
+   *    - nNeighbors: UMAP, the number of neighbors of every point
+   *    - minDist: UMAP, how close the points can be in the embedding
+   *    - spread: UMAP, the scale of the embedding
+   *    - seed: seed for the initial embedding and the random steps, like ml5.setSeed() for this reduction only
+   *    - whileFitting: a function called after every step with the step and the points
+   * @param {function} callback  - Optional. A callback to be called once
+   *    the points are reduced. If no callback is provided, it will return a
+   *    promise that will be resolved once the points are reduced.
+   */
+  constructor(data, options = {}, callback) {
+    const method = options.method || DEFAULTS.method;
+    if (!METHODS[method]) {
+      throw new Error(
+        `"${method}" is not a method. Use one of: ${Object.keys(METHODS).join(', ')}`,
+      );
+    }
+
+    this.config = {
+      method,
+      dimensions: options.dimensions || DEFAULTS.dimensions,
+      steps: options.steps || DEFAULTS.steps || METHOD_DEFAULTS[method].steps,
+      learningRate:
+        options.learningRate || DEFAULTS.learningRate || METHOD_DEFAULTS[method].learningRate,
+      perplexity: options.perplexity || DEFAULTS.perplexity,
+      nNeighbors: options.nNeighbors || DEFAULTS.nNeighbors,
+      minDist: options.minDist !== undefined ? options.minDist : DEFAULTS.minDist,
+      spread: options.spread || DEFAULTS.spread,
+      seed: options.seed !== undefined ? options.seed : DEFAULTS.seed,
+    };
+    this.whileFitting = options.whileFitting || DEFAULTS.whileFitting;
+
+    // the reduced points, in the order of the data
+    this.embedding = null;
+    // the share of the variance of every component, only for pca
+    this.explainedVariance = null;
+    this.step = 0;
+    this.ready = callCallback(this.load(data), callback);
+  }
+
+  /**
+   * Load the data and reduce it step by step.
+   * @param {tf.Tensor || string || array} data
+   */
+  async load(data) {
+    this.dispose();
+    this.dataTensor = await dataToTensor(data);
+    // the seed only places the points of this reduction, the sketch can draw between the steps
+    const generator = this.config.seed !== null ? createGenerator(this.config.seed) : null;
+    this.model = new METHODS[this.config.method](this.config);
+    withGenerator(generator, () => this.model.init(this.dataTensor));
+
+    for (let step = 1; step <= this.model.steps; step += 1) {
+      withGenerator(generator, () => this.model.step(step));
+      this.step = step;
+      if (this.whileFitting) {
+        this.embedding = this.model.getPoints();
+        this.whileFitting(step, this.embedding);
+      }
+      // let the sketch draw, with or without whileFitting the steps would block the page
+      // eslint-disable-next-line no-await-in-loop
+      await tf.nextFrame();
+    }
+    this.embedding = this.model.getPoints();
+    this.explainedVariance = this.model.explainedVariance || null;
+
+    return this;
+  }
+
+  /**
+   * Reduce new points like the data, with pca or umap. umap places a point at
+   *   the weighted average of its nearest neighbors in the data.
+   * @param {tf.Tensor || array || object} value - a point, an array of points or a tensor
+   */
+  transform(value) {
+    let tensor;
+    let isBatch;
+    if (value instanceof tf.Tensor) {
+      isBatch = value.rank > 1;
+      tensor = tf.tidy(() => value.reshape(isBatch ? [value.shape[0], -1] : [1, -1]).toFloat());
+    } else {
+      ({ tensor, isBatch } = pointsToTensor(value));
+    }
+
+    try {
+      const result = this.model.transform(tensor);
+      return isBatch ? result : result[0];
+    } finally {
+      tensor.dispose();
+    }
+  }
+
+  /**
+   * Dispose the tensors of the data and of the method.
+   */
+  dispose() {
+    if (this.model) this.model.dispose();
+    tf.dispose(this.dataTensor);
+  }
+}
+
+const dimensionReduction = (data, options, callback) =>
+  new DimensionReduction(data, options, callback);
+
+export default dimensionReduction;
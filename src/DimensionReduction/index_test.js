@@ -0,0 +1,71 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { dimensionReduction } = ml5;
+
+// two groups of points in 5 dimensions
+const DATA = [...new Array(40).keys()].map(i =>
+  [...new Array(5).keys()].map(d => (i % 2 === 0 ? 0 : 10) + ((i * (d + 1)) % 7) / 7),
+);
+
+const getDistance = (a, b) => Math.hypot(...a.map((value, d) => value - b[d]));
+
+describe("dimensionReduction", () => {
+  it("Should project the data on its principal components", async () => {
+    const reducer = await dimensionReduction(DATA, { method: 'pca' }).ready;
+    expect(reducer.embedding.length).toBe(40);
+    expect(reducer.embedding[0].length).toBe(2);
+    expect(reducer.explainedVariance[0]).toBeGreaterThan(0.9);
+    const [point] = reducer.transform([DATA[1]]);
+    expect(point[0]).toBeCloseTo(reducer.embedding[1][0], 3);
+    reducer.dispose();
+  });
+
+  it("Should call whileFitting after every step", async () => {
+    const steps = [];
+    const reducer = await dimensionReduction(DATA, {
+      method: 'umap',
+      nNeighbors: 5,
+      steps: 20,
+      seed: 1,
+      whileFitting: (step, points) => steps.push([step, points.length]),
+    }).ready;
+    expect(steps.length).toBe(20);
+    expect(steps[19]).toEqual([20, 40]);
+    expect(reducer.step).toBe(20);
+    reducer.dispose();
+  });
+
+  it("Should let the page draw between the steps without whileFitting", async () => {
+    const reducer = dimensionReduction(DATA, { method: 'umap', nNeighbors: 5, steps: 20, seed: 1 });
+    await ml5.tf.nextFrame();
+    expect(reducer.step).toBeLessThan(20);
+    await reducer.ready;
+    expect(reducer.step).toBe(20);
+    reducer.dispose();
+  });
+
+  it("Should keep the groups apart with umap and tsne", async () => {
+    const umap = await dimensionReduction(DATA, { method: 'umap', nNeighbors: 5, seed: 2 }).ready;
+    const tsne = await dimensionReduction(DATA, { method: 'tsne', perplexity: 5, steps: 250, seed: 2 }).ready;
+    [umap, tsne].forEach(reducer => {
+      const [a, b, c] = reducer.embedding;
+      expect(getDistance(a, c)).toBeLessThan(getDistance(a, b));
+    });
+    expect(umap.transform(DATA[2]).length).toBe(2);
+    expect(() => tsne.transform(DATA[2])).toThrow();
+    umap.dispose();
+    tsne.dispose();
+  });
+
+  it("Should reduce a tensor", async () => {
+    const tensor = ml5.tf.tensor2d(DATA);
+    const reducer = await dimensionReduction(tensor, { dimensions: 3 }).ready;
+    expect(reducer.embedding[0].length).toBe(3);
+    expect(reducer.transform(tensor).length).toBe(40);
+    tensor.dispose();
+    reducer.dispose();
+  });
+});
@@ -12,6 +12,8 @@ import axios from "axios";
 import Video from "./../utils/Video";
 import { imgToTensor } from "../utils/imageUtilities";
 import { saveBlob } from "../utils/io";
+import { createBundle, readBundle } from "../utils/modelBundle";
+import { isStorageUrl, saveToStorage, loadFromStorage } from "../utils/modelStorage";
 import callCallback from "../utils/callcallback";
 
 const IMAGE_SIZE = 224;
@@ -450,7 +452,27 @@ class Mobilenet {
     return { value: prediction[0] };
   }
 
+  /**
+   * Loads the model saved in the browser with a name like indexeddb://name or localstorage://name
+   * @param {string} url
+   */
+  async loadFromBrowserStorage(url) {
+    const bundle = await readBundle(await loadFromStorage(url, "featureExtractor"));
+    this.mapStringToIndex = bundle.meta.mapStringToIndex;
+    this.jointModel = await tf.loadLayersModel(
+      tf.io.fromMemory({
+        modelTopology: bundle.modelTopology,
+        weightSpecs: bundle.weightSpecs,
+        weightData: bundle.weightData,
+      }),
+    );
+    return this.jointModel;
+  }
+
   async load(filesOrPath = null, callback) {
+    if (isStorageUrl(filesOrPath)) {
+      return callCallback(this.loadFromBrowserStorage(filesOrPath), callback);
+    }
     if (typeof filesOrPath !== "string") {
       let model = null;
       let weights = null;
@@ -483,10 +505,35 @@ class Mobilenet {
     return this.jointModel;
   }
 
-  async save(callback, name) {
+  /**
+   * Saves the model in the browser with a name like indexeddb://name or localstorage://name
+   * @param {string} url
+   */
+  async saveToBrowserStorage(url) {
+    await this.jointModel.save(
+      tf.io.withSaveHandler(async data => {
+        const bundle = createBundle(data, { mapStringToIndex: this.mapStringToIndex });
+        await saveToStorage(url, "featureExtractor", bundle);
+      }),
+    );
+  }
+
+  /**
+   * Downloads the model or saves it in the browser
+   * when the name is like indexeddb://name or localstorage://name
+   * @param {function | string} callbackOrName
+   * @param {string | function} nameOrCallback
+   */
+  async save(callbackOrName, nameOrCallback) {
+    const callback = typeof callbackOrName === "function" ? callbackOrName : nameOrCallback;
+    const name = typeof callbackOrName === "string" ? callbackOrName : nameOrCallback;
     if (!this.jointModel) {
       throw new Error("No model found.");
     }
+    if (isStorageUrl(name)) {
+      await callCallback(this.saveToBrowserStorage(name), callback);
+      return;
+    }
     this.jointModel.save(
       tf.io.withSaveHandler(async data => {
         let modelName = "model";
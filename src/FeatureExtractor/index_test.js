@@ -29,6 +29,45 @@ describe('featureExtractor with Mobilenet', () => {
     expect(classifier.config.batchSize).toBe(FEATURE_EXTRACTOR_DEFAULTS.batchSize);
   });
 
+  describe('browser storage', () => {
+    ['localstorage', 'indexeddb'].forEach(storage => {
+      it(`Should save, list, load and delete the model in ${storage}`, async () => {
+        const { tf } = ml5;
+        const url = `${storage}://feature-extractor-test`;
+        // a small model in place of a trained one
+        classifier.jointModel = tf.sequential({
+          layers: [tf.layers.dense({ inputShape: [4], units: 2, activation: 'softmax' })],
+        });
+        classifier.mapStringToIndex = ['cat', 'dog'];
+        const predict = () =>
+          tf.tidy(() => classifier.jointModel.predict(tf.tensor2d([[1, 2, 3, 4]])).arraySync());
+        const expected = predict();
+
+        await classifier.save(url);
+        const savedModels = await ml5.listSavedModels();
+        expect(savedModels.find(model => model.url === url).type).toBe('featureExtractor');
+
+        classifier.jointModel = null;
+        classifier.mapStringToIndex = [];
+        await classifier.load(url);
+        expect(classifier.mapStringToIndex).toEqual(['cat', 'dog']);
+        expect(predict()).toEqual(expected);
+
+        await ml5.deleteSavedModel(url);
+        const remainingModels = await ml5.listSavedModels();
+        expect(remainingModels.map(model => model.url)).not.toContain(url);
+      });
+    });
+
+    it('Should call back with an error for a model that is not saved', async () => {
+      const error = await new Promise(resolve => {
+        classifier.load('localstorage://feature-extractor-missing', resolve).catch(() => {});
+      });
+
+      expect(error.message).toMatch(/no model saved/);
+    });
+  });
+
   // describe('predict', () => {
   //   it('Should classify an image of a Robin', async () => {
   //     const img = new Image();
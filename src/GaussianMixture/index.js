@@ -0,0 +1,375 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/* eslint "no-param-reassign": [2, { "props": false }] */
+/*
+Gaussian Mixture Model fitted with Expectation-Maximization.
+Every cluster is a normal distribution with its own mean, covariance and weight,
+so every point belongs to every cluster with a probability (soft assignments).
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import callCallback from '../utils/callcallback';
+import { loadDataset, getSquaredDistances, getMembers, pointsToTensor } from '../utils/clustering';
+import { randomSample, withSeed } from '../utils/random';
+import kmeans from '../KMeans';
+
+const DEFAULTS = {
+  k: 3,
+  maxIter: 100,
+  threshold: 1e-4,
+  covariance: 'full',
+  init: 'kmeans',
+  regularization: 1e-6,
+  seed: null,
+};
+
+const COVARIANCES = ['full', 'diagonal'];
+const INITS = ['kmeans', 'random'];
+
+// keeps a cluster without points from dividing by zero
+const EPSILON = 1e-10;
+
+/**
+ * The Cholesky decomposition of a symmetric positive definite matrix.
+ * @param {array} matrix - an array of arrays of the shape [d, d]
+ * @return {array} the lower triangular matrix L where L L^T is the matrix, or null
+ *    if the matrix is not positive definite
+ */
+function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let sum = matrix[i][j];
+      for (let m = 0; m < j; m += 1) {
+        sum -= lower[i][m] * lower[j][m];
+      }
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+/**
+ * The inverse of a lower triangular matrix.
+ * @param {array} lower - an array of arrays of the shape [d, d]
+ * @return {array} the inverse, also lower triangular
+ */
+function invertLower(lower) {
+  const size = lower.length;
+  const inverse = lower.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i += 1) {
+    inverse[i][i] = 1 / lower[i][i];
+    for (let j = 0; j < i; j += 1) {
+      let sum = 0;
+      for (let m = j; m < i; m += 1) {
+        sum -= lower[i][m] * inverse[m][j];
+      }
+      inverse[i][j] = sum / lower[i][i];
+    }
+  }
+  return inverse;
+}
+
+class GaussianMixture {
+  /**
+   * Create a Gaussian Mixture Model.
+   * @param {String || array || object} dataset - The dataset to cluster.
+   * @param {options} options - An object describing a model's parameters:
+   *    - k: number of clusters
+   *    - maxIter: Max number of iterations before forcing convergence.
+   *    - threshold: Converges when the average log-likelihood of the points changes less than this.
+   *    - covariance: The shape of the clusters: 'full' for any ellipse, or 'diagonal'
+   *      for ellipses along the axes.
+   *    - init: How to pick the initial clusters: 'kmeans' or 'random' points.
+   *    - regularization: Added to the variances to keep the covariances invertible.
+   *    - seed: Seed for picking the initial clusters, like ml5.setSeed() for this model only.
+   * @param {function} callback  - Optional. A callback to be called once
+   *    the model has loaded. If no callback is provided, it will return a
+   *    promise that will be resolved once the model has loaded.
+   */
+  constructor(dataset, options = {}, callback) {
+    const covariance = options.covariance || DEFAULTS.covariance;
+    if (!COVARIANCES.includes(covariance)) {
+      throw new Error(
+        `"${covariance}" is not a covariance. Use one of: ${COVARIANCES.join(', ')}`,
+      );
+    }
+    const init = options.init || DEFAULTS.init;
+    if (!INITS.includes(init)) {
+      throw new Error(`"${init}" is not an init. Use one of: ${INITS.join(', ')}`);
+    }
+
+    this.config = {
+      k: options.k || DEFAULTS.k,
+      maxIter: options.maxIter || DEFAULTS.maxIter,
+      threshold: options.threshold !== undefined ? options.threshold : DEFAULTS.threshold,
+      covariance,
+      init,
+      regularization:
+        options.regularization !== undefined ? options.regularization : DEFAULTS.regularization,
+      seed: options.seed !== undefined ? options.seed : DEFAULTS.seed,
+    };
+
+    // the weight, mean and covariance of every cluster
+    this.weights = null;
+    this.means = null;
+    this.centroids = null;
+    this.covariances = null;
+    this.logLikelihood = null;
+    this.iterations = null;
+    this.converged = false;
+    this.ready = callCallback(this.load(dataset), callback);
+  }
+
+  /**
+   * Load dataset, pick the initial clusters and fit the model.
+   * @param {string || array || object} dataset
+   */
+  async load(dataset) {
+    this.dataset = await loadDataset(dataset);
+    this.dispose();
+    this.dataTensor = tf.tensor2d(this.dataset);
+    const responsibilities = await this.initResponsibilities();
+    this.fit(responsibilities);
+
+    return this;
+  }
+
+  /**
+   * Assign every point to one initial cluster. The seed only picks these clusters.
+   *  - kmeans: the clusters of K-Means
+   *  - random: the closest of k random points
+   * @return {tf.tensor} the one hot encoding of the shape [points, k]
+   */
+  async initResponsibilities() {
+    const { k, init } = this.config;
+    let labels;
+    if (init === 'kmeans') {
+      const model = await kmeans(this.dataset, { k, seed: this.config.seed }).ready;
+      labels = model.dataset.map(d => d.centroid);
+      model.dispose();
+    } else {
+      labels = tf.tidy(() => {
+        const points = tf.tensor2d(withSeed(this.config.seed, () => randomSample(this.dataset, k)));
+        return getSquaredDistances(this.dataTensor, points).argMin(1);
+      });
+    }
+    const responsibilities = getMembers(labels, k);
+    if (labels instanceof tf.Tensor) labels.dispose();
+
+    return responsibilities;
+  }
+
+  /**
+   * Alternate between fitting the clusters to the responsibilities (maximization)
+   *   and the probability of every cluster for every point (expectation) until
+   *   the average log-likelihood changes less than the threshold or maxIter is reached.
+   * @param {tf.tensor} responsibilities - the initial responsibilities of the shape [points, k]
+   */
+  fit(responsibilities) {
+    const count = this.dataset.length;
+    let current = responsibilities;
+    let previous = -Infinity;
+    let iteration = 0;
+    let converged = false;
+
+    while (!converged && iteration < this.config.maxIter) {
+      this.maximize(current);
+      current.dispose();
+      const expectation = this.expect(this.dataTensor);
+      current = expectation.responsibilities;
+      const average = expectation.logLikelihood / count;
+      converged = Math.abs(average - previous) <= this.config.threshold;
+      previous = average;
+      iteration += 1;
+    }
+
+    this.logLikelihood = previous * count;
+    this.iterations = iteration;
+    this.converged = converged;
+
+    const probabilities = current.arraySync();
+    const clusters = current.argMax(1);
+    const labels = clusters.dataSync();
+    tf.dispose([current, clusters]);
+    this.dataset.forEach((d, idx) => {
+      d.centroid = labels[idx];
+      d.probabilities = probabilities[idx];
+    });
+  }
+
+  /**
+   * Fit the weight, mean and covariance of every cluster to the responsibilities.
+   * @param {tf.tensor} responsibilities - a tensor of the shape [points, k]
+   */
+  maximize(responsibilities) {
+    const { covariance, regularization } = this.config;
+    const dimensions = this.dataTensor.shape[1];
+    tf.dispose([this.weights, this.means, this.covariances, this.precisions]);
+
+    const [weights, means, covariances] = tf.tidy(() => {
+      const counts = responsibilities.sum(0).add(EPSILON);
+      const sums = responsibilities.transpose().matMul(this.dataTensor);
+      const clusterMeans = sums.div(counts.expandDims(1));
+
+      let clusterCovariances;
+      if (covariance === 'diagonal') {
+        // E[x^2] - E[x]^2 of every dimension
+        const squares = responsibilities.transpose().matMul(this.dataTensor.square());
+        clusterCovariances = squares
+          .div(counts.expandDims(1))
+          .sub(clusterMeans.square())
+          .maximum(0)
+          .add(regularization);
+      } else {
+        const identity = tf.eye(dimensions).mul(regularization);
+        clusterCovariances = tf.stack(
+          tf.unstack(clusterMeans).map((mean, j) => {
+            const diff = this.dataTensor.sub(mean);
+            const weighted = diff.mul(responsibilities.slice([0, j], [-1, 1]));
+            return weighted
+              .transpose()
+              .matMul(diff)
+              .div(counts.slice([j], [1]))
+              .add(identity);
+          }),
+        );
+      }
+      return [counts.div(counts.sum()), clusterMeans, clusterCovariances];
+    });
+
+    this.weights = weights;
+    this.means = means;
+    this.centroids = means;
+    this.covariances = covariances;
+    this.setPrecisions();
+  }
+
+  /**
+   * Computes what the expectation needs from the covariances: the log determinant and
+   *   a matrix P of every cluster so that |(x - mean) P|^2 is the Mahalanobis distance.
+   *   P is the inverse of the variances for 'diagonal', the transposed inverse of the
+   *   Cholesky factor for 'full'.
+   */
+  setPrecisions() {
+    const covariances = this.covariances.arraySync();
+    if (this.config.covariance === 'diagonal') {
+      this.logDeterminants = covariances.map(variances =>
+        variances.reduce((sum, v) => sum + Math.log(v), 0),
+      );
+      this.precisions = tf.tidy(() => tf.tensor2d(covariances).reciprocal());
+      return;
+    }
+
+    const precisions = covariances.map((matrix, j) => {
+      const lower = cholesky(matrix);
+      if (lower === null) {
+        throw new Error(
+          `The covariance of cluster ${j} is not positive definite, increase the regularization`,
+        );
+      }
+      return invertLower(lower);
+    });
+    this.logDeterminants = precisions.map(inverse =>
+      // the determinant of the inverse is the product of its diagonal
+      inverse.reduce((sum, row, i) => sum - 2 * Math.log(row[i]), 0),
+    );
+    this.precisions = tf.tidy(() => tf.tensor3d(precisions).transpose([0, 2, 1]));
+  }
+
+  /**
+   * The log of the weighted probability density of every cluster at every point.
+   * @param {tf.tensor} points - a tensor of the shape [points, dimensions]
+   * @return {tf.tensor} a tensor of the shape [points, k]
+   */
+  getLogProbabilities(points) {
+    return tf.tidy(() => {
+      const dimensions = points.shape[1];
+      const precisions = tf.unstack(this.precisions);
+      const distances = tf.unstack(this.means).map((mean, j) => {
+        const diff = points.sub(mean);
+        const scaled =
+          this.config.covariance === 'diagonal'
+            ? diff.square().mul(precisions[j])
+            : diff.matMul(precisions[j]).square();
+        return scaled.sum(1);
+      });
+      const logDeterminants = tf.tensor1d(this.logDeterminants);
+      return tf
+        .stack(distances, 1)
+        .add(logDeterminants)
+        .add(dimensions * Math.log(2 * Math.PI))
+        .mul(-0.5)
+        .add(this.weights.log());
+    });
+  }
+
+  /**
+   * The probability of every cluster for every point.
+   * @param {tf.tensor} points - a tensor of the shape [points, dimensions]
+   * @return {object} { responsibilities: a tensor of the shape [points, k], logLikelihood }
+   */
+  expect(points) {
+    const [responsibilities, logLikelihood] = tf.tidy(() => {
+      const logProbabilities = this.getLogProbabilities(points);
+      const logTotals = logProbabilities.logSumExp(1, true);
+      return [logProbabilities.sub(logTotals).exp(), logTotals.sum()];
+    });
+    const result = {
+      responsibilities,
+      logLikelihood: logLikelihood.dataSync()[0],
+    };
+    logLikelihood.dispose();
+
+    return result;
+  }
+
+  /**
+   * Assing `value` to its most likely cluster. An array of values
+   *   is assigned all at once and returns the cluster of every value.
+   * @param {array || object} value
+   */
+  classify(value) {
+    const { tensor, isBatch } = pointsToTensor(value);
+    const clusters = tf.tidy(() => this.getLogProbabilities(tensor).argMax(1));
+    const result = Array.from(clusters.dataSync());
+    tf.dispose([tensor, clusters]);
+
+    return isBatch ? result : result[0];
+  }
+
+  /**
+   * The probability of every cluster for `value`. An array of values
+   *   returns the probabilities of every value.
+   * @param {array || object} value
+   */
+  predictProbabilities(value) {
+    const { tensor, isBatch } = pointsToTensor(value);
+    const { responsibilities } = this.expect(tensor);
+    const result = responsibilities.arraySync();
+    tf.dispose([tensor, responsibilities]);
+
+    return isBatch ? result : result[0];
+  }
+
+  /**
+   * Dispose the tensors of the data and the clusters.
+   */
+  dispose() {
+    tf.dispose([this.dataTensor, this.weights, this.means, this.covariances, this.precisions]);
+  }
+}
+
+const gaussianMixture = (dataset, options, callback) =>
+  new GaussianMixture(dataset, options, callback);
+
+export default gaussianMixture;
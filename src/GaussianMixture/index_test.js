@@ -0,0 +1,49 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { gaussianMixture } = ml5;
+
+const DATA = [...new Array(60).keys()].map(i =>
+  i % 2 === 0 ? [i % 3, (i % 5) / 2] : [20 + (i % 3), 20 + (i % 5) / 2],
+);
+
+describe("gaussianMixture", () => {
+  let model;
+
+  beforeAll(async () => {
+    model = await gaussianMixture(DATA, { k: 2, seed: 4 }).ready;
+  });
+
+  it("Should fit a mean, covariance and weight for every cluster", () => {
+    expect(model.means.shape).toEqual([2, 2]);
+    expect(model.covariances.shape).toEqual([2, 2, 2]);
+    model.weights.arraySync().forEach(weight => expect(weight).toBeCloseTo(0.5));
+    expect(model.converged).toBe(true);
+  });
+
+  it("Should give every point a cluster and its probabilities", () => {
+    const clusters = model.dataset.map(val => val.centroid);
+    expect(clusters[0]).not.toBe(clusters[1]);
+    expect(clusters.filter((cluster, i) => cluster !== clusters[i % 2]).length).toBe(0);
+    model.dataset.forEach(val => {
+      expect(val.probabilities[0] + val.probabilities[1]).toBeCloseTo(1);
+    });
+  });
+
+  it("Should classify a point and an array of points", () => {
+    expect(model.classify([1, 1])).toBe(model.dataset[0].centroid);
+    expect(model.classify([{ x: 21, y: 21 }, { x: 0, y: 0 }])).toEqual([
+      model.dataset[1].centroid,
+      model.dataset[0].centroid,
+    ]);
+    expect(model.predictProbabilities([21, 21])[model.dataset[1].centroid]).toBeCloseTo(1);
+  });
+
+  it("Should fit diagonal covariances", async () => {
+    const diagonal = await gaussianMixture(DATA, { k: 2, covariance: 'diagonal', seed: 4 }).ready;
+    expect(diagonal.covariances.shape).toEqual([2, 2]);
+    expect(diagonal.classify([0, 0])).not.toBe(diagonal.classify([20, 20]));
+  });
+});
@@ -0,0 +1,318 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/* eslint "no-param-reassign": [2, { "props": false }] */
+/*
+Agglomerative hierarchical clustering (with Euclidian distance).
+Every point starts as its own cluster and the two closest clusters are merged
+until one cluster is left. The merges form a dendrogram that is cut into clusters
+by the number of clusters or by a distance.
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import callCallback from '../utils/callcallback';
+import {
+  CHUNK_SIZE,
+  loadDataset,
+  getSquaredDistances,
+  getMembers,
+  pointsToTensor,
+} from '../utils/clustering';
+
+const DEFAULTS = {
+  k: 2,
+  distanceThreshold: null,
+  linkage: 'ward',
+};
+
+// the distance of a point to a merged cluster (Lance-Williams formulas)
+// from its distances to the two clusters before the merge
+const LINKAGES = {
+  single: (dka, dkb) => Math.min(dka, dkb),
+  complete: (dka, dkb) => Math.max(dka, dkb),
+  average: (dka, dkb, dab, na, nb) => (na * dka + nb * dkb) / (na + nb),
+  ward: (dka, dkb, dab, na, nb, nk) =>
+    Math.sqrt(((na + nk) * dka ** 2 + (nb + nk) * dkb ** 2 - nk * dab ** 2) / (na + nb + nk)),
+};
+
+/**
+ * Find the root of a node and shorten the path to it.
+ * @param {Int32Array} parents
+ * @param {number} node
+ */
+function findRoot(parents, node) {
+  let root = node;
+  while (parents[root] !== root) root = parents[root];
+  let current = node;
+  while (parents[current] !== root) {
+    const next = parents[current];
+    parents[current] = root;
+    current = next;
+  }
+  return root;
+}
+
+class HierarchicalClustering {
+  /**
+   * Create a hierarchical clustering.
+   * @param {String || array || object} dataset - The dataset to cluster.
+   * @param {options} options - An object describing a model's parameters:
+   *    - k: number of clusters to cut the dendrogram into
+   *    - distanceThreshold: cut the dendrogram at this distance instead of into k clusters
+   *    - linkage: the distance between clusters: 'ward', 'average', 'complete' or 'single'
+   * @param {function} callback  - Optional. A callback to be called once
+   *    the model has loaded. If no callback is provided, it will return a
+   *    promise that will be resolved once the model has loaded.
+   */
+  constructor(dataset, options = {}, callback) {
+    const linkage = options.linkage || DEFAULTS.linkage;
+    if (!LINKAGES[linkage]) {
+      throw new Error(
+        `"${linkage}" is not a linkage. Use one of: ${Object.keys(LINKAGES).join(', ')}`,
+      );
+    }
+
+    this.config = {
+      k: options.k || DEFAULTS.k,
+      distanceThreshold:
+        options.distanceThreshold !== undefined
+          ? options.distanceThreshold
+          : DEFAULTS.distanceThreshold,
+      linkage,
+    };
+
+    // [{ left, right, distance, size }] from the closest to the furthest merge
+    this.merges = [];
+    this.dendrogram = null;
+    this.clusters = 0;
+    this.centroids = null;
+    this.ready = callCallback(this.load(dataset), callback);
+  }
+
+  /**
+   * Load dataset, merge the clusters and cut the dendrogram.
+   * @param {string || array || object} dataset
+   */
+  async load(dataset) {
+    this.dataset = await loadDataset(dataset);
+    this.dispose();
+    this.dataTensor = tf.tensor2d(this.dataset);
+    this.fit();
+    this.cut(this.config);
+
+    return this;
+  }
+
+  /**
+   * Merge the clusters with the nearest-neighbor chain algorithm
+   *   and create the dendrogram.
+   */
+  fit() {
+    const count = this.dataset.length;
+    const distances = this.getDistanceMatrix();
+    const updateDistance = LINKAGES[this.config.linkage];
+    const sizes = new Array(count).fill(1);
+    const active = new Array(count).fill(true);
+    const merges = [];
+    const chain = [];
+
+    while (merges.length < count - 1) {
+      if (chain.length === 0) chain.push(active.indexOf(true));
+      const a = chain[chain.length - 1];
+      const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+      // the nearest cluster, the previous cluster of the chain wins a tie
+      let b = previous;
+      let nearest = previous !== -1 ? distances[a * count + previous] : Infinity;
+      for (let j = 0; j < count; j += 1) {
+        if (active[j] && j !== a && distances[a * count + j] < nearest) {
+          nearest = distances[a * count + j];
+          b = j;
+        }
+      }
+
+      if (b !== previous) {
+        chain.push(b);
+      } else {
+        // a and b are each other's nearest clusters, the merged cluster takes the place of a
+        chain.length -= 2;
+        merges.push({ a, b, distance: nearest });
+        for (let k = 0; k < count; k += 1) {
+          if (active[k] && k !== a && k !== b) {
+            const distance = updateDistance(
+              distances[k * count + a],
+              distances[k * count + b],
+              nearest,
+              sizes[a],
+              sizes[b],
+              sizes[k],
+            );
+            distances[k * count + a] = distance;
+            distances[a * count + k] = distance;
+          }
+        }
+        sizes[a] += sizes[b];
+        active[b] = false;
+      }
+    }
+
+    this.merges = this.createMerges(merges);
+    this.dendrogram = this.createDendrogram();
+  }
+
+  /**
+   * The Euclidian distances between all of the points.
+   * @return {Float64Array} the distances of the shape [points * points]
+   */
+  getDistanceMatrix() {
+    const count = this.dataset.length;
+    const distances = new Float64Array(count * count);
+
+    for (let start = 0; start < count; start += CHUNK_SIZE) {
+      const size = Math.min(CHUNK_SIZE, count - start);
+      const rows = this.dataTensor.slice(start, size);
+      const chunk = tf.tidy(() => getSquaredDistances(rows, this.dataTensor).sqrt());
+      distances.set(chunk.dataSync(), start * count);
+      tf.dispose([rows, chunk]);
+    }
+    // a point has no distance to itself, also with rounding
+    for (let i = 0; i < count; i += 1) {
+      distances[i * count + i] = 0;
+    }
+
+    return distances;
+  }
+
+  /**
+   * Sorts the merges by distance and names the clusters like a linkage matrix:
+   *   the points are 0 to n - 1, the cluster of the i-th merge is n + i.
+   * @param {array} merges - [{ a, b, distance }] where a and b are points of the merged clusters
+   * @return {array} [{ left, right, distance, size }]
+   */
+  createMerges(merges) {
+    const count = this.dataset.length;
+    const parents = Int32Array.from({ length: count }, (_, idx) => idx);
+    const nodes = Int32Array.from({ length: count }, (_, idx) => idx);
+    const sizes = new Array(count).fill(1);
+
+    return [...merges]
+      .sort((x, y) => x.distance - y.distance)
+      .map((merge, idx) => {
+        const rootA = findRoot(parents, merge.a);
+        const rootB = findRoot(parents, merge.b);
+        const size = sizes[rootA] + sizes[rootB];
+        const result = {
+          left: Math.min(nodes[rootA], nodes[rootB]),
+          right: Math.max(nodes[rootA], nodes[rootB]),
+          distance: merge.distance,
+          size,
+        };
+        parents[rootB] = rootA;
+        sizes[rootA] = size;
+        nodes[rootA] = count + idx;
+        return result;
+      });
+  }
+
+  /**
+   * The dendrogram as a tree of { distance, size, children } with
+   *   leaves of { index, distance: 0, size: 1 }, like d3.hierarchy() expects.
+   */
+  createDendrogram() {
+    const nodes = this.dataset.map((d, index) => ({ index, distance: 0, size: 1 }));
+    this.merges.forEach(merge => {
+      nodes.push({
+        distance: merge.distance,
+        size: merge.size,
+        children: [nodes[merge.left], nodes[merge.right]],
+      });
+    });
+
+    return nodes.length > 0 ? nodes[nodes.length - 1] : null;
+  }
+
+  /**
+   * Cut the dendrogram into clusters. The cluster of every point
+   *   is stored as its centroid property.
+   * @param {object} options - { k } or { distanceThreshold }
+   * @return {number} the number of clusters
+   */
+  cut(options = {}) {
+    const count = this.dataset.length;
+    const { k = DEFAULTS.k, distanceThreshold = null } = options;
+    const merges =
+      distanceThreshold !== null
+        ? this.merges.filter(merge => merge.distance <= distanceThreshold)
+        : this.merges.slice(0, Math.max(count - k, 0));
+
+    const parents = Int32Array.from({ length: count }, (_, idx) => idx);
+    // a point of every merged cluster
+    const points = [];
+    merges.forEach(merge => {
+      const a = merge.left < count ? merge.left : points[merge.left - count];
+      const b = merge.right < count ? merge.right : points[merge.right - count];
+      const rootA = findRoot(parents, a);
+      parents[findRoot(parents, b)] = rootA;
+      points.push(rootA);
+    });
+
+    // the clusters are numbered in the order of the dataset
+    const labels = new Map();
+    this.dataset.forEach((d, idx) => {
+      const root = findRoot(parents, idx);
+      if (!labels.has(root)) labels.set(root, labels.size);
+      d.centroid = labels.get(root);
+    });
+
+    this.config.k = labels.size;
+    this.config.distanceThreshold = distanceThreshold;
+    this.clusters = labels.size;
+    if (this.centroids) this.centroids.dispose();
+    this.centroids = this.getCentroids();
+
+    return this.clusters;
+  }
+
+  /**
+   * The mean of the points of every cluster.
+   * @return {tf.tensor} a tensor of the shape [clusters, dimensions]
+   */
+  getCentroids() {
+    return tf.tidy(() => {
+      const members = getMembers(
+        this.dataset.map(d => d.centroid),
+        this.clusters,
+      );
+      const sums = members.transpose().matMul(this.dataTensor);
+      return sums.div(members.sum(0).expandDims(1));
+    });
+  }
+
+  /**
+   * Assing `value` to the cluster of its closest point. An array of values
+   *   is assigned all at once and returns the cluster of every value.
+   * @param {array || object} value
+   */
+  classify(value) {
+    const { tensor, isBatch } = pointsToTensor(value);
+    const closest = tf.tidy(() => getSquaredDistances(tensor, this.dataTensor).argMin(1));
+    const result = Array.from(closest.dataSync()).map(idx => this.dataset[idx].centroid);
+    tf.dispose([tensor, closest]);
+
+    return isBatch ? result : result[0];
+  }
+
+  /**
+   * Dispose the tensors of the data and the centroids.
+   */
+  dispose() {
+    tf.dispose([this.dataTensor, this.centroids]);
+  }
+}
+
+const hierarchicalClustering = (dataset, options, callback) =>
+  new HierarchicalClustering(dataset, options, callback);
+
+export default hierarchicalClustering;
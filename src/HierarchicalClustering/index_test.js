@@ -0,0 +1,43 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { hierarchicalClustering } = ml5;
+
+const DATA = [[0, 0], [0, 1], [10, 10], [10, 12], [30, 0]];
+
+describe("hierarchicalClustering", () => {
+  let model;
+
+  beforeAll(async () => {
+    model = await hierarchicalClustering(DATA, { k: 3, linkage: 'single' }).ready;
+  });
+
+  it("Should cut the dendrogram into k clusters", () => {
+    expect(model.clusters).toBe(3);
+    expect(model.dataset.map(val => val.centroid)).toEqual([0, 0, 1, 1, 2]);
+  });
+
+  it("Should merge the closest clusters first", () => {
+    expect(model.merges.length).toBe(4);
+    expect(model.merges[0]).toEqual({ left: 0, right: 1, distance: 1, size: 2 });
+    expect(model.merges[1]).toEqual({ left: 2, right: 3, distance: 2, size: 2 });
+    expect(model.dendrogram.size).toBe(5);
+    expect(model.dendrogram.children.length).toBe(2);
+  });
+
+  it("Should cut the dendrogram at a distance", () => {
+    expect(model.cut({ distanceThreshold: 1.5 })).toBe(4);
+    expect(model.cut({ k: 3 })).toBe(3);
+  });
+
+  it("Should classify a point and an array of points", () => {
+    expect(model.classify([1, 1])).toBe(0);
+    expect(model.classify([{ x: 9, y: 9 }, { x: 28, y: 1 }])).toEqual([1, 2]);
+  });
+
+  it("Should throw for an unknown linkage", () => {
+    expect(() => hierarchicalClustering(DATA, { linkage: 'median' })).toThrow();
+  });
+});
@@ -9,64 +9,109 @@ K-Means Algorithm (with Euclidian distance).
 */
 
 import * as tf from '@tensorflow/tfjs';
+import * as tfvis from '@tensorflow/tfjs-vis';
 import callCallback from '../utils/callcallback';
 import {
-  randomSample
+  loadDataset,
+  getSquaredDistances,
+  getMembers,
+  getSilhouetteScore,
+  pointsToTensor
+} from '../utils/clustering';
+import {
+  random,
+  randomInt,
+  randomSample,
+  withSeed
 } from '../utils/random';
 
 const DEFAULTS = {
   'k': 3,
   'maxIter': 5,
   'threshold': 0.5,
+  'init': 'kmeans++',
+  'nInit': null,
+  'centroids': null,
+  'batchSize': null,
+  'seed': null,
 };
 
-/**
- * Read in a csv file from a path to its location.
- * @param {string} path 
- */
-async function readCsv(path) {
-  const myCsv = tf.data.csv(path);
-  const loadedData = await myCsv.toArray();
-  return loadedData;
-}
+const INITS = ['kmeans++', 'random', 'given'];
+
+const FIND_K_DEFAULTS = {
+  'range': [2, 10],
+  'metric': 'silhouette',
+  'container': null,
+};
+
+const METRICS = ['silhouette', 'inertia'];
 
 /**
- * Load and flatten an array of arrays, an array of objects, or a string
- *   path to a csv.
- * @param {string || array || object} inputData 
+ * Pick an index with a chance proportional to its weight,
+ *   or a random index if all of the weights are 0.
+ * @param {array} weights
  */
-async function loadDataset(inputData) {
-  let data;
-  if (typeof inputData === 'string') {
-    data = await readCsv(inputData);
-  } else {
-    data = inputData;
-  }
-  const dataFlat = data.map((d) => {
-    return Object.values(d)
-  });
-  return dataFlat;
+function sampleIndex(weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total === 0) {
+    return randomInt(0, weights.length - 1);
+  }
+  let r = random() * total;
+  for (let i = 0; i < weights.length; i += 1) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
 }
 
-
 class KMeans {
   /**
    * Create a K-Means.
    * @param {String || array || object} dataset - The dataset to cluster.
    * @param {options} options - An object describing a model's parameters:
    *    - k: number of clusters
-   *    - maxIter: Max number of iterations to try before forcing convergence.
-   *    - threshold: Threshold for updated centriod distance before declaring convergence.
+   *    - maxIter: Max number of iterations of a run before forcing convergence.
+   *    - threshold: A run converges when no centroid moves further than the threshold.
+   *    - init: How to pick the initial centroids: 'kmeans++', 'random' or 'given'.
+   *    - nInit: Number of runs with different initial centroids, the run with the
+   *      lowest inertia is kept. By default 10 for 'random' and 1 otherwise.
+   *    - centroids: The initial centroids for init 'given', an array of arrays or objects.
+   *    - batchSize: Mini-batch K-Means: every iteration moves the centroids with a random
+   *      batch of this many points instead of all of the points. null uses all of the points.
+   *    - seed: Seed for picking the initial centroids, like ml5.setSeed() for this model only.
    * @param {function} callback  - Optional. A callback to be called once 
    *    the model has loaded. If no callback is provided, it will return a 
    *    promise that will be resolved once the model has loaded.
    */
-  constructor(dataset, options, callback) {
+  constructor(dataset, options = {}, callback) {
+    const init = options.init || DEFAULTS.init;
+    if (!INITS.includes(init)) {
+      throw new Error(`"${init}" is not an init. Use one of: ${INITS.join(', ')}`);
+    }
+    const centroids = options.centroids || DEFAULTS.centroids;
+    if (init === 'given' && !Array.isArray(centroids)) {
+      throw new Error('init "given" needs the initial centroids as an array in the centroids option');
+    }
+
     this.config = {
-      k: options.k || DEFAULTS.k,
+      k: init === 'given' ? centroids.length : options.k || DEFAULTS.k,
       maxIter: options.maxIter || DEFAULTS.maxIter,
-      threshold: options.threshold || DEFAULTS.threshold
+      threshold: options.threshold !== undefined ? options.threshold : DEFAULTS.threshold,
+      init,
+      nInit: options.nInit || DEFAULTS.nInit || (init === 'random' ? 10 : 1),
+      centroids,
+      batchSize: options.batchSize || DEFAULTS.batchSize,
+      seed: options.seed !== undefined ? options.seed : DEFAULTS.seed
     };
+    // the given centroids are the same in every run
+    if (init === 'given') {
+      this.config.nInit = 1;
+    }
+
+    // the inertia, number of iterations and convergence of every run
+    this.runs = [];
+    this.inertia = null;
+    this.iterations = null;
     this.ready = callCallback(this.load(dataset), callback);
   }
 
@@ -76,97 +121,262 @@ class KMeans {
    */
   async load(dataset) {
     
-    this.dataset = await loadDataset(dataset);
-    tf.tidy( () => {
-      this.dataTensor = tf.tensor2d(this.dataset);
-      this.dataset.forEach(d => {
-        const tensors = tf.tensor1d(Object.values(d));
-        d.tensor = tensors;
-      });
-      this.centroids = tf.tensor2d(randomSample(this.dataset, this.config.k, false));
-      this.fit();
-    })
+    const points = await loadDataset(dataset);
+    if (this.dataset) this.dispose();
+    this.dataset = points;
+    this.dataTensor = tf.tensor2d(this.dataset);
+    // every point also keeps its own tensor
+    this.dataTensor.unstack().forEach((tensor, idx) => {
+      this.dataset[idx].tensor = tensor;
+    });
+    this.refit(this.config.k);
   
     return this;
   }
 
   /**
-   * Run K-Means algorithm.
+   * Fit k clusters to the data that is loaded, without loading it again.
+   * @param {number} k
+   */
+  refit(k) {
+    tf.dispose(this.centroids);
+    this.config.k = k;
+    // the seed only picks the centroids of this fit
+    withSeed(this.config.seed, () => this.fit());
+
+    return this;
+  }
+
+  /**
+   * Run K-Means algorithm nInit times and keep the run with the lowest inertia.
    */
   fit() {
-    this.getClosestCentroids()
-    this.recenterCentroids();
-    let centroidDistance = KMeans.getEuclidianDistance(this.centroids, this.centroidsOld);
+    let best = null;
+    this.runs = [];
+
+    for (let run = 0; run < this.config.nInit; run += 1) {
+      this.centroids = this.initCentroids();
+      const result = this.config.batchSize ? this.fitMiniBatchRun() : this.fitRun();
+      result.inertia = this.getInertia();
+      this.runs.push(result);
+
+      if (best === null || result.inertia < best.inertia) {
+        if (best !== null) best.centroids.dispose();
+        best = {
+          ...result,
+          centroids: this.centroids,
+        };
+      } else {
+        this.centroids.dispose();
+      }
+    }
+
+    this.centroids = best.centroids;
+    this.getClosestCentroids();
+    this.inertia = best.inertia;
+    this.iterations = best.iterations;
+  }
+
+  /**
+   * Run K-Means from the current centroids until no centroid moves
+   * further than the threshold or maxIter is reached.
+   * Every iteration assigns all of the points at once.
+   * @return {object} { iterations, converged }
+   */
+  fitRun() {
     let iteration = 0;
-    while (centroidDistance > this.config.threshold && iteration < this.config.maxIter) {
-      this.getClosestCentroids();
-      this.recenterCentroids();
-      centroidDistance = KMeans.getEuclidianDistance(this.centroids, this.centroidsOld);
+    let converged = false;
+    while (!converged && iteration < this.config.maxIter) {
+      const assignments = this.predict(this.dataTensor);
+      this.recenterCentroids(assignments);
+      assignments.dispose();
+      converged = KMeans.getMaxCentroidShift(this.centroids, this.centroidsOld) <= this.config.threshold;
+      this.centroidsOld.dispose();
       iteration += 1;
     }
+
+    return {
+      iterations: iteration,
+      converged,
+    };
+  }
+
+  /**
+   * Run Mini-Batch K-Means from the current centroids. Every iteration moves
+   * the centroids towards the points of a random batch that are closest to them,
+   * by less the more points a centroid has seen.
+   * @return {object} { iterations, converged }
+   */
+  fitMiniBatchRun() {
+    const { k, batchSize, maxIter, threshold } = this.config;
+    const count = this.dataset.length;
+    let seen = tf.zeros([k]);
+    let iteration = 0;
+    let converged = false;
+
+    while (!converged && iteration < maxIter) {
+      const indices = Int32Array.from({ length: Math.min(batchSize, count) }, () => randomInt(0, count - 1));
+      const [centroids, newSeen] = this.moveCentroidsWithBatch(indices, seen);
+
+      converged = KMeans.getMaxCentroidShift(centroids, this.centroids) <= threshold;
+      tf.dispose([this.centroids, seen]);
+      this.centroids = centroids;
+      seen = newSeen;
+      iteration += 1;
+    }
+    seen.dispose();
+
+    return {
+      iterations: iteration,
+      converged,
+    };
+  }
+
+  /**
+   * Move every centroid to the mean of all of the points it has seen
+   *   including the points of the batch that are closest to it.
+   * @param {Int32Array} indices - the indices of the points of the batch
+   * @param {tf.tensor} seen - the number of points every centroid has seen
+   * @return {array} [centroids, seen]
+   */
+  moveCentroidsWithBatch(indices, seen) {
+    return tf.tidy(() => {
+      const batch = this.dataTensor.gather(tf.tensor1d(indices, 'int32'));
+      const members = getMembers(this.predict(batch), this.config.k);
+      const batchCounts = members.sum(0);
+      const batchSums = members.transpose().matMul(batch);
+      const totalCounts = seen.add(batchCounts);
+      const step = batchSums
+        .sub(this.centroids.mul(batchCounts.expandDims(1)))
+        .div(totalCounts.maximum(1).expandDims(1));
+      return [this.centroids.add(step), totalCounts];
+    });
+  }
+
+  /**
+   * Pick the initial centroids.
+   *  - kmeans++: the first centroid is a random point, every next centroid is a point
+   *    picked with a chance proportional to its squared distance to the closest centroid
+   *  - random: k random points
+   *  - given: the centroids of the config
+   */
+  initCentroids() {
+    const { k, init, centroids } = this.config;
+
+    if (init === 'given') {
+      const given = centroids.map(c => Object.values(c));
+      if (given.some(c => c.length !== this.dataTensor.shape[1])) {
+        throw new Error(`every centroid needs ${this.dataTensor.shape[1]} values like the data`);
+      }
+      return tf.tensor2d(given);
+    }
+    if (init === 'random') {
+      return tf.tensor2d(randomSample(this.dataset, k, false));
+    }
+
+    const picked = [this.dataset[randomInt(0, this.dataset.length - 1)]];
+    let minDistances = null;
+    while (picked.length < k) {
+      const last = picked[picked.length - 1];
+      const toLast = tf.tidy(() => this.dataTensor.sub(tf.tensor1d(last)).square().sum(1));
+      if (minDistances === null) {
+        minDistances = toLast;
+      } else {
+        const distances = tf.minimum(minDistances, toLast);
+        tf.dispose([minDistances, toLast]);
+        minDistances = distances;
+      }
+      picked.push(this.dataset[sampleIndex(minDistances.dataSync())]);
+    }
+    if (minDistances !== null) minDistances.dispose();
+
+    return tf.tensor2d(picked);
+  }
+
+  /**
+   * The sum of the squared distances of the points to their closest centroid.
+   */
+  getInertia() {
+    return tf.tidy(() =>
+      getSquaredDistances(this.dataTensor, this.centroids)
+        .min(1)
+        .sum()
+        .dataSync()[0]
+    );
   }
 
   /**
    * Find closest centroids to each observation and store as attribute.
    */
   getClosestCentroids() {
-    // find closest initial tensor
-    this.dataset.forEach(d => {
-      const minCentroid = this.closestCentroid(d.tensor);
-      d.centroid = minCentroid;
-    })
+    const assignments = this.predict(this.dataTensor);
+    const values = assignments.dataSync();
+    assignments.dispose();
+    this.dataset.forEach((d, idx) => {
+      d.centroid = values[idx];
+    });
   }
 
   /**
-   * Load and flatten an array of arrays, an array of objects, or a string
-   *   path to a csv.
-   * @param {string || array || object} inputData 
+   * The index of the closest centroid of every point.
+   * @param {tf.tensor} points - a tensor of the shape [points, dimensions]
+   * @return {tf.tensor} an int32 tensor of the shape [points]
+   */
+  predict(points) {
+    return tf.tidy(() => getSquaredDistances(points, this.centroids).argMin(1));
+  }
+
+  /**
+   * The index of the closest centroid of a point or of every point of a batch.
+   * @param {tf.tensor} dataTensor - a tensor of the shape [dimensions] or [points, dimensions]
+   * @return {number || array}
    */
   closestCentroid(dataTensor) {
-    return tf.tidy(() => {
-      const dist = this.centroids.squaredDifference(dataTensor).sum(1).sqrt();
-      const minCentroid = dist.argMin().arraySync();
-      return minCentroid;
-    });
+    const isBatch = dataTensor.rank === 2;
+    const assignments = tf.tidy(() => this.predict(isBatch ? dataTensor : dataTensor.expandDims(0)));
+    const result = Array.from(assignments.dataSync());
+    assignments.dispose();
+    return isBatch ? result : result[0];
   }
 
   /**
-   * Assing `value` to a cluster.
+   * Assing `value` to a cluster. An array of values
+   *   is assigned all at once and returns the cluster of every value.
    * @param {array || object} value 
    */
   classify(value) {
-    return tf.tidy(() => {
-      // input must be array or object
-      const valueTensor = tf.tensor1d(Object.values(value));
-      const minCentroid = this.closestCentroid(valueTensor);
-      return minCentroid;
-    })
+    // input must be array or object
+    const { tensor, isBatch } = pointsToTensor(value);
+    const result = this.closestCentroid(tensor);
+    tensor.dispose();
+    return isBatch ? result : result[0];
   }
 
   /**
-   * Recenter each centroid.
+   * Recenter each centroid to the mean of its points.
+   * @param {tf.tensor} assignments - the index of the closest centroid of every point
    */
-  recenterCentroids() {
+  recenterCentroids(assignments) {
     // store previous run's centroids for convergence
-    // recenter each centroid
-    const result = tf.tidy( () => {
-      this.centroidsOld = this.centroids;
-      return tf.stack(this.centroids.unstack().map((centroid, k) => {
-        // subset centroid to its cluster
-        const centroidK = this.dataset.filter(d => d.centroid === k);
-        // conver to tensor
-        const centroidKTensor = centroidK.map(d => d.tensor);
-        if (centroidKTensor.length === 0) {
-          return centroid;
-        } else if (centroidKTensor.length === 1) {
-          return centroidKTensor[0];
-        }
-        // grab mean for for cluster
-        const newCentroids = tf.tidy(() => tf.stack(centroidKTensor).mean(0));
-        return newCentroids
-      }))
-    })
-    this.centroids = result;
+    this.centroidsOld = this.centroids;
+    this.centroids = tf.tidy(() => {
+      const members = getMembers(assignments, this.config.k);
+      const counts = members.sum(0).expandDims(1);
+      const sums = members.transpose().matMul(this.dataTensor);
+      // a centroid without points stays where it is
+      return tf.where(
+        counts.greater(0).tile([1, this.centroidsOld.shape[1]]),
+        sums.div(counts.maximum(1)),
+        this.centroidsOld,
+      );
+    });
+  }
+
+  /**
+   * Dispose the tensors of the data and the centroids.
+   */
+  dispose() {
+    tf.dispose([this.dataTensor, this.centroids, ...this.dataset.map(d => d.tensor)]);
   }
 
   /**
@@ -182,8 +392,127 @@ class KMeans {
     })
     return distTensor[0];
   }
+
+  /**
+   * The largest Euclidian distance that a centroid moved.
+   * @param {tf.tensor} centroids
+   * @param {tf.tensor} centroidsOld
+   */
+  static getMaxCentroidShift(centroids, centroidsOld) {
+    return tf.tidy(() => tf.squaredDifference(centroids, centroidsOld).sum(1).sqrt().max().dataSync()[0]);
+  }
 }
 
 const kmeans = (dataset, options, callback) => new KMeans(dataset, options, callback);
 
-export default kmeans;
\ No newline at end of file
+/**
+ * The k of the elbow of the inertia: the score furthest above the straight line
+ *   from the first to the last score, with k and the inertia scaled from 0 to 1.
+ * @param {array} scores - [{ k, inertia }] from the lowest k
+ */
+function getElbow(scores) {
+  const first = scores[0];
+  const last = scores[scores.length - 1];
+  const kRange = last.k - first.k || 1;
+  const inertiaRange = first.inertia - last.inertia || 1;
+
+  let elbow = first;
+  let maxDistance = -Infinity;
+  scores.forEach(score => {
+    // the share of the steps of k and of the decrease of the inertia up to this k
+    const distance = (first.inertia - score.inertia) / inertiaRange - (score.k - first.k) / kRange;
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      elbow = score;
+    }
+  });
+
+  return elbow.k;
+}
+
+/**
+ * Fit kmeans for every k of the range and score the clusters.
+ * @param {string || array || object} dataset
+ * @param {object} options - { range, metric, container } and the options of kmeans
+ * @return {object} { k, metric, scores: [{ k, inertia, silhouette }] }
+ */
+async function findKInternal(dataset, options = {}) {
+  const {
+    range = FIND_K_DEFAULTS.range,
+    metric = FIND_K_DEFAULTS.metric,
+    container = FIND_K_DEFAULTS.container,
+    ...kmeansOptions
+  } = options;
+  if (!METRICS.includes(metric)) {
+    throw new Error(`"${metric}" is not a metric. Use one of: ${METRICS.join(', ')}`);
+  }
+  const [minK, maxK] = range;
+  if (!Number.isInteger(minK) || !Number.isInteger(maxK) || minK < 1 || maxK < minK) {
+    throw new Error('range needs to be [min, max] with whole numbers from 1 and min <= max');
+  }
+  if (metric === 'silhouette' && maxK < 2) {
+    throw new Error('the silhouette needs a range up to at least 2 clusters');
+  }
+
+  const data = await loadDataset(dataset);
+  // every cluster needs a point and the silhouette needs a cluster with two points
+  const lastK = Math.min(maxK, data.length - 1);
+  if (lastK < minK || (metric === 'silhouette' && lastK < 2)) {
+    throw new Error(`there are ${data.length} points, not enough for ${minK} or more clusters`);
+  }
+
+  // every k is fitted to the same data tensor
+  const model = await kmeans(data, { ...kmeansOptions, k: minK }).ready;
+  const scores = [];
+  for (let k = minK; k <= lastK; k += 1) {
+    if (k > minK) model.refit(k);
+    const labels = model.dataset.map(d => d.centroid);
+    scores.push({
+      k,
+      inertia: model.inertia,
+      // the silhouette compares a cluster with the other clusters
+      silhouette: k > 1 ? getSilhouetteScore(model.dataTensor, labels, k) : null,
+    });
+  }
+  model.dispose();
+
+  const scored = scores.filter(score => score.silhouette !== null);
+  const k =
+    metric === 'silhouette'
+      ? scored.reduce((best, score) => (score.silhouette > best.silhouette ? score : best)).k
+      : getElbow(scores);
+
+  if (container) {
+    const values = scores
+      .filter(score => score[metric] !== null)
+      .map(score => ({ x: score.k, y: score[metric] }));
+    tfvis.render.linechart(
+      container,
+      { values: [values], series: [metric] },
+      { xLabel: 'k', yLabel: metric, height: 300 },
+    );
+  }
+
+  return { k, metric, scores };
+}
+
+/**
+ * Find a good number of clusters for kmeans.
+ * @param {string || array || object} dataset
+ * @param {object || function} optionsOrCallback - { range, metric, container } and the options
+ *    of kmeans, or the callback
+ * @param {function} cb - Optional. A callback with the result.
+ */
+kmeans.findK = (dataset, optionsOrCallback, cb) => {
+  let options = {};
+  let callback = cb;
+  if (typeof optionsOrCallback === 'function') {
+    callback = optionsOrCallback;
+  } else if (optionsOrCallback) {
+    options = optionsOrCallback;
+  }
+
+  return callCallback(findKInternal(dataset, options), callback);
+};
+
+export default kmeans;
@@ -39,4 +39,82 @@ describe("kMeans", () => {
     const unique = [...new Set(centroids)].length;
     expect(unique).toBe(2);
   });
+
+  it("Should pick the same clusters with the same seed", async () => {
+    const data = [...new Array(30).keys()].map(i => ({ x: i % 10, y: (i * 3) % 7 }));
+    const first = await kmeans(data, { k: 3, seed: 5 }).ready;
+    const second = await kmeans(data, { k: 3, seed: 5 }).ready;
+    expect(second.dataset.map(val => val.centroid)).toEqual(first.dataset.map(val => val.centroid));
+  });
+
+  it("Should keep the seed of the options to the model", async () => {
+    const data = [...new Array(30).keys()].map(i => ({ x: i % 10, y: (i * 3) % 7 }));
+    ml5.setSeed(8);
+    const first = await kmeans(data, { k: 3, init: 'random' }).ready;
+    ml5.setSeed(8);
+    await kmeans(data, { k: 3, seed: 5 }).ready;
+    const second = await kmeans(data, { k: 3, init: 'random' }).ready;
+    ml5.setSeed(null);
+    expect(second.centroids.arraySync()).toEqual(first.centroids.arraySync());
+  });
+
+  it("Should keep the run with the lowest inertia", async () => {
+    const data = [[0, 0], [0, 1], [1, 0], [10, 10], [10, 11], [11, 10]];
+    const model = await kmeans(data, { k: 2, init: 'random', nInit: 4 }).ready;
+    expect(model.runs.length).toBe(4);
+    expect(model.inertia).toBe(Math.min(...model.runs.map(run => run.inertia)));
+    expect(model.inertia).toBeCloseTo(8 / 3);
+    expect(model.classify([10, 9])).toBe(model.classify([11, 11]));
+  });
+
+  it("Should start from the given centroids", async () => {
+    const data = [[0, 0], [0, 2], [10, 10], [10, 12]];
+    const model = await kmeans(data, { init: 'given', centroids: [[1, 1], [9, 9]] }).ready;
+    expect(model.config.k).toBe(2);
+    expect(model.centroids.arraySync()).toEqual([[0, 1], [10, 11]]);
+    expect(model.dataset.map(val => val.centroid)).toEqual([0, 0, 1, 1]);
+    expect(model.runs[0].converged).toBe(true);
+  });
+
+  it("Should classify an array of points at once", async () => {
+    const data = [[0, 0], [0, 2], [10, 10], [10, 12]];
+    const model = await kmeans(data, { init: 'given', centroids: [[1, 1], [9, 9]] }).ready;
+    expect(model.classify([[9, 9], [1, 0], [12, 12]])).toEqual([1, 0, 1]);
+    expect(model.classify({ x: 1, y: 0 })).toBe(0);
+  });
+
+  it("Should keep the defaults and a tensor of every point", async () => {
+    const data = [[0, 0], [0, 2], [10, 10], [10, 12]];
+    const model = await kmeans(data, { k: 2, seed: 1 }).ready;
+    expect(model.config.maxIter).toBe(5);
+    expect(model.config.threshold).toBe(0.5);
+    expect(model.dataset[2].tensor.arraySync()).toEqual([10, 10]);
+    model.dispose();
+  });
+
+  it("Should cluster with mini-batches", async () => {
+    const data = [...new Array(200).keys()].map(i => (i % 2 === 0 ? [i % 7, i % 5] : [50 + (i % 7), 50 + (i % 5)]));
+    const model = await kmeans(data, { k: 2, batchSize: 16, maxIter: 50, seed: 3 }).ready;
+    expect(model.iterations).toBeLessThanOrEqual(50);
+    expect(model.classify([0, 0])).not.toBe(model.classify([50, 50]));
+    expect(model.dataset[0].centroid).toBe(model.classify([0, 0]));
+  });
+
+  it("Should find k with the silhouette and the elbow of the inertia", async () => {
+    const centers = [[0, 0], [20, 0], [0, 20]];
+    const data = [...new Array(60).keys()].map(i => [centers[i % 3][0] + (i % 4), centers[i % 3][1] + (i % 5)]);
+    const silhouette = await kmeans.findK(data, { range: [1, 6], seed: 2 });
+    expect(silhouette.k).toBe(3);
+    expect(silhouette.scores.map(score => score.k)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(silhouette.scores[0].silhouette).toBe(null);
+    const inertia = await kmeans.findK(data, { range: [1, 6], metric: 'inertia', seed: 2 });
+    expect(inertia.k).toBe(3);
+  });
+
+  it("Should only try k up to the number of points minus 1", async () => {
+    const data = [[0, 0], [0, 1], [10, 10], [10, 11], [20, 0]];
+    const result = await kmeans.findK(data, { seed: 2 });
+    expect(result.scores.map(score => score.k)).toEqual([2, 3, 4]);
+    expect(result.k).toBe(3);
+  });
 });
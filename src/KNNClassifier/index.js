@@ -13,6 +13,7 @@ import * as tf from '@tensorflow/tfjs';
 import * as knnClassifier from '@tensorflow-models/knn-classifier';
 import * as io from '../utils/io';
 import callCallback from '../utils/callcallback';
+import { isStorageUrl, saveToStorage, loadFromStorage } from '../utils/modelStorage';
 
 class KNN {
   /**
@@ -171,9 +172,14 @@ class KNN {
 
   /**
    * Download the whole dataset as a JSON file. It's useful for saving state.
-   * @param {String} name - Optional. The name of the JSON file that will be downloaded. e.g. "myKNN" or "myKNN.json". If no fileName is provided, the default file name is "myKNN.json".
+   * @param {String} name - Optional. The name of the JSON file that will be downloaded. e.g. "myKNN" or "myKNN.json". If no fileName is provided, the default file name is "myKNN.json". A name like "indexeddb://myKNN" or "localstorage://myKNN" saves the dataset in the browser instead.
+   * @param {function} callback - Optional. A function to run once the dataset has been saved. If no callback is provided, it will return a promise that will be resolved once the dataset has been saved.
    */
-  async save(name) {
+  save(name, callback) {
+    return callCallback(this.saveInternal(name), callback);
+  }
+
+  async saveInternal(name) {
     const dataset = this.knnClassifier.getClassifierDataset();
     if (this.mapStringToIndex.length > 0) {
       Object.keys(dataset).forEach((key) => {
@@ -189,6 +195,10 @@ class KNN {
       }
       return null;
     });
+    if (isStorageUrl(name)) {
+      await saveToStorage(name, 'KNNClassifier', { dataset, tensors });
+      return;
+    }
     let fileName = 'myKNN.json';
     if (name) {
       fileName = name.endsWith('.json') ? name : `${name}.json`;
@@ -198,13 +208,19 @@ class KNN {
 
   /**
    * Load a dataset from a JSON file. It's useful for restoring state.
-   * @param {String} pathOrData - The path for a valid JSON file.
+   * @param {String} pathOrData - The path for a valid JSON file or a name like "indexeddb://myKNN" that it was saved with.
    * @param {function} callback - Optional. A function to run once the dataset has been loaded. If no callback is provided, it will return a promise that will be resolved once the dataset has loaded.
    */
-  async load(pathOrData, callback) {
+  load(pathOrData, callback) {
+    return callCallback(this.loadInternal(pathOrData), callback);
+  }
+
+  async loadInternal(pathOrData) {
     let data;
     if (typeof pathOrData === 'object') {
       data = pathOrData;
+    } else if (isStorageUrl(pathOrData)) {
+      data = await loadFromStorage(pathOrData, 'KNNClassifier');
     } else {
       data = await io.loadFile(pathOrData);
     }
@@ -224,9 +240,6 @@ class KNN {
           return acc;
         }, {});
       this.knnClassifier.setClassifierDataset(tensorsData);
-      if (callback) {
-        callback();
-      }
     }
   }
 }
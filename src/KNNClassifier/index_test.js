@@ -0,0 +1,70 @@
+// Copyright (c) 2018 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { KNNClassifier } = ml5;
+
+describe('KNNClassifier', () => {
+  let knn;
+
+  beforeEach(() => {
+    knn = KNNClassifier();
+    knn.addExample([1, 0], 'left');
+    knn.addExample([1, 0.1], 'left');
+    knn.addExample([0, 1], 'right');
+    knn.addExample([0.1, 1], 'right');
+  });
+
+  afterEach(() => {
+    knn.dispose();
+  });
+
+  it('Should classify an example by its nearest examples', async () => {
+    const result = await knn.classify([0.2, 1], 3);
+
+    expect(result.label).toBe('right');
+    expect(knn.getCountByLabel()).toEqual({ left: 2, right: 2 });
+  });
+
+  describe('browser storage', () => {
+    ['localstorage', 'indexeddb'].forEach(storage => {
+      it(`Should save, list, load and delete the examples in ${storage}`, async () => {
+        const url = `${storage}://knn-test`;
+        await knn.save(url);
+
+        const savedModels = await ml5.listSavedModels();
+        expect(savedModels.find(model => model.url === url).type).toBe('KNNClassifier');
+
+        const loaded = KNNClassifier();
+        await loaded.load(url);
+        expect(loaded.getCountByLabel()).toEqual({ left: 2, right: 2 });
+        expect((await loaded.classify([0.2, 1], 3)).label).toBe('right');
+        expect((await loaded.classify([1, 0.2], 3)).label).toBe('left');
+        loaded.dispose();
+
+        await ml5.deleteSavedModel(url);
+        const remainingModels = await ml5.listSavedModels();
+        expect(remainingModels.map(model => model.url)).not.toContain(url);
+      });
+    });
+
+    it('Should not load a model that is not saved', async () => {
+      const loaded = KNNClassifier();
+      const error = await loaded.load('localstorage://knn-missing').then(() => null, e => e);
+
+      expect(error.message).toMatch(/no model saved at "localstorage:\/\/knn-missing"/);
+      loaded.dispose();
+    });
+
+    it('Should call back with an error for a model that is not saved', async () => {
+      const loaded = KNNClassifier();
+      const error = await new Promise((resolve) => {
+        loaded.load('indexeddb://knn-missing', resolve).catch(() => {});
+      });
+
+      expect(error.message).toMatch(/no model saved at "indexeddb:\/\/knn-missing"/);
+      loaded.dispose();
+    });
+  });
+});
@@ -2,7 +2,112 @@ import * as tf from '@tensorflow/tfjs';
 import axios from 'axios';
 import callCallback from '../utils/callcallback';
 import { saveBlob } from '../utils/io';
-import { randomGaussian } from '../utils/random';
+import {
+  getSeed,
+  random,
+  randomTfSeed,
+  shuffle as shuffleArray,
+  withGenerator,
+  withSeed,
+  withSeededMathRandom,
+} from '../utils/random';
+
+const MUTATIONS = ['gaussian', 'uniform'];
+const LEARNING_RATE_SCHEDULES = ['step', 'exponential', 'cosine', 'plateau'];
+
+// the optimizers by name, created from the learning rate and their parameters
+const OPTIMIZERS = {
+  sgd: (learningRate, { momentum = 0, useNesterov = false }) =>
+    momentum > 0
+      ? tf.train.momentum(learningRate, momentum, useNesterov)
+      : tf.train.sgd(learningRate),
+  momentum: (learningRate, { momentum = 0.9, useNesterov = false }) =>
+    tf.train.momentum(learningRate, momentum, useNesterov),
+  adam: (learningRate, { beta1, beta2, epsilon }) =>
+    tf.train.adam(learningRate, beta1, beta2, epsilon),
+  adamax: (learningRate, { beta1, beta2, epsilon, decay }) =>
+    tf.train.adamax(learningRate, beta1, beta2, epsilon, decay),
+  adagrad: (learningRate, { initialAccumulatorValue }) =>
+    tf.train.adagrad(learningRate, initialAccumulatorValue),
+  adadelta: (learningRate, { rho, epsilon }) => tf.train.adadelta(learningRate, rho, epsilon),
+  rmsprop: (learningRate, { decay, momentum, epsilon, centered }) =>
+    tf.train.rmsprop(learningRate, decay, momentum, epsilon, centered),
+};
+const CROSSOVERS = ['uniform', 'singlePoint', 'layer', 'blend'];
+
+/**
+ * the options of a layer: the options with the overrides of
+ * options.layers[layer.name] or options.layers[index],
+ * null if the layer should not be changed
+ * @param {*} options
+ * @param {*} layer
+ * @param {*} idx
+ */
+const getLayerOptions = (options, layer, idx) => {
+  const { layers = {}, ...layerOptions } = options;
+  const overrides = layers[layer.name] !== undefined ? layers[layer.name] : layers[idx];
+
+  if (overrides === false) {
+    return null;
+  }
+  return { ...layerOptions, ...overrides };
+};
+
+/**
+ * mutates a weight tensor, each weight with the chance of the rate
+ * @param {*} tensor
+ * @param {*} options - { strategy, rate, sigma, min, max, clamp }
+ */
+const mutateTensor = (tensor, options) => {
+  const { strategy, rate, sigma, min, max, clamp } = options;
+  const mask = tf.randomUniform(tensor.shape, 0, 1, 'float32', randomTfSeed()).less(rate);
+
+  if (strategy === 'gaussian') {
+    const noise = tf.randomNormal(tensor.shape, 0, sigma, 'float32', randomTfSeed());
+    const mutated = clamp ? tensor.add(noise).clipByValue(min, max) : tensor.add(noise);
+    return tf.where(mask, mutated, tensor);
+  }
+  if (strategy === 'uniform') {
+    return tf.where(mask, tf.randomUniform(tensor.shape, min, max, 'float32', randomTfSeed()), tensor);
+  }
+  throw new Error(`"${strategy}" is not a mutation. Use one of: ${MUTATIONS.join(', ')}`);
+};
+
+/**
+ * the crossover of the weight tensors of the same layer of two models
+ * @param {*} weightsA
+ * @param {*} weightsB
+ * @param {*} options - { strategy, alpha }
+ */
+const crossoverWeights = (weightsA, weightsB, options) => {
+  const { strategy, alpha } = options;
+
+  switch (strategy) {
+    case 'uniform':
+      return weightsA.map((tensor, i) =>
+        tf.where(
+          tf.randomUniform(tensor.shape, 0, 1, 'float32', randomTfSeed()).less(0.5),
+          weightsB[i],
+          tensor,
+        ),
+      );
+    case 'blend':
+      return weightsA.map((tensor, i) => tensor.mul(alpha).add(weightsB[i].mul(1 - alpha)));
+    case 'layer':
+      return (random() < 0.5 ? weightsA : weightsB).map(tensor => tensor.clone());
+    case 'singlePoint': {
+      // the weights of the layer before the point come from A, after it from B
+      const sizes = weightsA.map(tensor => tensor.size);
+      const flatA = tf.concat(weightsA.map(tensor => tensor.flatten()));
+      const flatB = tf.concat(weightsB.map(tensor => tensor.flatten()));
+      const point = Math.floor(random() * (flatA.size + 1));
+      const child = tf.where(tf.range(0, flatA.size).less(point), flatA, flatB);
+      return tf.split(child, sizes).map((tensor, i) => tensor.reshape(weightsA[i].shape));
+    }
+    default:
+      throw new Error(`"${strategy}" is not a crossover. Use one of: ${CROSSOVERS.join(', ')}`);
+  }
+};
 
 class NeuralNetwork {
   constructor() {
@@ -12,19 +117,34 @@ class NeuralNetwork {
     this.isLayered = false;
     // the model
     this.model = null;
+    // the learning rate of the optimizer when it was compiled
+    this.initialLearningRate = null;
 
     // methods
     this.init = this.init.bind(this);
     this.createModel = this.createModel.bind(this);
+    this.createFunctionalModel = this.createFunctionalModel.bind(this);
     this.addLayer = this.addLayer.bind(this);
     this.compile = this.compile.bind(this);
     this.setOptimizerFunction = this.setOptimizerFunction.bind(this);
+    this.createOptimizer = this.createOptimizer.bind(this);
+    this.getOptimizerConfig = this.getOptimizerConfig.bind(this);
+    this.setLearningRate = this.setLearningRate.bind(this);
     this.train = this.train.bind(this);
     this.trainInternal = this.trainInternal.bind(this);
+    this.createEarlyStopping = this.createEarlyStopping.bind(this);
+    this.createLearningRateSchedule = this.createLearningRateSchedule.bind(this);
+    this.createBatchDataset = this.createBatchDataset.bind(this);
     this.predict = this.predict.bind(this);
     this.classify = this.classify.bind(this);
+    this.attribute = this.attribute.bind(this);
     this.save = this.save.bind(this);
     this.load = this.load.bind(this);
+    this.mutate = this.mutate.bind(this);
+    this.mutateWithFunction = this.mutateWithFunction.bind(this);
+    this.crossover = this.crossover.bind(this);
+    this.getModelArtifacts = this.getModelArtifacts.bind(this);
+    this.loadModelArtifacts = this.loadModelArtifacts.bind(this);
 
     // initialize
     this.init();
@@ -41,18 +161,52 @@ class NeuralNetwork {
    * creates a sequential model
    * uses switch/case for potential future where different formats are supported
    * @param {*} _type
+   * @param {*} _options - only used by the functional model
    */
-  createModel(_type = 'sequential') {
+  createModel(_type = 'sequential', _options = {}) {
     switch (_type.toLowerCase()) {
       case 'sequential':
         this.model = tf.sequential();
         return this.model;
+      case 'functional':
+        this.model = this.createFunctionalModel(_options);
+        this.isLayered = true;
+        return this.model;
       default:
         this.model = tf.sequential();
         return this.model;
     }
   }
 
+  /**
+   * creates a model where the hidden layers are shared
+   * and every output gets its own output layer (head)
+   * @param {*} _options - { inputShape, layers: [{type, ...}], outputs: [{units, activation}] }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createFunctionalModel(_options) {
+    const { inputShape, layers = [], outputs = [] } = _options;
+
+    // the weights are initialized with the seed of ml5.setSeed()
+    return withSeededMathRandom(() => {
+      const input = tf.input({ shape: inputShape });
+      const hidden = layers.reduce((prev, layer) => tf.layers[layer.type](layer).apply(prev), input);
+      const heads = outputs.map(output =>
+        tf.layers
+          .dense({
+            units: output.units,
+            activation: output.activation,
+          })
+          .apply(hidden),
+      );
+
+      return tf.model({
+        inputs: input,
+        outputs: heads,
+      });
+    });
+  }
+
   /**
    * add layer to the model
    * if the model has 2 or more layers switch the isLayered flag
@@ -60,7 +214,8 @@ class NeuralNetwork {
    */
   addLayer(_layerOptions) {
     const LAYER_OPTIONS = _layerOptions || {};
-    this.model.add(LAYER_OPTIONS);
+    // the weights are initialized with the seed of ml5.setSeed()
+    withSeededMathRandom(() => this.model.add(LAYER_OPTIONS));
 
     // check if it has at least an input and output layer
     if (this.model.layers.length >= 2) {
@@ -76,6 +231,7 @@ class NeuralNetwork {
   compile(_modelOptions) {
     this.model.compile(_modelOptions);
     this.isCompiled = true;
+    this.initialLearningRate = this.model.optimizer ? this.model.optimizer.learningRate : null;
   }
 
   /**
@@ -88,6 +244,56 @@ class NeuralNetwork {
     return optimizer.call(this, learningRate);
   }
 
+  /**
+   * Creates an optimizer from its name or a config object
+   * with its name and parameters
+   * @param {*} learningRate
+   * @param {*} _config - 'adam' or { name: 'adam', beta1, beta2, epsilon }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createOptimizer(learningRate, _config) {
+    const { name, ...params } = typeof _config === 'string' ? { name: _config } : _config;
+    const createOptimizer = OPTIMIZERS[`${name}`.toLowerCase()];
+
+    if (!createOptimizer) {
+      throw new Error(
+        `"${name}" is not an optimizer. Use one of: ${Object.keys(OPTIMIZERS).join(', ')}`,
+      );
+    }
+    return createOptimizer(learningRate, params);
+  }
+
+  /**
+   * The name and the parameters of the optimizer of the compiled model,
+   * can be given to createOptimizer() to create the same optimizer again
+   * @return {object} { name, learningRate, ...params }
+   */
+  getOptimizerConfig() {
+    const { optimizer } = this.model;
+    if (!optimizer) return null;
+
+    const { learningRate, ...params } = optimizer.getConfig();
+    return {
+      name: optimizer.getClassName().toLowerCase(),
+      learningRate: this.initialLearningRate !== null ? this.initialLearningRate : learningRate,
+      ...params,
+    };
+  }
+
+  /**
+   * Changes the learning rate of the optimizer while training
+   * @param {*} learningRate
+   */
+  setLearningRate(learningRate) {
+    const { optimizer } = this.model;
+    // sgd keeps the learning rate as a tensor
+    if (typeof optimizer.setLearningRate === 'function') {
+      optimizer.setLearningRate(learningRate);
+    } else {
+      optimizer.learningRate = learningRate;
+    }
+  }
+
   /**
    * Calls the trainInternal() and calls the callback when finished
    * @param {*} _options
@@ -107,20 +313,337 @@ class NeuralNetwork {
     const xs = TRAINING_OPTIONS.inputs;
     const ys = TRAINING_OPTIONS.outputs;
 
-    const { batchSize, epochs, shuffle, validationSplit, whileTraining } = TRAINING_OPTIONS;
-
-    await this.model.fit(xs, ys, {
+    const {
       batchSize,
       epochs,
       shuffle,
       validationSplit,
-      callbacks: whileTraining,
-    });
+      whileTraining,
+      dataset,
+      validationData,
+      classWeight,
+      augment,
+      generator = null,
+    } = TRAINING_OPTIONS;
+
+    // only watch the training when a patience is given
+    const earlyStopping =
+      typeof TRAINING_OPTIONS.patience === 'number'
+        ? this.createEarlyStopping(TRAINING_OPTIONS)
+        : null;
+
+    // change the learning rate between the epochs
+    const schedule = TRAINING_OPTIONS.learningRateSchedule
+      ? this.createLearningRateSchedule(TRAINING_OPTIONS.learningRateSchedule, epochs)
+      : null;
+
+    let callbacks = whileTraining;
+    if (earlyStopping !== null || schedule !== null) {
+      callbacks = whileTraining ? [whileTraining].flat() : [];
+      if (schedule !== null) callbacks.push(schedule.callback);
+      if (earlyStopping !== null) callbacks.push(earlyStopping.callback);
+    }
 
-    xs.dispose();
-    ys.dispose();
+    if (dataset) {
+      // the batches of a tf.data dataset are created while training
+      await this.model.fitDataset(dataset, {
+        epochs,
+        validationData,
+        callbacks,
+        classWeight,
+      });
+    } else if (augment || (shuffle !== false && (generator !== null || getSeed() !== null))) {
+      // the images of every batch are transformed again in every epoch.
+      // with a seed the rows are shuffled by ml5 instead of model.fit()
+      const batches = this.createBatchDataset(xs, ys, {
+        batchSize,
+        shuffle,
+        validationSplit,
+        augment,
+        generator,
+      });
+      await this.model.fitDataset(batches.dataset, {
+        epochs,
+        validationData: validationData || batches.validationData,
+        callbacks,
+        classWeight,
+      });
+
+      tf.dispose([xs, ys, validationData, batches.validationData]);
+    } else {
+      await this.model.fit(xs, ys, {
+        batchSize,
+        epochs,
+        shuffle,
+        validationSplit,
+        validationData,
+        callbacks,
+        classWeight,
+      });
+
+      // the outputs are an array of tensors for models with multiple outputs
+      tf.dispose([xs, ys, validationData]);
+    }
 
     this.isTrained = true;
+
+    const result =
+      earlyStopping !== null
+        ? earlyStopping.result
+        : {
+            stoppedEarly: false,
+            reason: 'completed',
+          };
+    if (schedule !== null) {
+      result.learningRates = schedule.learningRates;
+    }
+    return result;
+  }
+
+  /**
+   * creates a training callback that stops the training
+   * when the monitored metric has not improved by at least
+   * minDelta for the given number of epochs (patience).
+   * the best weights can be put back once the training ends.
+   * @param {*} _options
+   */
+  createEarlyStopping(_options) {
+    const {
+      monitor = 'val_loss',
+      patience = 0,
+      minDelta = 0,
+      restoreBestWeights = false,
+    } = _options;
+
+    // accuracies should go up, losses should go down
+    const direction = monitor.includes('acc') ? 1 : -1;
+
+    const result = {
+      stoppedEarly: false,
+      reason: 'completed',
+      monitor,
+      stoppedEpoch: null,
+      bestEpoch: null,
+      bestValue: null,
+      restoredBestWeights: false,
+    };
+
+    let wait = 0;
+    let bestWeights = null;
+    let hasWarned = false;
+
+    const disposeBestWeights = () => {
+      if (bestWeights !== null) {
+        tf.dispose(bestWeights);
+        bestWeights = null;
+      }
+    };
+
+    const callback = {
+      onEpochEnd: async (epoch, logs) => {
+        const current = logs[monitor];
+
+        if (typeof current !== 'number') {
+          if (!hasWarned) {
+            const available = Object.keys(logs).join(', ');
+            console.warn(`early stopping: "${monitor}" is not available. Try one of: ${available}`);
+            hasWarned = true;
+          }
+          return;
+        }
+
+        const hasImproved =
+          result.bestValue === null || direction * (current - result.bestValue) > minDelta;
+
+        if (hasImproved) {
+          result.bestValue = current;
+          result.bestEpoch = epoch;
+          wait = 0;
+
+          if (restoreBestWeights) {
+            disposeBestWeights();
+            bestWeights = this.model.getWeights().map(weight => weight.clone());
+          }
+          return;
+        }
+
+        wait += 1;
+        if (wait >= patience) {
+          result.stoppedEarly = true;
+          result.stoppedEpoch = epoch;
+          result.reason = `${monitor} did not improve by more than ${minDelta} for ${wait} epochs`;
+          this.model.stopTraining = true;
+        }
+      },
+      onTrainEnd: async () => {
+        if (restoreBestWeights && bestWeights !== null) {
+          this.model.setWeights(bestWeights);
+          result.restoredBestWeights = true;
+        }
+        disposeBestWeights();
+      },
+    };
+
+    return {
+      callback,
+      result,
+    };
+  }
+
+  /**
+   * creates a tf.data dataset of batches of the inputs and outputs
+   * where the inputs of every batch are augmented when the batch is requested.
+   * the rows are shuffled again in every epoch.
+   * the last part of the rows is used for validation like in model.fit()
+   * and is not augmented
+   * @param {*} xs - the inputs
+   * @param {*} ys - the outputs, an array of tensors for models with multiple outputs
+   * @param {*} _options - { batchSize, shuffle, validationSplit, augment: (xs) => augmentedXs or null,
+   *  generator: the generator of createGenerator() for the shuffle and the augment, or null for the one of setSeed() }
+   * @return {object} { dataset, validationData: [xs, ys] or undefined }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createBatchDataset(xs, ys, _options) {
+    const {
+      batchSize = 32,
+      shuffle = true,
+      validationSplit = 0,
+      augment = null,
+      generator = null,
+    } = _options;
+    const outputs = [ys].flat();
+    const count = xs.shape[0];
+    const validationCount = Math.floor(count * validationSplit);
+    const trainingCount = count - validationCount;
+
+    const iterator = () => {
+      const order = [...new Array(trainingCount).keys()];
+      if (shuffle) withGenerator(generator, () => shuffleArray(order));
+
+      let idx = 0;
+      return {
+        next: () => {
+          if (idx >= trainingCount) {
+            return { value: null, done: true };
+          }
+          const value = tf.tidy(() => {
+            const indices = tf.tensor1d(order.slice(idx, idx + batchSize), 'int32');
+            const batchOutputs = outputs.map(tensor => tensor.gather(indices));
+            const batchInputs = xs.gather(indices);
+            return {
+              xs: augment ? withGenerator(generator, () => augment(batchInputs)) : batchInputs,
+              ys: Array.isArray(ys) ? batchOutputs : batchOutputs[0],
+            };
+          });
+          idx += batchSize;
+          return { value, done: false };
+        },
+      };
+    };
+
+    return {
+      dataset: tf.data.generator(iterator),
+      validationData:
+        validationCount > 0
+          ? [
+              xs.slice(trainingCount, validationCount),
+              Array.isArray(ys)
+                ? ys.map(tensor => tensor.slice(trainingCount, validationCount))
+                : ys.slice(trainingCount, validationCount),
+            ]
+          : undefined,
+    };
+  }
+
+  /**
+   * creates a training callback that changes the learning rate
+   * of the optimizer after every epoch:
+   *  step: multiplies the learning rate by gamma every stepSize epochs
+   *  exponential: multiplies the learning rate by gamma every epoch
+   *  cosine: lowers the learning rate to minLearningRate along a cosine curve
+   *  plateau: multiplies the learning rate by factor when the monitored metric
+   *    has not improved by at least minDelta for the given number of epochs (patience)
+   * every training starts with the learning rate of the compiled optimizer
+   * @param {*} _options - { type, stepSize, gamma, minLearningRate, monitor, factor, patience, minDelta }
+   * @param {*} epochs - the number of epochs of the training
+   */
+  createLearningRateSchedule(_options, epochs) {
+    const {
+      type,
+      stepSize = 10,
+      gamma = type === 'step' ? 0.5 : 0.95,
+      minLearningRate = 0,
+      monitor = 'val_loss',
+      factor = 0.5,
+      patience = 5,
+      minDelta = 0,
+    } = typeof _options === 'string' ? { type: _options } : _options;
+
+    if (!LEARNING_RATE_SCHEDULES.includes(type)) {
+      throw new Error(
+        `"${type}" is not a learning rate schedule. Use one of: ${LEARNING_RATE_SCHEDULES.join(
+          ', ',
+        )}`,
+      );
+    }
+
+    const initialLearningRate =
+      this.initialLearningRate !== null ? this.initialLearningRate : this.model.optimizer.learningRate;
+    // accuracies should go up, losses should go down
+    const direction = monitor.includes('acc') ? 1 : -1;
+
+    // the learning rate of every epoch
+    const learningRates = [];
+    let learningRate = initialLearningRate;
+    let bestValue = null;
+    let wait = 0;
+
+    const getLearningRate = (epoch, logs) => {
+      switch (type) {
+        case 'step':
+          return Math.max(initialLearningRate * gamma ** Math.floor(epoch / stepSize), minLearningRate);
+        case 'exponential':
+          return Math.max(initialLearningRate * gamma ** epoch, minLearningRate);
+        case 'cosine':
+          return (
+            minLearningRate +
+            0.5 *
+              (initialLearningRate - minLearningRate) *
+              (1 + Math.cos((Math.PI * Math.min(epoch, epochs)) / epochs))
+          );
+        default: {
+          const current = logs[monitor];
+          if (typeof current !== 'number') return learningRate;
+
+          if (bestValue === null || direction * (current - bestValue) > minDelta) {
+            bestValue = current;
+            wait = 0;
+            return learningRate;
+          }
+          wait += 1;
+          if (wait < patience) return learningRate;
+          wait = 0;
+          return Math.max(learningRate * factor, minLearningRate);
+        }
+      }
+    };
+
+    const callback = {
+      onTrainBegin: async () => {
+        this.setLearningRate(learningRate);
+      },
+      onEpochEnd: async (epoch, logs) => {
+        learningRates.push(learningRate);
+        // the learning rate of the next epoch
+        learningRate = getLearningRate(epoch + 1, logs);
+        this.setLearningRate(learningRate);
+      },
+    };
+
+    return {
+      callback,
+      learningRates,
+    };
   }
 
   /**
@@ -129,7 +652,9 @@ class NeuralNetwork {
    */
   predictSync(_inputs) {
     const output = tf.tidy(() => {
-      return this.model.predict(_inputs);
+      const prediction = this.model.predict(_inputs);
+      // join the results of models with multiple outputs
+      return Array.isArray(prediction) ? tf.concat(prediction, 1) : prediction;
     });
     const result = output.arraySync();
 
@@ -145,7 +670,9 @@ class NeuralNetwork {
    */
   async predict(_inputs) {
     const output = tf.tidy(() => {
-      return this.model.predict(_inputs);
+      const prediction = this.model.predict(_inputs);
+      // join the results of models with multiple outputs
+      return Array.isArray(prediction) ? tf.concat(prediction, 1) : prediction;
     });
     const result = await output.array();
 
@@ -175,6 +702,37 @@ class NeuralNetwork {
   // classifyMultiple
   // are the same as .predict()
 
+  /**
+   * computes how much each input value contributes to one output value
+   * with the gradient of the output times the input (gradientXInput)
+   * or with integrated gradients from an input of zeros (integratedGradients)
+   * @param {*} _inputs - a tensor of the shape [1, ...inputShape]
+   * @param {*} outputIndex - the index of the output value (of all outputs joined)
+   * @param {*} method - 'gradientXInput' or 'integratedGradients'
+   * @param {*} steps - the number of steps of the integrated gradients
+   */
+  attribute(_inputs, outputIndex, method = 'gradientXInput', steps = 50) {
+    return tf.tidy(() => {
+      const getOutput = inputs => {
+        const prediction = this.model.apply(inputs);
+        const joined = Array.isArray(prediction) ? tf.concat(prediction, 1) : prediction;
+        return joined.slice([0, outputIndex], [-1, 1]).sum();
+      };
+      const gradient = tf.grad(getOutput);
+
+      if (method === 'integratedGradients') {
+        // the inputs scaled from 0 to 1 in steps
+        const alphas = tf
+          .linspace(1 / steps, 1, steps)
+          .reshape([steps, ...new Array(_inputs.rank - 1).fill(1)]);
+        const averageGradient = gradient(alphas.mul(_inputs)).mean(0, true);
+        return averageGradient.mul(_inputs);
+      }
+
+      return gradient(_inputs).mul(_inputs);
+    });
+  }
+
   /**
    * save the model
    * @param {*} nameOrCb
@@ -274,10 +832,58 @@ class NeuralNetwork {
     return this.model;
   }
 
+  /**
+   * gets the topology and the weights of the model
+   * without saving them to files
+   * @return {object} { modelTopology, weightSpecs, weightData }
+   */
+  async getModelArtifacts() {
+    let artifacts;
+    await this.model.save(
+      tf.io.withSaveHandler(async data => {
+        artifacts = data;
+      }),
+    );
+
+    return {
+      modelTopology: artifacts.modelTopology,
+      weightSpecs: artifacts.weightSpecs,
+      weightData: artifacts.weightData,
+    };
+  }
+
+  /**
+   * loads the model from its topology and weights
+   * @param {*} artifacts - { modelTopology, weightSpecs, weightData }
+   * @param {*} callback
+   */
+  async loadModelArtifacts(artifacts, callback) {
+    this.model = await tf.loadLayersModel(
+      tf.io.fromMemory({
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs,
+        weightData: artifacts.weightData,
+      }),
+    );
+
+    this.isCompiled = true;
+    this.isLayered = true;
+    this.isTrained = true;
+
+    if (callback) {
+      callback();
+    }
+    return this.model;
+  }
+
   /**
    * dispose and release the memory for the model
    */
   dispose() {
+    // the optimizer is created by compile() and not disposed with the model
+    if (this.model.optimizer) {
+      this.model.optimizer.dispose();
+    }
     this.model.dispose();
   }
 
@@ -285,26 +891,56 @@ class NeuralNetwork {
 
   /**
    * mutate the weights of a model
+   * @param {*} rate - the chance of each weight to be mutated
+   * @param {*} mutateFunctionOrOptions - a function (weight) => newWeight or
+   *  { strategy: 'gaussian' | 'uniform', rate, sigma, min, max, clamp, layers, seed }.
+   *  the gaussian mutations are clamped between min and max unless clamp is false
+   */
+  mutate(rate = 0.1, mutateFunctionOrOptions = {}) {
+    if (typeof mutateFunctionOrOptions === 'function') {
+      this.mutateWithFunction(rate, mutateFunctionOrOptions);
+      return;
+    }
+
+    const options = {
+      strategy: 'gaussian',
+      rate,
+      sigma: 1,
+      min: -1,
+      max: 1,
+      clamp: true,
+      ...mutateFunctionOrOptions,
+    };
+
+    // the seed only mutates this model
+    withSeed(options.seed, () =>
+      tf.tidy(() => {
+        this.model.layers.forEach((layer, idx) => {
+          const layerOptions = getLayerOptions(options, layer, idx);
+          if (layerOptions === null || layer.weights.length === 0) return;
+
+          layer.setWeights(layer.getWeights().map(tensor => mutateTensor(tensor, layerOptions)));
+        });
+      }),
+    );
+  }
+
+  /**
+   * mutate the weights of a model with a custom function
    * @param {*} rate
    * @param {*} mutateFunction
    */
-
-  mutate(rate = 0.1, mutateFunction) {
+  mutateWithFunction(rate, mutateFunction) {
     tf.tidy(() => {
       const weights = this.model.getWeights();
       const mutatedWeights = [];
       for (let i = 0; i < weights.length; i += 1) {
         const tensor = weights[i];
         const { shape } = weights[i];
-        // TODO: Evaluate if this should be sync or not
         const values = tensor.dataSync().slice();
         for (let j = 0; j < values.length; j += 1) {
-          if (Math.random() < rate) {
-            if (mutateFunction) {
-              values[j] = mutateFunction(values[j]);
-            } else {
-              values[j] = Math.min(Math.max(values[j] + randomGaussian(), -1), 1);
-            }
+          if (random() < rate) {
+            values[j] = mutateFunction(values[j]);
           }
         }
         const newTensor = tf.tensor(values, shape);
@@ -315,31 +951,36 @@ class NeuralNetwork {
   }
 
   /**
-   * create a new neural network with crossover
+   * replaces the weights of the model with the crossover
+   * of its weights and the weights of the other model
    * @param {*} other
+   * @param {*} options - { strategy: 'uniform' | 'singlePoint' | 'layer' | 'blend', alpha, layers, seed }
    */
-  crossover(other) {
-    return tf.tidy(() => {
-      const weightsA = this.model.getWeights();
-      const weightsB = other.model.getWeights();
-      const childWeights = [];
-      for (let i = 0; i < weightsA.length; i += 1) {
-        const tensorA = weightsA[i];
-        const tensorB = weightsB[i];
-        const { shape } = weightsA[i];
-        // TODO: Evaluate if this should be sync or not
-        const valuesA = tensorA.dataSync().slice();
-        const valuesB = tensorB.dataSync().slice();
-        for (let j = 0; j < valuesA.length; j += 1) {
-          if (Math.random() < 0.5) {
-            valuesA[j] = valuesB[j];
-          }
-        }
-        const newTensor = tf.tensor(valuesA, shape);
-        childWeights[i] = newTensor;
-      }
-      this.model.setWeights(childWeights);
-    });
+  crossover(other, options = {}) {
+    const config = {
+      strategy: 'uniform',
+      alpha: 0.5,
+      ...options,
+    };
+
+    if (other.model.layers.length !== this.model.layers.length) {
+      throw new Error('crossover needs two models with the same layers');
+    }
+
+    // the seed only picks the weights of this crossover
+    withSeed(config.seed, () =>
+      tf.tidy(() => {
+        this.model.layers.forEach((layer, idx) => {
+          const layerOptions = getLayerOptions(config, layer, idx);
+          if (layerOptions === null || layer.weights.length === 0) return;
+
+          const weightsA = layer.getWeights();
+          const weightsB = other.model.layers[idx].getWeights();
+          layer.setWeights(crossoverWeights(weightsA, weightsB, layerOptions));
+        });
+      }),
+    );
   }
 }
+
 export default NeuralNetwork;
@@ -0,0 +1,163 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+Random transformations of batches of images, applied while training
+so the model sees a slightly different version of every image in each epoch
+*/
+
+import * as tf from '@tensorflow/tfjs';
+import { randomFloat, randomTfSeed } from '../utils/random';
+
+// the options of every transformation, the probability is the chance of an image to be transformed
+const TRANSFORMS = {
+  flip: { probability: 0.5, horizontal: true, vertical: false },
+  rotation: { probability: 0.5, maxAngle: 15 },
+  zoom: { probability: 0.5, minScale: 0.8 },
+  brightness: { probability: 0.5, maxDelta: 0.2 },
+  contrast: { probability: 0.5, minFactor: 0.8, maxFactor: 1.2 },
+  noise: { probability: 0.5, std: 0.05 },
+};
+
+/**
+ * a random number for every image of the batch in the shape [batch, 1, 1, 1]
+ * so it can be combined with the images
+ * @param {number} batchSize
+ * @param {number} min
+ * @param {number} max
+ */
+const randomPerImage = (batchSize, min, max) =>
+  tf.randomUniform([batchSize, 1, 1, 1], min, max, 'float32', randomTfSeed());
+
+/**
+ * rotates every image by its own random angle around its center.
+ * the pixels are looked up in the original image, the corners are filled with the edge pixels
+ * @param {tf.Tensor4D} images
+ * @param {object} options - { maxAngle } in degrees
+ */
+const rotate = (images, { maxAngle }) => {
+  const [batchSize, height, width, channels] = images.shape;
+  const size = height * width;
+  const indices = new Int32Array(batchSize * size);
+  const centerX = (width - 1) / 2;
+  const centerY = (height - 1) / 2;
+
+  for (let b = 0; b < batchSize; b += 1) {
+    const angle = (randomFloat(-maxAngle, maxAngle) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const sourceX = Math.round(cos * (x - centerX) + sin * (y - centerY) + centerX);
+        const sourceY = Math.round(-sin * (x - centerX) + cos * (y - centerY) + centerY);
+        const clampedX = Math.min(Math.max(sourceX, 0), width - 1);
+        const clampedY = Math.min(Math.max(sourceY, 0), height - 1);
+        indices[b * size + y * width + x] = b * size + clampedY * width + clampedX;
+      }
+    }
+  }
+
+  return tf
+    .gather(images.reshape([batchSize * size, channels]), tf.tensor1d(indices, 'int32'))
+    .reshape(images.shape);
+};
+
+/**
+ * crops a random square of minScale to 1 times the size of every image
+ * and resizes it back to the size of the image
+ * @param {tf.Tensor4D} images
+ * @param {object} options - { minScale }
+ */
+const zoom = (images, { minScale }) => {
+  const [batchSize, height, width] = images.shape;
+  const boxes = [];
+  for (let b = 0; b < batchSize; b += 1) {
+    const scale = randomFloat(minScale, 1);
+    const top = randomFloat(0, 1 - scale);
+    const left = randomFloat(0, 1 - scale);
+    boxes.push([top, left, top + scale, left + scale]);
+  }
+  const boxIndices = [...new Array(batchSize).keys()];
+
+  return tf.image.cropAndResize(images, boxes, boxIndices, [height, width]);
+};
+
+class NeuralNetworkAugmentation {
+  /**
+   * @param {object} options - { flip, rotation, zoom, brightness, contrast, noise },
+   *    each true for the default options or an object with a probability and its options
+   */
+  constructor(options = {}) {
+    this.transforms = {};
+
+    Object.keys(options).forEach(name => {
+      if (!TRANSFORMS[name]) {
+        throw new Error(
+          `"${name}" is not an augmentation. Use one of: ${Object.keys(TRANSFORMS).join(', ')}`,
+        );
+      }
+      if (options[name]) {
+        this.transforms[name] = {
+          ...TRANSFORMS[name],
+          ...(options[name] === true ? {} : options[name]),
+        };
+      }
+    });
+
+    this.augment = this.augment.bind(this);
+  }
+
+  /**
+   * transforms every image of the batch with the chance of the probability of each transformation.
+   * the brightness, contrast and noise are relative to the range of the values of the batch
+   * and the values are kept in that range
+   * @param {tf.Tensor4D} images - a batch of the shape [batch, height, width, channels]
+   * @return {tf.Tensor4D}
+   */
+  augment(images) {
+    return tf.tidy(() => {
+      const batchSize = images.shape[0];
+      const min = images.min();
+      const max = images.max();
+      const range = max.sub(min);
+
+      const transforms = {
+        flip: (x, { horizontal, vertical }) => {
+          let flipped = x;
+          if (horizontal) flipped = flipped.reverse(2);
+          if (vertical) flipped = flipped.reverse(1);
+          return flipped;
+        },
+        rotation: rotate,
+        zoom,
+        brightness: (x, { maxDelta }) => x.add(randomPerImage(batchSize, -maxDelta, maxDelta).mul(range)),
+        contrast: (x, { minFactor, maxFactor }) => {
+          const mean = x.mean([1, 2, 3], true);
+          return x
+            .sub(mean)
+            .mul(randomPerImage(batchSize, minFactor, maxFactor))
+            .add(mean);
+        },
+        noise: (x, { std }) =>
+          x.add(tf.randomNormal(x.shape, 0, 1, 'float32', randomTfSeed()).mul(range.mul(std))),
+      };
+
+      let augmented = images;
+      Object.keys(this.transforms).forEach(name => {
+        const options = this.transforms[name];
+        const transformed = transforms[name](augmented, options);
+        // only the images that were picked by chance are transformed
+        const picked = randomPerImage(batchSize, 0, 1)
+          .less(options.probability)
+          .toFloat();
+        augmented = transformed.mul(picked).add(augmented.mul(tf.scalar(1).sub(picked)));
+      });
+
+      return augmented.clipByValue(min.dataSync()[0], max.dataSync()[0]);
+    });
+  }
+}
+
+export default NeuralNetworkAugmentation;
@@ -0,0 +1,393 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+A lightweight training dashboard that is drawn with the 2d context of a canvas
+inside a DOM element or of a p5 graphics buffer, instead of the tfjs-vis visor
+*/
+
+const DEFAULTS = {
+  width: 600,
+  height: 400,
+  background: '#ffffff',
+  color: '#333333',
+  gridColor: '#e6e6e6',
+  font: '11px sans-serif',
+  colors: {
+    loss: '#1f77b4',
+    val_loss: '#ff7f0e',
+    accuracy: '#2ca02c',
+    val_accuracy: '#d62728',
+    classes: '#9467bd',
+  },
+};
+
+const HEADER_HEIGHT = 22;
+const PADDING = 8;
+
+/**
+ * the accuracy is logged as acc by older versions of tfjs
+ * @param {object} logs
+ * @param {string} prefix - '' or 'val_'
+ */
+const getAccuracy = (logs, prefix) => {
+  const value = logs[`${prefix}acc`];
+  return value !== undefined ? value : logs[`${prefix}accuracy`];
+};
+
+const formatNumber = value => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '-';
+  if (value !== 0 && (Math.abs(value) < 0.001 || Math.abs(value) >= 10000)) {
+    return value.toExponential(2);
+  }
+  return `${parseFloat(value.toFixed(4))}`;
+};
+
+class NeuralNetworkDashboard {
+  /**
+   * Create a dashboard
+   * @param {*} target - a DOM element, a CSS selector, a canvas or a p5 graphics buffer
+   * @param {object} options - width, height (ignored for canvases and graphics buffers),
+   *    background, color, gridColor, font and the colors of the curves
+   */
+  constructor(target, options = {}) {
+    this.config = {
+      ...DEFAULTS,
+      ...options,
+      colors: {
+        ...DEFAULTS.colors,
+        ...options.colors,
+      },
+    };
+
+    // [{ epoch, loss, val_loss, accuracy, val_accuracy, learningRate }]
+    this.history = [];
+    this.epoch = 0;
+    this.epochs = null;
+    this.learningRate = null;
+    this.classCounts = {};
+    this.layers = [];
+
+    this.graphics = null;
+    this.canvas = null;
+    this.createdCanvas = false;
+    this.context = this.createContext(target);
+  }
+
+  /**
+   * Finds the 2d context to draw into. A canvas is created
+   * and appended when the target is another DOM element
+   * @param {*} target
+   */
+  createContext(target) {
+    let element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!element) {
+      throw new Error(`the dashboard target ${target} was not found`);
+    }
+
+    // p5.Graphics and p5.Renderer draw with their drawingContext
+    if (element.drawingContext) {
+      this.graphics = element;
+      return element.drawingContext;
+    }
+
+    // p5.Element wraps the DOM element in elt
+    if (element.elt) element = element.elt;
+
+    if (element.tagName === 'CANVAS') {
+      this.canvas = element;
+    } else {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = this.config.width;
+      this.canvas.height = this.config.height;
+      element.appendChild(this.canvas);
+      this.createdCanvas = true;
+    }
+    return this.canvas.getContext('2d');
+  }
+
+  get width() {
+    return this.graphics ? this.graphics.width : this.canvas.width;
+  }
+
+  get height() {
+    return this.graphics ? this.graphics.height : this.canvas.height;
+  }
+
+  /**
+   * Clears the curves, for example before a new training
+   * @param {number} epochs - the number of epochs of the training
+   */
+  reset(epochs = null) {
+    this.history = [];
+    this.start(epochs);
+  }
+
+  /**
+   * Starts a new training run without clearing the curves
+   * @param {number} epochs - the number of epochs of the training
+   */
+  start(epochs = null) {
+    this.epoch = 0;
+    this.epochs = epochs;
+  }
+
+  /**
+   * @param {object} classCounts - { outputName: { label: count } }
+   */
+  setClassCounts(classCounts) {
+    const outputs = Object.keys(classCounts);
+
+    this.classCounts = {};
+    outputs.forEach(k => {
+      Object.keys(classCounts[k]).forEach(label => {
+        const name = outputs.length > 1 ? `${k}: ${label}` : label;
+        this.classCounts[name] = classCounts[k][label];
+      });
+    });
+  }
+
+  /**
+   * Creates the layer summary of a tf.LayersModel
+   * @param {tf.LayersModel} model
+   */
+  setModel(model) {
+    this.layers = model.layers.map(layer => ({
+      name: layer.name,
+      type: layer.getClassName(),
+      outputShape: JSON.stringify(layer.outputShape).replace(/null/g, 'batch'),
+      params: layer.countParams(),
+    }));
+  }
+
+  /**
+   * @param {number} learningRate
+   */
+  setLearningRate(learningRate) {
+    this.learningRate = learningRate;
+  }
+
+  /**
+   * Adds the logs of an epoch to the curves
+   * @param {object} logs - the logs of onEpochEnd
+   */
+  addEpoch(logs) {
+    this.epoch += 1;
+    this.history.push({
+      epoch: this.history.length + 1,
+      loss: logs.loss,
+      val_loss: logs.val_loss,
+      accuracy: getAccuracy(logs, ''),
+      val_accuracy: getAccuracy(logs, 'val_'),
+      learningRate: this.learningRate,
+    });
+    this.render();
+  }
+
+  /**
+   * Draws the whole dashboard
+   */
+  render() {
+    const ctx = this.context;
+    const { width, height } = this;
+    const { background, font } = this.config;
+
+    ctx.save();
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+
+    this.drawHeader({ x: PADDING, y: 0, w: width - PADDING * 2, h: HEADER_HEIGHT });
+
+    const hasAccuracy = this.history.some(item => item.accuracy !== undefined);
+    const hasClasses = Object.keys(this.classCounts).length > 0;
+
+    const halfWidth = (width - PADDING * 3) / 2;
+    const chartHeight = (height - HEADER_HEIGHT - PADDING * 3) / 2;
+    const top = HEADER_HEIGHT + PADDING;
+    const bottom = top + chartHeight + PADDING;
+
+    this.drawLineChart(
+      { x: PADDING, y: top, w: hasAccuracy ? halfWidth : width - PADDING * 2, h: chartHeight },
+      'loss',
+      ['loss', 'val_loss'],
+    );
+    if (hasAccuracy) {
+      this.drawLineChart(
+        { x: PADDING * 2 + halfWidth, y: top, w: halfWidth, h: chartHeight },
+        'accuracy',
+        ['accuracy', 'val_accuracy'],
+      );
+    }
+    if (hasClasses) {
+      this.drawBarChart({ x: PADDING, y: bottom, w: halfWidth, h: chartHeight });
+    }
+    this.drawLayers({
+      x: hasClasses ? PADDING * 2 + halfWidth : PADDING,
+      y: bottom,
+      w: hasClasses ? halfWidth : width - PADDING * 2,
+      h: chartHeight,
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * The epoch, the last loss and the learning rate
+   * @param {object} box - { x, y, w, h }
+   */
+  drawHeader(box) {
+    const ctx = this.context;
+    const last = this.history[this.history.length - 1];
+    const epochs = this.epochs ? `${this.epoch}/${this.epochs}` : `${this.epoch}`;
+
+    ctx.fillStyle = this.config.color;
+    ctx.textAlign = 'left';
+    ctx.fillText(
+      `epoch ${epochs}   loss ${formatNumber(last ? last.loss : null)}`,
+      box.x,
+      box.y + box.h / 2,
+    );
+
+    // the learning rate indicator
+    ctx.textAlign = 'right';
+    ctx.fillText(`learning rate ${formatNumber(this.learningRate)}`, box.x + box.w, box.y + box.h / 2);
+  }
+
+  /**
+   * Draws the curves of the history
+   * @param {object} box - { x, y, w, h }
+   * @param {string} title
+   * @param {Array} keys - the keys of the history to draw
+   */
+  drawLineChart(box, title, keys) {
+    const ctx = this.context;
+    const { color, gridColor, colors } = this.config;
+    const plot = { x: box.x + 36, y: box.y + 16, w: box.w - 40, h: box.h - 30 };
+
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.fillText(title, box.x, box.y + 6);
+
+    const values = [];
+    this.history.forEach(item => {
+      keys.forEach(k => {
+        if (Number.isFinite(item[k])) values.push(item[k]);
+      });
+    });
+    const min = values.length > 0 ? Math.min(0, ...values) : 0;
+    let max = values.length > 0 ? Math.max(...values) : 1;
+    if (max === min) max = min + 1;
+
+    ctx.strokeStyle = gridColor;
+    ctx.strokeRect(plot.x, plot.y, plot.w, plot.h);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatNumber(max), plot.x - 4, plot.y);
+    ctx.fillText(formatNumber(min), plot.x - 4, plot.y + plot.h);
+    ctx.textAlign = 'center';
+    ctx.fillText(`${this.history.length}`, plot.x + plot.w, plot.y + plot.h + 8);
+
+    const count = Math.max(this.history.length - 1, 1);
+    const toX = idx => plot.x + (idx / count) * plot.w;
+    const toY = value => plot.y + plot.h - ((value - min) / (max - min)) * plot.h;
+
+    let legendX = box.x + box.w;
+    keys.forEach(k => {
+      const points = this.history
+        .map((item, idx) => ({ idx, value: item[k] }))
+        .filter(point => Number.isFinite(point.value));
+      if (points.length === 0) return;
+
+      ctx.strokeStyle = colors[k];
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(toX(point.idx), toY(point.value));
+        else ctx.lineTo(toX(point.idx), toY(point.value));
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = colors[k];
+      ctx.textAlign = 'right';
+      ctx.fillText(k, legendX, box.y + 6);
+      legendX -= ctx.measureText(k).width + 10;
+    });
+    ctx.lineWidth = 1;
+  }
+
+  /**
+   * Draws the number of samples of every class
+   * @param {object} box - { x, y, w, h }
+   */
+  drawBarChart(box) {
+    const ctx = this.context;
+    const { color, colors } = this.config;
+    const labels = Object.keys(this.classCounts);
+    const max = Math.max(...labels.map(label => this.classCounts[label]));
+    const rowHeight = Math.min(16, (box.h - 16) / labels.length);
+    const labelWidth = box.w * 0.35;
+
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.fillText('samples per class', box.x, box.y + 6);
+
+    labels.forEach((label, idx) => {
+      const y = box.y + 16 + idx * rowHeight;
+      const barWidth = ((box.w - labelWidth - 40) * this.classCounts[label]) / max;
+
+      ctx.fillStyle = color;
+      ctx.textAlign = 'right';
+      ctx.fillText(label, box.x + labelWidth - 4, y + rowHeight / 2);
+      ctx.fillStyle = colors.classes;
+      ctx.fillRect(box.x + labelWidth, y + 1, barWidth, rowHeight - 2);
+      ctx.fillStyle = color;
+      ctx.textAlign = 'left';
+      ctx.fillText(
+        `${this.classCounts[label]}`,
+        box.x + labelWidth + barWidth + 4,
+        y + rowHeight / 2,
+      );
+    });
+  }
+
+  /**
+   * Draws the layer summary as a table
+   * @param {object} box - { x, y, w, h }
+   */
+  drawLayers(box) {
+    const ctx = this.context;
+    const rowHeight = 14;
+    const columns = [0, 0.4, 0.7].map(ratio => box.x + box.w * ratio);
+
+    ctx.fillStyle = this.config.color;
+    ctx.textAlign = 'left';
+    ctx.fillText('layers', box.x, box.y + 6);
+
+    const rows = [
+      ['type', 'output shape', 'params'],
+      ...this.layers.map(layer => [layer.type, layer.outputShape, `${layer.params}`]),
+    ];
+    const total = this.layers.reduce((sum, layer) => sum + layer.params, 0);
+    rows.push(['total', '', `${total}`]);
+
+    rows.forEach((row, idx) => {
+      const y = box.y + 20 + idx * rowHeight;
+      if (y > box.y + box.h) return;
+      row.forEach((cell, col) => ctx.fillText(cell, columns[col], y));
+    });
+  }
+
+  /**
+   * Removes the canvas if it was created by the dashboard
+   */
+  remove() {
+    if (this.createdCanvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+  }
+}
+
+export default NeuralNetworkDashboard;
@@ -1,7 +1,14 @@
 import * as tf from '@tensorflow/tfjs';
 import axios from 'axios';
 import { saveBlob } from '../utils/io';
+import parseCSV from '../utils/csv';
 import nnUtils from './NeuralNetworkUtils';
+import { randomSample, shuffle as shuffleArray, withGenerator } from '../utils/random';
+import { getPrincipalComponents } from '../DimensionReduction/PCA';
+
+const NORMALIZATIONS = ['minmax', 'zscore', 'robust', 'log', 'none'];
+const RESAMPLE_STRATEGIES = ['oversample', 'undersample'];
+const MISSING_VALUE_STRATEGIES = ['drop', 'mean', 'median', 'mode', 'constant', 'indicator', 'none'];
 
 class NeuralNetworkData {
   constructor() {
@@ -12,10 +19,16 @@ class NeuralNetworkData {
       inputs: {}, // { name1: {dtype}, name2: {dtype}  }
       outputs: {}, // { name1: {dtype} }
       isNormalized: false, // Boolean - keep this in meta for model saving/loading
+      sequenceLength: null, // Number - the number of frames of each sequence for sequence tasks
+      missingValues: {}, // { name1: {strategy, value} } - how the missing inputs are filled
     };
 
     this.isMetadataReady = false;
     this.isWarmedUp = false;
+    // how the missing values of the last loaded data were handled
+    this.missingValuesReport = null;
+    // the number of rows of data.raw that are summarized in the meta
+    this.statsIndex = 0;
 
     this.data = {
       raw: [], // array of {xs:{}, ys:{}}
@@ -26,13 +39,19 @@ class NeuralNetworkData {
     this.createMetadata = this.createMetadata.bind(this);
     this.getDataStats = this.getDataStats.bind(this);
     this.getInputMetaStats = this.getInputMetaStats.bind(this);
+    this.getNormalizationStats = this.getNormalizationStats.bind(this);
     this.getDataUnits = this.getDataUnits.bind(this);
     this.getInputMetaUnits = this.getInputMetaUnits.bind(this);
     this.getDTypesFromData = this.getDTypesFromData.bind(this);
+    this.updateMetaStats = this.updateMetaStats.bind(this);
+    this.updateInputMetaStats = this.updateInputMetaStats.bind(this);
     // add data
     this.addData = this.addData.bind(this);
     // data conversion
     this.convertRawToTensors = this.convertRawToTensors.bind(this);
+    this.formatSequence = this.formatSequence.bind(this);
+    this.formatRowForTraining = this.formatRowForTraining.bind(this);
+    this.convertRawToDataset = this.convertRawToDataset.bind(this);
     // data normalization / unnormalization
     this.normalizeDataRaw = this.normalizeDataRaw.bind(this);
     this.normalizeInputData = this.normalizeInputData.bind(this);
@@ -43,6 +62,20 @@ class NeuralNetworkData {
     this.getDataOneHot = this.getDataOneHot.bind(this);
     this.getInputMetaOneHot = this.getInputMetaOneHot.bind(this);
     this.createOneHotEncodings = this.createOneHotEncodings.bind(this);
+    // data exploration
+    this.getHistograms = this.getHistograms.bind(this);
+    this.getClassCounts = this.getClassCounts.bind(this);
+    this.getCorrelations = this.getCorrelations.bind(this);
+    this.getPrincipalComponents = this.getPrincipalComponents.bind(this);
+    // class balancing
+    this.getClassLabel = this.getClassLabel.bind(this);
+    this.getClassDistribution = this.getClassDistribution.bind(this);
+    this.resampleData = this.resampleData.bind(this);
+    this.getClassWeights = this.getClassWeights.bind(this);
+    // missing values
+    this.handleMissingValues = this.handleMissingValues.bind(this);
+    this.getMissingValueStrategy = this.getMissingValueStrategy.bind(this);
+    this.getMissingValueFill = this.getMissingValueFill.bind(this);
     // Saving / loading data
     this.loadDataFromUrl = this.loadDataFromUrl.bind(this);
     this.loadJSON = this.loadJSON.bind(this);
@@ -68,23 +101,25 @@ class NeuralNetworkData {
    * create the metadata from the data
    * this covers:
    *  1. getting the datatype from the data
-   *  2. getting the min and max from the data
+   *  2. getting the min, max and the stats of the normalization from the data
    *  3. getting the oneHot encoded values
    *  4. getting the inputShape and outputUnits from the data
    * @param {*} dataRaw
    * @param {*} inputShape
+   * @param {*} normalization - a normalization for all properties or {propertyName: normalization}
    */
-  createMetadata(dataRaw, inputShape = null) {
+  createMetadata(dataRaw, inputShape = null, normalization = null) {
     // get the data type for each property
     this.getDTypesFromData(dataRaw);
     // get the stats - min, max
-    this.getDataStats(dataRaw);
+    this.getDataStats(dataRaw, normalization);
     // onehot encode
     this.getDataOneHot(dataRaw);
     // calculate the input units from the data
     this.getDataUnits(dataRaw, inputShape);
 
     this.isMetadataReady = true;
+    this.statsIndex = dataRaw.length;
     return { ...this.meta };
   }
 
@@ -97,12 +132,13 @@ class NeuralNetworkData {
   /**
    * get stats about the data
    * @param {*} dataRaw
+   * @param {*} normalization
    */
-  getDataStats(dataRaw) {
+  getDataStats(dataRaw, normalization = null) {
     const meta = Object.assign({}, this.meta);
 
-    const inputMeta = this.getInputMetaStats(dataRaw, meta.inputs, 'xs');
-    const outputMeta = this.getInputMetaStats(dataRaw, meta.outputs, 'ys');
+    const inputMeta = this.getInputMetaStats(dataRaw, meta.inputs, 'xs', normalization);
+    const outputMeta = this.getInputMetaStats(dataRaw, meta.outputs, 'ys', normalization);
 
     meta.inputs = inputMeta;
     meta.outputs = outputMeta;
@@ -121,29 +157,68 @@ class NeuralNetworkData {
    * @param {*} dataRaw
    * @param {*} inputOrOutputMeta
    * @param {*} xsOrYs
+   * @param {*} normalization
    */
-  // eslint-disable-next-line no-unused-vars, class-methods-use-this
-  getInputMetaStats(dataRaw, inputOrOutputMeta, xsOrYs) {
+  // eslint-disable-next-line no-unused-vars
+  getInputMetaStats(dataRaw, inputOrOutputMeta, xsOrYs, normalization = null) {
     const inputMeta = Object.assign({}, inputOrOutputMeta);
 
+    // the stats are set on new objects so copies of the meta keep their own stats
     Object.keys(inputMeta).forEach(k => {
       if (inputMeta[k].dtype === 'string') {
-        inputMeta[k].min = 0;
-        inputMeta[k].max = 1;
-      } else if (inputMeta[k].dtype === 'number') {
-        const dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
-        inputMeta[k].min = nnUtils.getMin(dataAsArray);
-        inputMeta[k].max = nnUtils.getMax(dataAsArray);
-      } else if (inputMeta[k].dtype === 'array') {
+        inputMeta[k] = { ...inputMeta[k], min: 0, max: 1 };
+      } else if (inputMeta[k].dtype === 'number' || inputMeta[k].dtype === 'array') {
         const dataAsArray = dataRaw.map(item => item[xsOrYs][k]).flat();
-        inputMeta[k].min = nnUtils.getMin(dataAsArray);
-        inputMeta[k].max = nnUtils.getMax(dataAsArray);
+
+        const strategy =
+          typeof normalization === 'object' && normalization !== null
+            ? normalization[k]
+            : normalization;
+        inputMeta[k] = {
+          ...inputMeta[k],
+          min: nnUtils.getMin(dataAsArray),
+          max: nnUtils.getMax(dataAsArray),
+          ...this.getNormalizationStats(dataAsArray, strategy || 'minmax'),
+        };
       }
     });
 
     return inputMeta;
   }
 
+  /**
+   * gets the stats that the normalization needs
+   * @param {*} values
+   * @param {*} normalization - 'minmax', 'zscore', 'robust', 'log' or 'none'
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getNormalizationStats(values, normalization) {
+    if (!NORMALIZATIONS.includes(normalization)) {
+      throw new Error(
+        `"${normalization}" is not a normalization. Use one of: ${NORMALIZATIONS.join(', ')}`,
+      );
+    }
+
+    if (normalization === 'zscore') {
+      return {
+        normalization,
+        count: values.length,
+        mean: nnUtils.getMean(values),
+        std: nnUtils.getStd(values),
+      };
+    }
+    if (normalization === 'robust') {
+      const q1 = nnUtils.getQuantile(values, 0.25);
+      const q3 = nnUtils.getQuantile(values, 0.75);
+      return {
+        normalization,
+        median: nnUtils.getQuantile(values, 0.5),
+        iqr: q3 - q1,
+      };
+    }
+    return { normalization };
+  }
+
   /**
    * get the data units, inputshape and output units
    * @param {*} dataRaw
@@ -218,15 +293,22 @@ class NeuralNetworkData {
     const xs = Object.keys(sample.xs);
     const ys = Object.keys(sample.ys);
 
+    // the missing values are kept in the data, so the first value
+    // that is not missing gives the dtype of each property
+    const getDType = (key, prop) => {
+      const row = _dataRaw.find(item => !nnUtils.isMissingValue(item[key][prop])) || sample;
+      return nnUtils.getDataType(row[key][prop]);
+    };
+
     xs.forEach(prop => {
       meta.inputs[prop] = {
-        dtype: nnUtils.getDataType(sample.xs[prop]),
+        dtype: getDType('xs', prop),
       };
     });
 
     ys.forEach(prop => {
       meta.outputs[prop] = {
-        dtype: nnUtils.getDataType(sample.ys[prop]),
+        dtype: getDType('ys', prop),
       };
     });
 
@@ -238,6 +320,73 @@ class NeuralNetworkData {
     return meta;
   }
 
+  /**
+   * updates the running min and max of the meta with
+   * the rows that are added since the meta was created
+   * without going over all of the data again
+   * @param {*} dataRaw
+   */
+  updateMetaStats(dataRaw) {
+    this.meta.inputs = this.updateInputMetaStats(dataRaw, this.meta.inputs, 'xs');
+    this.meta.outputs = this.updateInputMetaStats(dataRaw, this.meta.outputs, 'ys');
+    this.statsIndex += dataRaw.length;
+
+    return { ...this.meta };
+  }
+
+  /**
+   * updateInputMetaStats
+   * the number of units can not change after the model is created
+   * so values that are not in the onehot legend throw an error
+   * @param {*} dataRaw
+   * @param {*} inputOrOutputMeta
+   * @param {*} xsOrYs
+   */
+  // eslint-disable-next-line class-methods-use-this
+  updateInputMetaStats(dataRaw, inputOrOutputMeta, xsOrYs) {
+    const inputMeta = Object.assign({}, inputOrOutputMeta);
+
+    if (dataRaw.length === 0) return inputMeta;
+
+    Object.keys(inputMeta).forEach(k => {
+      const dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
+
+      if (inputMeta[k].dtype === 'string') {
+        const newValue = dataAsArray.find(v => !inputMeta[k].uniqueValues.includes(v));
+        if (newValue !== undefined) {
+          throw new Error(
+            `"${newValue}" is a new value of "${k}". Use train() to create a model with the new value.`,
+          );
+        }
+      } else if (inputMeta[k].dtype === 'number' || inputMeta[k].dtype === 'array') {
+        const values = dataAsArray.flat();
+        inputMeta[k] = {
+          ...inputMeta[k],
+          min: Math.min(inputMeta[k].min, nnUtils.getMin(values)),
+          max: Math.max(inputMeta[k].max, nnUtils.getMax(values)),
+        };
+
+        // combine the mean and std of the old and the new values
+        // the median and iqr of the robust normalization are not updated
+        if (inputMeta[k].normalization === 'zscore') {
+          const { count, mean, std } = inputMeta[k];
+          const newMean = nnUtils.getMean(values);
+          const newStd = nnUtils.getStd(values);
+          const total = count + values.length;
+          const delta = newMean - mean;
+          const sumOfSquares =
+            std ** 2 * count + newStd ** 2 * values.length + (delta ** 2 * count * values.length) / total;
+
+          inputMeta[k].count = total;
+          inputMeta[k].mean = mean + (delta * values.length) / total;
+          inputMeta[k].std = Math.sqrt(sumOfSquares / total);
+        }
+      }
+    });
+
+    return inputMeta;
+  }
+
   /**
    * ////////////////////////////////////////////////////////
    * Add Data
@@ -279,11 +428,14 @@ class NeuralNetworkData {
 
       dataRaw.forEach(row => {
         // get xs
-        const xs = Object.keys(meta.inputs)
-          .map(k => {
-            return row.xs[k];
-          })
-          .flat();
+        // sequences are padded or truncated and ordered frame by frame
+        const xs = meta.sequenceLength
+          ? this.formatSequence(row.xs, meta).flat()
+          : Object.keys(meta.inputs)
+              .map(k => {
+                return row.xs[k];
+              })
+              .flat();
 
         inputArr.push(xs);
 
@@ -307,6 +459,107 @@ class NeuralNetworkData {
     });
   }
 
+  /**
+   * formatSequence
+   * turns the {feature: [values over time]} of a sequence into
+   * an array of frames of the size [sequenceLength, features].
+   * longer sequences are truncated and shorter sequences are padded with 0
+   * @param {*} xs
+   * @param {*} _meta
+   */
+  formatSequence(xs, _meta = null) {
+    const meta = _meta === null ? this.meta : _meta;
+    const labels = Object.keys(meta.inputs);
+
+    return Array.from({ length: meta.sequenceLength }, (item, frameIdx) =>
+      labels.map(k => {
+        const value = xs[k][frameIdx];
+        return value === undefined ? 0 : value;
+      }),
+    );
+  }
+
+  /**
+   * formatRowForTraining
+   * onehot encodes and normalizes a single {xs, ys} row
+   * with the current meta and returns the flat xs and ys arrays
+   * @param {*} row
+   * @param {*} _meta
+   */
+  formatRowForTraining(row, _meta = null) {
+    const meta = _meta === null ? this.meta : _meta;
+
+    const formatValues = (values, inputOrOutputMeta) => {
+      const output = {};
+      Object.keys(inputOrOutputMeta).forEach(k => {
+        const { dtype, legend } = inputOrOutputMeta[k];
+        const value = values[k];
+        if (dtype === 'string') {
+          output[k] = legend[value];
+        } else if (!meta.isNormalized) {
+          output[k] = value;
+        } else if (dtype === 'number') {
+          output[k] = nnUtils.normalizeValueByStrategy(value, inputOrOutputMeta[k]);
+        } else if (dtype === 'array') {
+          output[k] = this.normalizeArray(value, inputOrOutputMeta[k]);
+        }
+      });
+      return output;
+    };
+
+    const xs = formatValues(row.xs, meta.inputs);
+    const ys = formatValues(row.ys, meta.outputs);
+
+    return {
+      xs: meta.sequenceLength
+        ? this.formatSequence(xs, meta).flat()
+        : Object.keys(meta.inputs)
+            .map(k => xs[k])
+            .flat(),
+      ys: Object.keys(meta.outputs)
+        .map(k => ys[k])
+        .flat(),
+    };
+  }
+
+  /**
+   * convertRawToDataset
+   * creates a tf.data dataset of {xs, ys} batches from the dataRaw.
+   * the rows are only formatted when a batch is requested
+   * so every epoch uses the latest meta
+   * @param {*} dataRaw
+   * @param {*} options - { batchSize, shuffle, outputSizes: the units of each output head,
+   *  generator: the generator of createGenerator() to shuffle with, or null for the one of setSeed() }
+   */
+  convertRawToDataset(dataRaw, options = {}) {
+    const { batchSize = 32, shuffle = true, outputSizes = null, generator = null } = options;
+
+    const iterator = () => {
+      const order = dataRaw.map((row, idx) => idx);
+      if (shuffle) withGenerator(generator, () => shuffleArray(order));
+
+      let idx = 0;
+      return {
+        next: () => {
+          if (idx >= order.length) {
+            return { value: null, done: true };
+          }
+          const value = this.formatRowForTraining(dataRaw[order[idx]]);
+          idx += 1;
+          return { value, done: false };
+        },
+      };
+    };
+
+    return tf.data
+      .generator(iterator)
+      .batch(batchSize)
+      .map(({ xs, ys }) => ({
+        xs: xs.reshape([-1, ...this.meta.inputUnits]),
+        ys: outputSizes === null ? ys : tf.split(ys, outputSizes, 1),
+      }));
+  }
+
   /**
    * ////////////////////////////////////////////////////////
    * data normalization / unnormalization
@@ -344,11 +597,9 @@ class NeuralNetworkData {
     // normalized output object
     const normalized = {};
     Object.keys(inputMeta).forEach(k => {
-      // get the min and max values
-      const options = {
-        min: inputMeta[k].min,
-        max: inputMeta[k].max,
-      };
+      // get the min, max and the stats of the normalization
+      const options = { ...inputMeta[k] };
+      delete options.legend;
 
       const dataAsArray = dataRaw.map(item => item[xsOrYs][k]);
       // depending on the input type, normalize accordingly
@@ -385,8 +636,6 @@ class NeuralNetworkData {
    */
   // eslint-disable-next-line no-unused-vars, class-methods-use-this
   normalizeArray(inputArray, options) {
-    const { min, max } = options;
-
     // if the data are onehot encoded, replace the string
     // value with the onehot array
     // if none exists, return the given value
@@ -399,7 +648,7 @@ class NeuralNetworkData {
 
     // if the dtype is a number
     if (inputArray.every(v => typeof v === 'number')) {
-      const normalized = inputArray.map(v => nnUtils.normalizeValue(v, min, max));
+      const normalized = inputArray.map(v => nnUtils.normalizeValueByStrategy(v, options));
       return normalized;
     }
 
@@ -415,8 +664,6 @@ class NeuralNetworkData {
    */
   // eslint-disable-next-line no-unused-vars, class-methods-use-this
   unnormalizeArray(inputArray, options) {
-    const { min, max } = options;
-
     // if the data is onehot encoded then remap the
     // values from those oneHot arrays
     if (options.legend) {
@@ -436,7 +683,7 @@ class NeuralNetworkData {
 
     // if the dtype is a number
     if (inputArray.every(v => typeof v === 'number')) {
-      const unnormalized = inputArray.map(v => nnUtils.unnormalizeValue(v, min, max));
+      const unnormalized = inputArray.map(v => nnUtils.unnormalizeValueByStrategy(v, options));
       return unnormalized;
     }
 
@@ -570,6 +817,413 @@ class NeuralNetworkData {
     });
   }
 
+  /**
+   * ////////////////////////////////////////////////
+   * Data exploration
+   * ////////////////////////////////////////////////
+   */
+
+  /**
+   * getHistograms
+   * counts the values of every input: in equal bins between the min and max
+   * for numbers and for every value for strings. Arrays are skipped
+   * @param {*} dataRaw
+   * @param {*} bins - the number of bins of the numbers
+   * @return {object} { name: { dtype: 'number', bins: [{ x0, x1, count }], missing }
+   *    or { dtype: 'string', counts: { value: count }, missing } }
+   */
+  getHistograms(dataRaw, bins = 10) {
+    const histograms = {};
+
+    Object.keys(this.meta.inputs).forEach(k => {
+      const { dtype } = this.meta.inputs[k];
+      const values = dataRaw.map(row => row.xs[k]);
+      const present = values.filter(v => !nnUtils.isMissingValue(v));
+      const missing = values.length - present.length;
+
+      if (dtype === 'string') {
+        const counts = {};
+        present.forEach(v => {
+          counts[v] = (counts[v] || 0) + 1;
+        });
+        histograms[k] = { dtype, counts, missing };
+      } else if (dtype === 'number') {
+        const min = nnUtils.getMin(present);
+        const max = nnUtils.getMax(present);
+        const width = (max - min) / bins || 1;
+        const histogram = [...new Array(bins).keys()].map(idx => ({
+          x0: min + idx * width,
+          x1: min + (idx + 1) * width,
+          count: 0,
+        }));
+        present.forEach(v => {
+          // the max belongs to the last bin
+          const idx = Math.min(Math.floor((v - min) / width), bins - 1);
+          histogram[idx].count += 1;
+        });
+        histograms[k] = { dtype, bins: histogram, missing };
+      }
+    });
+
+    return histograms;
+  }
+
+  /**
+   * getClassCounts
+   * counts the samples of every class of the string outputs
+   * @param {*} dataRaw
+   * @return {object} { outputName: { label: count } }
+   */
+  getClassCounts(dataRaw) {
+    const classCounts = {};
+
+    Object.keys(this.meta.outputs)
+      .filter(k => this.meta.outputs[k].dtype === 'string')
+      .forEach(k => {
+        classCounts[k] = this.getClassDistribution(dataRaw, k);
+      });
+
+    return classCounts;
+  }
+
+  /**
+   * getCorrelations
+   * the pearson correlations between all of the inputs and outputs.
+   * strings are split into one column per value (name=value)
+   * @param {*} dataRaw
+   * @return {object} { labels: [], values: [[]] }
+   */
+  getCorrelations(dataRaw) {
+    const columns = [];
+
+    [
+      ['xs', this.meta.inputs],
+      ['ys', this.meta.outputs],
+    ].forEach(([xsOrYs, inputOrOutputMeta]) => {
+      Object.keys(inputOrOutputMeta).forEach(k => {
+        const { dtype, uniqueValues } = inputOrOutputMeta[k];
+        if (dtype === 'number') {
+          columns.push({ label: k, values: dataRaw.map(row => row[xsOrYs][k]) });
+        } else if (dtype === 'string') {
+          uniqueValues.forEach(value => {
+            columns.push({
+              label: `${k}=${value}`,
+              values: dataRaw.map(row => (row[xsOrYs][k] === value ? 1 : 0)),
+            });
+          });
+        }
+      });
+    });
+
+    // the rows with a missing value are left out
+    const rows = dataRaw
+      .map((row, idx) => idx)
+      .filter(idx => columns.every(column => Number.isFinite(column.values[idx])));
+    const values = columns.map(a =>
+      columns.map(b =>
+        nnUtils.getCorrelation(
+          rows.map(idx => a.values[idx]),
+          rows.map(idx => b.values[idx]),
+        ),
+      ),
+    );
+
+    return {
+      labels: columns.map(column => column.label),
+      values,
+    };
+  }
+
+  /**
+   * getPrincipalComponents
+   * projects the onehot encoded and standardized inputs on their
+   * principal components, found by power iteration with deflation
+   * @param {*} dataRaw
+   * @param {*} nComponents
+   * @return {object} { points: [[pc1, pc2]], explainedVariance: [] }
+   */
+  getPrincipalComponents(dataRaw, nComponents = 2) {
+    const meta = { ...this.meta, isNormalized: false };
+    const rows = dataRaw.map(row => this.formatRowForTraining(row, meta).xs);
+
+    return tf.tidy(() => {
+      const data = tf.tensor2d(rows);
+      const { mean, variance } = tf.moments(data, 0);
+      // constant columns are only centered
+      const std = tf.sqrt(variance).maximum(tf.scalar(1e-8));
+      const centered = data.sub(mean).div(std);
+      const { components, explainedVariance } = getPrincipalComponents(centered, nComponents);
+      const points = centered.matMul(components).arraySync();
+      return { points, explainedVariance };
+    });
+  }
+
+  /**
+   * ////////////////////////////////////////////////
+   * Class balancing
+   * ////////////////////////////////////////////////
+   */
+
+  /**
+   * getClassLabel
+   * the label of an output of a raw row or of a onehot encoded row
+   * @param {*} row
+   * @param {*} output - the name of the output
+   */
+  getClassLabel(row, output) {
+    const value = row.ys[output];
+    if (!Array.isArray(value)) return value;
+
+    const { uniqueValues } = this.meta.outputs[output];
+    return uniqueValues[value.indexOf(Math.max(...value))];
+  }
+
+  /**
+   * getClassDistribution
+   * the number of rows of every label of an output,
+   * in the order of the onehot encoding
+   * @param {*} rows - raw or onehot encoded rows
+   * @param {*} output - the name of the output
+   * @return {object} { label: count }
+   */
+  getClassDistribution(rows, output) {
+    const counts = {};
+    (this.meta.outputs[output].uniqueValues || []).forEach(label => {
+      counts[label] = 0;
+    });
+    rows.forEach(row => {
+      const label = this.getClassLabel(row, output);
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * resampleData
+   * oversample: repeats random rows of every class until it has as many rows as the largest class
+   * undersample: keeps random rows of every class as many as the smallest class has
+   * the rows are shuffled so the classes are mixed in the batches
+   * @param {*} rows - raw or onehot encoded rows
+   * @param {*} strategy - 'oversample' or 'undersample'
+   * @param {*} output - the name of the output
+   */
+  resampleData(rows, strategy, output) {
+    if (!RESAMPLE_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `"${strategy}" is not a resample strategy. Use one of: ${RESAMPLE_STRATEGIES.join(', ')}`,
+      );
+    }
+
+    const rowsByLabel = {};
+    rows.forEach(row => {
+      const label = this.getClassLabel(row, output);
+      if (!rowsByLabel[label]) rowsByLabel[label] = [];
+      rowsByLabel[label].push(row);
+    });
+
+    const sizes = Object.values(rowsByLabel).map(classRows => classRows.length);
+    const resampled = [];
+    Object.values(rowsByLabel).forEach(classRows => {
+      if (strategy === 'oversample') {
+        const target = nnUtils.getMax(sizes);
+        resampled.push(...classRows, ...randomSample(classRows, target - classRows.length, true));
+      } else {
+        const target = nnUtils.getMin(sizes);
+        resampled.push(...randomSample(classRows, target, false));
+      }
+    });
+
+    return randomSample(resampled, resampled.length, false);
+  }
+
+  /**
+   * getClassWeights
+   * the weight of every label of an output in the loss
+   * 'balanced' weighs the classes inversely to their number of rows:
+   * rows / (classes * rows of the class)
+   * @param {*} classCounts - { label: count }
+   * @param {*} classWeight - 'balanced' or { label: weight }, labels that are left out weigh 1
+   * @return {object} { label: weight }
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getClassWeights(classCounts, classWeight) {
+    const labels = Object.keys(classCounts);
+    const total = labels.reduce((sum, label) => sum + classCounts[label], 0);
+    const weights = {};
+
+    if (classWeight === 'balanced') {
+      const presentLabels = labels.filter(label => classCounts[label] > 0);
+      labels.forEach(label => {
+        weights[label] =
+          classCounts[label] > 0 ? total / (presentLabels.length * classCounts[label]) : 1;
+      });
+      return weights;
+    }
+
+    const unknown = Object.keys(classWeight).find(label => !labels.includes(label));
+    if (unknown !== undefined) {
+      throw new Error(`"${unknown}" is not a label of the data. The labels are: ${labels.join(', ')}`);
+    }
+    labels.forEach(label => {
+      weights[label] = classWeight[label] !== undefined ? classWeight[label] : 1;
+    });
+    return weights;
+  }
+
+  /**
+   * ////////////////////////////////////////////////
+   * Missing values
+   * ////////////////////////////////////////////////
+   */
+
+  /**
+   * finds the missing values (undefined, null, NaN or '') in each
+   * column of the dataRaw and drops or fills them.
+   * sets this.data.raw and returns a report of the missing values per column
+   * the fills of the inputs are kept in the meta to fill the inputs of predictions
+   * @param {*} dataRaw
+   * @param {*} missingValues - a strategy for all columns or {columnName: strategy}
+   */
+  handleMissingValues(dataRaw, missingValues = 'none') {
+    const columns = [];
+    ['xs', 'ys'].forEach(xsOrYs => {
+      const keys = new Set(dataRaw.map(row => Object.keys(row[xsOrYs])).flat());
+      keys.forEach(key => columns.push({ key, xsOrYs }));
+    });
+
+    const droppedRows = new Set();
+    const report = {
+      rows: dataRaw.length,
+      droppedRows: 0,
+      columns: {},
+    };
+
+    const fills = columns.map(({ key, xsOrYs }) => {
+      const { strategy, value } = this.getMissingValueStrategy(missingValues, key);
+      const values = dataRaw.map(row => row[xsOrYs][key]);
+      const missing = values.filter(v => nnUtils.isMissingValue(v)).length;
+
+      report.columns[key] = { missing, strategy };
+      if (missing === 0 || strategy === 'none') return null;
+
+      if (strategy === 'drop') {
+        values.forEach((v, idx) => {
+          if (nnUtils.isMissingValue(v)) droppedRows.add(idx);
+        });
+        return null;
+      }
+      if (strategy === 'indicator' && xsOrYs === 'ys') {
+        throw new Error(`the missing values of the output "${key}" can not be an indicator column`);
+      }
+
+      const present = values.filter(v => !nnUtils.isMissingValue(v));
+      const fill = this.getMissingValueFill(present, strategy, value, key);
+      report.columns[key].value = fill;
+
+      return { key, xsOrYs, strategy, fill };
+    });
+
+    const result = dataRaw
+      .filter((row, idx) => !droppedRows.has(idx))
+      .map(row => {
+        const output = {
+          xs: { ...row.xs },
+          ys: { ...row.ys },
+        };
+        fills
+          .filter(item => item !== null)
+          .forEach(({ key, xsOrYs, strategy, fill }) => {
+            const isMissing = nnUtils.isMissingValue(row[xsOrYs][key]);
+            if (isMissing) output[xsOrYs][key] = fill;
+            if (strategy === 'indicator') output.xs[`${key}_missing`] = isMissing ? 1 : 0;
+          });
+        return output;
+      });
+
+    report.droppedRows = droppedRows.size;
+
+    const affected = Object.values(report.columns).some(column => column.missing > 0);
+    if (affected) {
+      console.warn('missing values were found in the data', report);
+    }
+
+    const inputFills = {};
+    fills
+      .filter(item => item !== null && item.xsOrYs === 'xs')
+      .forEach(({ key, strategy, fill }) => {
+        inputFills[key] = { strategy, value: fill };
+      });
+
+    this.meta = {
+      ...this.meta,
+      missingValues: inputFills,
+    };
+    this.data.raw = result;
+    this.missingValuesReport = report;
+
+    return report;
+  }
+
+  /**
+   * gets the {strategy, value} for the column
+   * the missingValues can be a strategy, {strategy, value}
+   * or an object of those by column name
+   * @param {*} missingValues
+   * @param {*} key
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMissingValueStrategy(missingValues, key) {
+    let option = missingValues;
+    if (option !== null && typeof option === 'object' && !option.strategy) {
+      option = option[key] === undefined ? 'none' : option[key];
+    }
+    const { strategy, value } =
+      option !== null && typeof option === 'object' ? option : { strategy: option || 'none' };
+
+    if (!MISSING_VALUE_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `"${strategy}" is not a missing value strategy. Use one of: ${MISSING_VALUE_STRATEGIES.join(
+          ', ',
+        )}`,
+      );
+    }
+
+    return { strategy, value };
+  }
+
+  /**
+   * gets the value that replaces the missing values of a column
+   * the indicator column fills numbers with the mean and strings with the mode
+   * @param {*} present - the values that are not missing
+   * @param {*} strategy
+   * @param {*} value - the value of the constant strategy
+   * @param {*} key
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMissingValueFill(present, strategy, value, key) {
+    if (strategy === 'constant') {
+      if (value === undefined) {
+        throw new Error(`the constant strategy of "${key}" needs a value`);
+      }
+      return value;
+    }
+    if (present.length === 0) {
+      throw new Error(`"${key}" does not have any values to fill the missing values with`);
+    }
+
+    const isNumeric = present.every(v => typeof v === 'number');
+    if (strategy === 'mode' || (strategy === 'indicator' && !isNumeric)) {
+      return nnUtils.getMode(present);
+    }
+    if (!isNumeric) {
+      throw new Error(`"${strategy}" can only fill numbers. Use "mode" or "constant" for "${key}"`);
+    }
+    if (strategy === 'median') {
+      return nnUtils.getQuantile(present, 0.5);
+    }
+    return nnUtils.getMean(present);
+  }
+
   /**
    * ////////////////////////////////////////////////
    * saving / loading data
@@ -578,20 +1232,23 @@ class NeuralNetworkData {
 
   /**
    * Loads data from a URL using the appropriate function
-   * @param {*} dataUrl
+   * @param {*} dataUrl - a url or a Blob / File
    * @param {*} inputs
    * @param {*} outputs
+   * @param {*} csvOptions - { delimiter, quote, header, columnTypes }
    */
-  async loadDataFromUrl(dataUrl, inputs, outputs) {
+  async loadDataFromUrl(dataUrl, inputs, outputs, csvOptions = {}) {
     try {
       let result;
 
-      if (dataUrl.endsWith('.csv')) {
-        result = await this.loadCSV(dataUrl, inputs, outputs);
+      if (dataUrl instanceof Blob) {
+        result = await this.loadBlob(dataUrl, inputs, outputs, csvOptions);
+      } else if (dataUrl.endsWith('.csv')) {
+        result = await this.loadCSV(dataUrl, inputs, outputs, csvOptions);
       } else if (dataUrl.endsWith('.json')) {
         result = await this.loadJSON(dataUrl, inputs, outputs);
       } else if (dataUrl.includes('blob')) {
-        result = await this.loadBlob(dataUrl, inputs, outputs);
+        result = await this.loadBlob(dataUrl, inputs, outputs, csvOptions);
       } else {
         throw new Error('Not a valid data format. Must be csv or json');
       }
@@ -634,14 +1291,12 @@ class NeuralNetworkData {
    * @param {*} _dataUrl
    * @param {*} _inputLabelsArray
    * @param {*} _outputLabelsArray
+   * @param {*} csvOptions
    */
-  async loadCSV(dataUrl, inputLabels, outputLabels) {
+  async loadCSV(dataUrl, inputLabels, outputLabels, csvOptions = {}) {
     try {
-      const myCsv = tf.data.csv(dataUrl);
-      const loadedData = await myCsv.toArray();
-      const json = {
-        entries: loadedData,
-      };
+      const { data } = await axios.get(dataUrl, { responseType: 'text' });
+      const json = this.csvToJSON(data, csvOptions);
       // format the data.raw array
       const result = this.formatRawData(json, inputLabels, outputLabels);
       return result;
@@ -653,21 +1308,27 @@ class NeuralNetworkData {
 
   /**
    * loadBlob
-   * @param {*} _dataUrlOrJson
+   * @param {*} _dataUrlOrJson - a blob url or a Blob / File
    * @param {*} _inputLabelsArray
    * @param {*} _outputLabelsArray
+   * @param {*} csvOptions
    */
-  async loadBlob(dataUrlOrJson, inputLabels, outputLabels) {
+  async loadBlob(dataUrlOrJson, inputLabels, outputLabels, csvOptions = {}) {
     try {
-      const {data} = await axios.get(dataUrlOrJson);
-      const text = data; // await data.text();
+      let text;
+      if (dataUrlOrJson instanceof Blob) {
+        text = await dataUrlOrJson.text();
+      } else {
+        const { data } = await axios.get(dataUrlOrJson, { responseType: 'text' });
+        text = data;
+      }
 
       let result;
       if (nnUtils.isJsonOrString(text)) {
         const json = JSON.parse(text);
         result = await this.loadJSON(json, inputLabels, outputLabels);
       } else {
-        const json = this.csvToJSON(text);
+        const json = this.csvToJSON(text, csvOptions);
         result = await this.loadJSON(json, inputLabels, outputLabels);
       }
 
@@ -864,27 +1525,26 @@ class NeuralNetworkData {
         a property called 'entries' or 'data' of your json object`);
     }
 
+    [...inputLabels, ...outputLabels].forEach(k => {
+      if (dataArray.every(item => item[k] === undefined)) {
+        console.error(`the label ${k} does not exist in your data`);
+      }
+    });
+
     // create an array of json objects [{xs,ys}]
-    const result = dataArray.map((item, idx) => {
+    // the missing values are handled by handleMissingValues()
+    const result = dataArray.map(item => {
       const output = {
         xs: {},
         ys: {},
       };
 
       inputLabels.forEach(k => {
-        if (item[k] !== undefined) {
-          output.xs[k] = item[k];
-        } else {
-          console.error(`the input label ${k} does not exist at row ${idx}`);
-        }
+        output.xs[k] = item[k];
       });
 
       outputLabels.forEach(k => {
-        if (item[k] !== undefined) {
-          output.ys[k] = item[k];
-        } else {
-          console.error(`the output label ${k} does not exist at row ${idx}`);
-        }
+        output.ys[k] = item[k];
       });
 
       return output;
@@ -898,35 +1558,16 @@ class NeuralNetworkData {
 
   /**
    * csvToJSON
-   * Creates a csv from a string
+   * Creates a json of {entries: [rows]} from a csv string
    * @param {*} csv
+   * @param {*} options - { delimiter, quote, header, columnTypes }
    */
-  // via: http://techslides.com/convert-csv-to-json-in-javascript
   // eslint-disable-next-line class-methods-use-this
-  csvToJSON(csv) {
-    // split the string by linebreak
-    const lines = csv.split('\n');
-    const result = [];
-    // get the header row as an array
-    const headers = lines[0].split(',');
-
-    // iterate through every row
-    for (let i = 1; i < lines.length; i += 1) {
-      // create a json object for each row
-      const row = {};
-      // split the current line into an array
-      const currentline = lines[i].split(',');
-
-      // for each header, create a key/value pair
-      headers.forEach((k, idx) => {
-        row[k] = currentline[idx];
-      });
-      // add this to the result array
-      result.push(row);
-    }
+  csvToJSON(csv, options = {}) {
+    const { entries } = parseCSV(csv, options);
 
     return {
-      entries: result,
+      entries,
     };
   }
 
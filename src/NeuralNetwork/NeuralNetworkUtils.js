@@ -25,6 +25,49 @@ class NeuralNetworkUtils {
     return ((value * (max - min)) + min)
   }
 
+  /**
+   * normalizes the value with the normalization of the stats
+   * minmax (default), zscore, robust, log or none
+   * @param {*} value 
+   * @param {*} stats - {normalization, min, max, mean, std, median, iqr}
+   */
+  normalizeValueByStrategy(value, stats) {
+    const { normalization = 'minmax', min, max, mean, std, median, iqr } = stats;
+    switch (normalization) {
+      case 'zscore':
+        return (value - mean) / (std || 1);
+      case 'robust':
+        return (value - median) / (iqr || 1);
+      case 'log':
+        return Math.log1p(value - min);
+      case 'none':
+        return value;
+      default:
+        return this.normalizeValue(value, min, max);
+    }
+  }
+
+  /**
+   * unnormalizes the value with the normalization of the stats
+   * @param {*} value 
+   * @param {*} stats - {normalization, min, max, mean, std, median, iqr}
+   */
+  unnormalizeValueByStrategy(value, stats) {
+    const { normalization = 'minmax', min, max, mean, std, median, iqr } = stats;
+    switch (normalization) {
+      case 'zscore':
+        return (value * (std || 1)) + mean;
+      case 'robust':
+        return (value * (iqr || 1)) + median;
+      case 'log':
+        return Math.expm1(value) + min;
+      case 'none':
+        return value;
+      default:
+        return this.unnormalizeValue(value, min, max);
+    }
+  }
+
   /**
    * getMin
    * @param {*} _array 
@@ -49,6 +92,60 @@ class NeuralNetworkUtils {
     // return Math.max(..._array)
   }
 
+  /**
+   * getMean
+   * @param {*} _array 
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMean(_array) {
+    return _array.reduce((a, b) => a + b, 0) / _array.length;
+  }
+
+  /**
+   * gets the (population) standard deviation
+   * @param {*} _array 
+   */
+  getStd(_array) {
+    const mean = this.getMean(_array);
+    return Math.sqrt(this.getMean(_array.map(v => (v - mean) ** 2)));
+  }
+
+  /**
+   * gets the pearson correlation of two arrays of the same length,
+   * 0 if one of them is constant
+   * @param {*} _a 
+   * @param {*} _b 
+   */
+  getCorrelation(_a, _b) {
+    const meanA = this.getMean(_a);
+    const meanB = this.getMean(_b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < _a.length; i += 1) {
+      covariance += (_a[i] - meanA) * (_b[i] - meanB);
+      varianceA += (_a[i] - meanA) ** 2;
+      varianceB += (_b[i] - meanB) ** 2;
+    }
+    if (varianceA === 0 || varianceB === 0) return 0;
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
+  /**
+   * gets the quantile q (0 - 1) of the values
+   * interpolating between the two closest values
+   * @param {*} _array 
+   * @param {*} q 
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getQuantile(_array, q) {
+    const sorted = [..._array].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + ((sorted[upper] - sorted[lower]) * (position - lower));
+  }
+
   /**
    * checks whether or not a string is a json
    * @param {*} str
@@ -141,6 +238,32 @@ class NeuralNetworkUtils {
     return dtype;
   }
 
+  /**
+   * checks if a value is missing:
+   * undefined, null, NaN or an empty string
+   * @param {*} val 
+   */
+  // eslint-disable-next-line class-methods-use-this
+  isMissingValue(val) {
+    return (
+      val === undefined ||
+      val === null ||
+      (typeof val === 'number' && Number.isNaN(val)) ||
+      (typeof val === 'string' && val.trim() === '')
+    );
+  }
+
+  /**
+   * gets the most frequent value
+   * @param {*} _array 
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getMode(_array) {
+    const counts = new Map();
+    _array.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()].reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+  }
+
 }
 
 const neuralNetworkUtils = () => {
@@ -107,13 +107,166 @@ class NeuralNetworkVis {
 
   /**
    * create a confusion matrix
-   * @param {*} inputLabels
-   * @param {*} outputLabels
-   * @param {*} data
+   * @param {*} labels
+   * @param {*} confusionMatrix - { actualLabel: { predictedLabel: count } }
+   */
+  confusionMatrix(labels, confusionMatrix) {
+    const values = labels.map(actual => labels.map(predicted => confusionMatrix[actual][predicted]));
+
+    tfvis.render.confusionMatrix(
+      {
+        name: "Confusion Matrix",
+      },
+      {
+        values,
+        tickLabels: labels,
+      },
+      {
+        height: this.config.height,
+      },
+    );
+  }
+
+  /**
+   * renders the ranked results of nn.tune() as a table
+   * @param {*} results - [{ rank, config, loss, accuracy }]
+   */
+  // eslint-disable-next-line class-methods-use-this
+  tuningResults(results) {
+    const configKeys = Object.keys(results[0].config);
+    const hasAccuracy = results.some(result => result.accuracy !== undefined);
+
+    const headers = ["rank", ...configKeys, "loss"];
+    if (hasAccuracy) headers.push("accuracy");
+
+    const values = results.map(result => {
+      const row = [result.rank, ...configKeys.map(k => result.config[k]), result.loss];
+      if (hasAccuracy) row.push(result.accuracy);
+      return row;
+    });
+
+    tfvis.render.table(
+      {
+        name: "Hyperparameter Search",
+      },
+      {
+        headers,
+        values,
+      },
+    );
+  }
+
+  /**
+   * the visor tab "Data" or a div for every chart inside the container,
+   * reused when the chart is drawn again
+   * @param {*} name
+   * @param {*} container - Optional. A DOM element
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getSurface(name, container = null) {
+    if (container === null) {
+      return { name, tab: "Data" };
+    }
+
+    const charts = Array.from(container.children);
+    let surface = charts.find(element => element.dataset.chart === name);
+    if (!surface) {
+      surface = document.createElement("div");
+      surface.dataset.chart = name;
+      container.appendChild(surface);
+    }
+    return surface;
+  }
+
+  /**
+   * renders a barchart for every input: the bins of the numbers
+   * and the counts of the strings
+   * @param {*} histograms - the histograms of neuralNetworkData.getHistograms()
+   * @param {*} container
+   */
+  histograms(histograms, container = null) {
+    Object.keys(histograms).forEach(k => {
+      const { dtype, bins, counts } = histograms[k];
+      const values =
+        dtype === "number"
+          ? bins.map(bin => ({ index: `${+bin.x0.toFixed(2)}`, value: bin.count }))
+          : Object.keys(counts).map(value => ({ index: value, value: counts[value] }));
+
+      tfvis.render.barchart(this.getSurface(`Histogram: ${k}`, container), values, {
+        xLabel: k,
+        yLabel: "count",
+        height: this.config.height,
+      });
+    });
+  }
+
+  /**
+   * renders the number of samples of every class
+   * @param {*} classCounts - { outputName: { label: count } }
+   * @param {*} container
    */
-  // confusionMatrix(inputLabels, outputLabels, data) {
+  classBalance(classCounts, container = null) {
+    Object.keys(classCounts).forEach(k => {
+      const values = Object.keys(classCounts[k]).map(label => ({
+        index: label,
+        value: classCounts[k][label],
+      }));
 
-  // }
+      tfvis.render.barchart(this.getSurface(`Class balance: ${k}`, container), values, {
+        xLabel: k,
+        yLabel: "samples",
+        height: this.config.height,
+      });
+    });
+  }
+
+  /**
+   * renders the correlations as a heatmap
+   * @param {*} correlations - { labels, values }
+   * @param {*} container
+   */
+  correlationHeatmap(correlations, container = null) {
+    tfvis.render.heatmap(
+      this.getSurface("Correlations", container),
+      {
+        values: correlations.values,
+        xTickLabels: correlations.labels,
+        yTickLabels: correlations.labels,
+      },
+      {
+        domain: [-1, 1],
+        height: this.config.height,
+      },
+    );
+  }
+
+  /**
+   * renders the first two principal components colored by the label
+   * @param {*} points - [[pc1, pc2]]
+   * @param {*} labels - the label of every point
+   * @param {*} container
+   */
+  pcaScatterplot(points, labels, container = null) {
+    const series = [...new Set(labels)];
+    const values = series.map(label =>
+      points
+        .filter((point, idx) => labels[idx] === label)
+        .map(point => ({ x: point[0], y: point.length > 1 ? point[1] : 0 })),
+    );
+
+    tfvis.render.scatterplot(
+      this.getSurface("PCA", container),
+      {
+        values,
+        series: series.map(label => `${label}`),
+      },
+      {
+        xLabel: "PC1",
+        yLabel: "PC2",
+        height: this.config.height,
+      },
+    );
+  }
 
   /**
    * Visualize the training of the neural net
@@ -2,7 +2,19 @@ import * as tf from '@tensorflow/tfjs';
 import NeuralNetwork from './NeuralNetwork';
 import NeuralNetworkData from './NeuralNetworkData';
 import NeuralNetworkVis from './NeuralNetworkVis';
+import NeuralNetworkDashboard from './NeuralNetworkDashboard';
+import NeuralNetworkAugmentation from './NeuralNetworkAugmentation';
 import callCallback from '../utils/callcallback';
+import p5Utils from '../utils/p5Utils';
+import { saveBlob } from '../utils/io';
+import { BUNDLE_EXTENSION, createBundle, isBundleSource, readBundle } from '../utils/modelBundle';
+import { isStorageUrl, saveToStorage, loadFromStorage } from '../utils/modelStorage';
+import {
+  createSeedGenerator,
+  randomSample,
+  shuffle as shuffleArray,
+  withGenerator,
+} from '../utils/random';
 
 import nnUtils from './NeuralNetworkUtils';
 import { imgToPixelArray, isInstanceOfSupportedElement } from '../utils/imageUtilities';
@@ -15,10 +27,27 @@ const DEFAULTS = {
   layers: [],
   task: null,
   debug: false,
+  dashboard: null,
   learningRate: 0.2,
+  optimizer: null,
+  learningRateSchedule: null,
+  augmentation: null,
+  seed: null,
   hiddenUnits: 16,
   noTraining: false,
+  normalization: 'minmax',
+  missingValues: 'none',
+  csvOptions: {},
+  sequenceLength: null,
+  recurrentLayer: 'lstm',
 };
+
+const SEQUENCE_TASKS = ['sequenceClassification', 'sequenceRegression'];
+
+const EXPLANATION_METHODS = ['gradientXInput', 'integratedGradients'];
+
+const DATA_VISUALIZATIONS = ['histogram', 'classBalance', 'correlation', 'pca'];
+
 class DiyNeuralNetwork {
   constructor(options, cb) {
     this.callback = cb;
@@ -29,26 +58,37 @@ class DiyNeuralNetwork {
       DEFAULTS.learningRate = 0.02;
     }
 
+    // recurrent layers are trained with adam which needs a smaller learning rate
+    const taskDefaults = SEQUENCE_TASKS.includes(options.task) ? { learningRate: 0.01 } : {};
+
     this.options =
       {
         ...DEFAULTS,
+        ...taskDefaults,
         ...options,
       } || DEFAULTS;
 
     this.neuralNetwork = new NeuralNetwork();
     this.neuralNetworkData = new NeuralNetworkData();
     this.neuralNetworkVis = new NeuralNetworkVis();
+    this.dashboard = null;
 
     this.data = {
       training: [],
+      testing: [],
     };
 
+    // the layers of the options before the default layers are added
+    this.initialLayers = [...this.options.layers];
+
     this.ready = false;
 
     // Methods
     this.init = this.init.bind(this);
     // adding data
     this.addData = this.addData.bind(this);
+    this.isSequenceTask = this.isSequenceTask.bind(this);
+    this.formatSequenceInputs = this.formatSequenceInputs.bind(this);
     this.loadDataFromUrl = this.loadDataFromUrl.bind(this);
     this.loadDataInternal = this.loadDataInternal.bind(this);
     // metadata prep
@@ -60,16 +100,39 @@ class DiyNeuralNetwork {
     this.searchAndFormat = this.searchAndFormat.bind(this);
     this.formatInputItem = this.formatInputItem.bind(this);
     this.convertTrainingDataToTensors = this.convertTrainingDataToTensors.bind(this);
+    this.convertTrainingDataToDatasets = this.convertTrainingDataToDatasets.bind(this);
     this.formatInputsForPrediction = this.formatInputsForPrediction.bind(this);
+    this.fillMissingInputs = this.fillMissingInputs.bind(this);
     this.formatInputsForPredictionAll = this.formatInputsForPredictionAll.bind(this);
     this.isOneHotEncodedOrNormalized = this.isOneHotEncodedOrNormalized.bind(this);
+    this.formatSequencesForPrediction = this.formatSequencesForPrediction.bind(this);
     // model prep
     this.train = this.train.bind(this);
     this.trainInternal = this.trainInternal.bind(this);
+    this.startTraining = this.startTraining.bind(this);
+    this.trainMore = this.trainMore.bind(this);
+    this.balanceClasses = this.balanceClasses.bind(this);
     this.addLayer = this.addLayer.bind(this);
     this.createNetworkLayers = this.createNetworkLayers.bind(this);
     this.addDefaultLayers = this.addDefaultLayers.bind(this);
+    this.getRegressionActivation = this.getRegressionActivation.bind(this);
+    this.isMultiOutput = this.isMultiOutput.bind(this);
+    this.getOutputHeads = this.getOutputHeads.bind(this);
+    this.addMultiOutputLayers = this.addMultiOutputLayers.bind(this);
+    this.splitOutputsByHead = this.splitOutputsByHead.bind(this);
     this.compile = this.compile.bind(this);
+    // data exploration
+    this.visualizeData = this.visualizeData.bind(this);
+    this.visualizeDataWithMeta = this.visualizeDataWithMeta.bind(this);
+    // data augmentation
+    this.previewAugmentation = this.previewAugmentation.bind(this);
+    this.previewAugmentationInternal = this.previewAugmentationInternal.bind(this);
+    this.tensorToImage = this.tensorToImage.bind(this);
+    // training dashboard
+    this.showDashboard = this.showDashboard.bind(this);
+    this.updateDashboard = this.updateDashboard.bind(this);
+    this.getLearningRate = this.getLearningRate.bind(this);
+    this.createDashboardCallbacks = this.createDashboardCallbacks.bind(this);
     // prediction / classification
     this.predict = this.predict.bind(this);
     this.predictMultiple = this.predictMultiple.bind(this);
@@ -77,12 +140,42 @@ class DiyNeuralNetwork {
     this.classifyMultiple = this.classifyMultiple.bind(this);
     this.predictInternal = this.predictInternal.bind(this);
     this.classifyInternal = this.classifyInternal.bind(this);
+    this.formatMultiOutputResults = this.formatMultiOutputResults.bind(this);
+    // evaluation
+    this.splitTrainingData = this.splitTrainingData.bind(this);
+    this.evaluate = this.evaluate.bind(this);
+    this.evaluateInternal = this.evaluateInternal.bind(this);
+    this.formatEvaluationData = this.formatEvaluationData.bind(this);
+    this.createEvaluationInputs = this.createEvaluationInputs.bind(this);
+    this.evaluateClassification = this.evaluateClassification.bind(this);
+    this.evaluateRegression = this.evaluateRegression.bind(this);
+    // hyperparameter search
+    this.tune = this.tune.bind(this);
+    this.tuneInternal = this.tuneInternal.bind(this);
+    this.tuneWithMeta = this.tuneWithMeta.bind(this);
+    this.createTuningConfigs = this.createTuningConfigs.bind(this);
+    this.scoreTuningConfig = this.scoreTuningConfig.bind(this);
+    // explanations
+    this.explain = this.explain.bind(this);
+    this.explainInternal = this.explainInternal.bind(this);
+    this.createExplanationInput = this.createExplanationInput.bind(this);
+    this.getExplanationTarget = this.getExplanationTarget.bind(this);
+    this.createSaliencyImage = this.createSaliencyImage.bind(this);
+    this.permutationImportance = this.permutationImportance.bind(this);
+    this.permutationImportanceInternal = this.permutationImportanceInternal.bind(this);
+    this.computeLoss = this.computeLoss.bind(this);
     // save / load data
     this.saveData = this.saveData.bind(this);
     this.loadData = this.loadData.bind(this);
     // save / load model
     this.save = this.save.bind(this);
     this.load = this.load.bind(this);
+    this.saveBundle = this.saveBundle.bind(this);
+    this.saveBundleInternal = this.saveBundleInternal.bind(this);
+    this.saveToBrowserStorage = this.saveToBrowserStorage.bind(this);
+    this.saveToBrowserStorageInternal = this.saveToBrowserStorageInternal.bind(this);
+    this.loadBundle = this.loadBundle.bind(this);
+    this.loadBundleInternal = this.loadBundleInternal.bind(this);
 
     // release model
     this.dispose = this.dispose.bind(this);
@@ -91,6 +184,10 @@ class DiyNeuralNetwork {
     this.mutate = this.mutate.bind(this);
     this.crossover = this.crossover.bind(this);
 
+    if (this.options.dashboard) {
+      this.showDashboard(this.options.dashboard);
+    }
+
     // Initialize
     this.init(this.callback);
   }
@@ -144,9 +241,34 @@ class DiyNeuralNetwork {
 
   /**
    * copy
+   * @param {*} options - Optional. The options to change in the copy. The copy then has
+   * the data and the metadata of the model but not its weights, it creates its layers when it is trained
    */
-  copy() {
-    const nnCopy = new DiyNeuralNetwork(this.options);
+  copy(options = null) {
+    if (options !== null) {
+      const nnCopy = new DiyNeuralNetwork({
+        ...this.options,
+        layers: this.initialLayers.map(layer => ({ ...layer })),
+        dataUrl: null,
+        modelUrl: null,
+        debug: false,
+        dashboard: null,
+        ...options,
+      });
+
+      const { meta, data, isMetadataReady, statsIndex } = this.neuralNetworkData;
+      nnCopy.neuralNetworkData.meta = {
+        ...meta,
+        inputs: { ...meta.inputs },
+        outputs: { ...meta.outputs },
+      };
+      nnCopy.neuralNetworkData.data.raw = [...data.raw];
+      nnCopy.neuralNetworkData.isMetadataReady = isMetadataReady;
+      nnCopy.neuralNetworkData.statsIndex = statsIndex;
+      return nnCopy;
+    }
+
+    const nnCopy = new DiyNeuralNetwork({ ...this.options, dashboard: null });
     return tf.tidy(() => {
       const weights = this.neuralNetwork.model.getWeights();
       const weightCopies = [];
@@ -170,9 +292,12 @@ class DiyNeuralNetwork {
    * @param {Array | Object} yInputs
    * @param {*} options
    */
-  addData(xInputs, yInputs, options = null) {
+  addData(_xInputs, yInputs, options = null) {
     const { inputs, outputs } = this.options;
 
+    // the frames of a sequence are stored as {feature: [values over time]}
+    const xInputs = this.isSequenceTask() ? this.formatSequenceInputs(_xInputs) : _xInputs;
+
     // get the input and output labels
     // or infer them from the data
     let inputLabels;
@@ -216,6 +341,50 @@ class DiyNeuralNetwork {
     this.neuralNetworkData.addData(xs, ys);
   }
 
+  /**
+   * checks if the task is sequenceClassification or sequenceRegression
+   */
+  isSequenceTask() {
+    return SEQUENCE_TASKS.includes(this.options.task);
+  }
+
+  /**
+   * formats an array of frames as {feature: [values over time]}
+   * a frame can be a number, an array or an object of values
+   * @param {*} frames
+   */
+  formatSequenceInputs(frames) {
+    // the sequence is already formatted
+    if (!Array.isArray(frames)) {
+      return frames;
+    }
+
+    const { inputs } = this.options;
+    const formattedFrames = frames.map(frame => (typeof frame === 'number' ? [frame] : frame));
+    const firstFrame = formattedFrames[0];
+
+    let labels;
+    if (Array.isArray(inputs) && inputs.length > 0 && inputs.every(item => typeof item === 'string')) {
+      labels = inputs;
+    } else if (this.neuralNetworkData.isMetadataReady) {
+      // use the same order of the features as the training data
+      labels = Object.keys(this.neuralNetworkData.meta.inputs);
+    } else if (Array.isArray(firstFrame)) {
+      labels = nnUtils.createLabelsFromArrayValues(firstFrame, 'input');
+    } else {
+      labels = Object.keys(firstFrame);
+    }
+
+    const sequence = {};
+    labels.forEach((label, idx) => {
+      sequence[label] = formattedFrames.map(frame =>
+        Array.isArray(frame) ? frame[idx] : frame[label],
+      );
+    });
+
+    return sequence;
+  }
+
   /**
    * loadData
    * @param {*} options
@@ -230,16 +399,25 @@ class DiyNeuralNetwork {
    * @param {*} options
    */
   async loadDataInternal(options) {
-    const { dataUrl, inputs, outputs } = options;
+    const { dataUrl, inputs, outputs, missingValues, csvOptions } = options;
 
-    const data = await this.neuralNetworkData.loadDataFromUrl(dataUrl, inputs, outputs);
+    const loadedData = await this.neuralNetworkData.loadDataFromUrl(
+      dataUrl,
+      inputs,
+      outputs,
+      csvOptions,
+    );
+    const report = this.neuralNetworkData.handleMissingValues(loadedData, missingValues);
+    const data = this.neuralNetworkData.data.raw;
 
     // once the data are loaded, create the metadata
     // and prep the data for training
     // if the inputs are defined as an array of [img_width, img_height, channels]
-    this.createMetadata(data);
+    this.createMetaData(data);
 
     this.prepareForTraining(data);
+
+    return report;
   }
 
   /**
@@ -252,12 +430,19 @@ class DiyNeuralNetwork {
     const { inputs } = this.options;
 
     let inputShape;
-    if (Array.isArray(inputs) && inputs.length > 0) {
+    if (this.isSequenceTask()) {
+      // pad or truncate all of the sequences to the same number of frames
+      const sequenceLength =
+        this.options.sequenceLength ||
+        nnUtils.getMax(dataRaw.map(row => nnUtils.getMax(Object.values(row.xs).map(v => v.length))));
+      this.neuralNetworkData.meta.sequenceLength = sequenceLength;
+      inputShape = [sequenceLength, Object.keys(dataRaw[0].xs).length];
+    } else if (Array.isArray(inputs) && inputs.length > 0) {
       inputShape =
         inputs.every(item => typeof item === 'number') && inputs.length > 0 ? inputs : null;
     }
 
-    this.neuralNetworkData.createMetadata(dataRaw, inputShape);
+    this.neuralNetworkData.createMetadata(dataRaw, inputShape, this.options.normalization);
   }
 
   /**
@@ -316,8 +501,7 @@ class DiyNeuralNetwork {
   // eslint-disable-next-line class-methods-use-this
   normalizeInput(value, _key, _meta) {
     const key = _key;
-    const { min, max } = _meta[key];
-    return nnUtils.normalizeValue(value, min, max);
+    return nnUtils.normalizeValueByStrategy(value, _meta[key]);
   }
 
   /**
@@ -376,6 +560,42 @@ class DiyNeuralNetwork {
     return this.neuralNetworkData.convertRawToTensors(trainingData, meta);
   }
 
+  /**
+   * creates the tf.data datasets to train and validate with
+   * the last part of the rows is used for validation like in model.fit()
+   * @param {*} trainingData
+   * @param {*} options
+   * @param {*} validationRows - the rows to validate with instead of the last part of the rows
+   */
+  convertTrainingDataToDatasets(trainingData, options, validationRows = null) {
+    const { batchSize, validationSplit = 0, generator = null } = options;
+    const validationCount =
+      validationRows === null ? Math.floor(trainingData.length * validationSplit) : 0;
+    const trainingCount = trainingData.length - validationCount;
+    const validation =
+      validationRows === null ? trainingData.slice(trainingCount) : validationRows;
+
+    const outputSizes = this.isMultiOutput()
+      ? this.getOutputHeads(this.neuralNetworkData.meta).map(head => head.units)
+      : null;
+
+    const dataset = this.neuralNetworkData.convertRawToDataset(
+      trainingData.slice(0, trainingCount),
+      { batchSize, outputSizes, generator },
+    );
+
+    const validationData =
+      validation.length > 0
+        ? this.neuralNetworkData.convertRawToDataset(validation, {
+            batchSize,
+            outputSizes,
+            shuffle: false,
+          })
+        : undefined;
+
+    return { dataset, validationData };
+  }
+
   /**
    * format the inputs for prediction
    * this means applying onehot or normalization
@@ -387,18 +607,19 @@ class DiyNeuralNetwork {
    */
   formatInputsForPrediction(_input, meta, inputHeaders) {
     let inputData = [];
+    const input = this.fillMissingInputs(_input, meta, inputHeaders);
 
     // TODO: check to see if it is a nested array
     // to run predict or classify on a batch of data
 
-    if (_input instanceof Array) {
+    if (input instanceof Array) {
       inputData = inputHeaders.map((prop, idx) => {
-        return this.isOneHotEncodedOrNormalized(_input[idx], prop, meta.inputs);
+        return this.isOneHotEncodedOrNormalized(input[idx], prop, meta.inputs);
       });
-    } else if (_input instanceof Object) {
+    } else if (input instanceof Object) {
       // TODO: make sure that the input order is preserved!
       inputData = inputHeaders.map(prop => {
-        return this.isOneHotEncodedOrNormalized(_input[prop], prop, meta.inputs);
+        return this.isOneHotEncodedOrNormalized(input[prop], prop, meta.inputs);
       });
     }
 
@@ -408,6 +629,45 @@ class DiyNeuralNetwork {
     return inputData;
   }
 
+  /**
+   * fills the missing values of an input like the missing values of the data
+   * and adds the <property>_missing inputs of the indicator strategy.
+   * an array can leave out the _missing inputs
+   * @param {*} _input
+   * @param {*} meta
+   * @param {*} inputHeaders
+   */
+  // eslint-disable-next-line class-methods-use-this
+  fillMissingInputs(_input, meta, inputHeaders) {
+    const missingValues = meta.missingValues || {};
+    const keys = Object.keys(missingValues);
+    if (keys.length === 0 || !(_input instanceof Object)) return _input;
+
+    let input = { ..._input };
+    if (_input instanceof Array) {
+      const indicators = keys
+        .filter(key => missingValues[key].strategy === 'indicator')
+        .map(key => `${key}_missing`);
+      const props =
+        _input.length === inputHeaders.length
+          ? inputHeaders
+          : inputHeaders.filter(prop => !indicators.includes(prop));
+      input = {};
+      props.forEach((prop, idx) => {
+        input[prop] = _input[idx];
+      });
+    }
+
+    keys.forEach(key => {
+      const { strategy, value } = missingValues[key];
+      const isMissing = nnUtils.isMissingValue(input[key]);
+      if (isMissing) input[key] = value;
+      if (strategy === 'indicator') input[`${key}_missing`] = isMissing ? 1 : 0;
+    });
+
+    return input;
+  }
+
   /**
    * formatInputsForPredictionAll
    * @param {*} _input
@@ -456,6 +716,35 @@ class DiyNeuralNetwork {
     return output;
   }
 
+  /**
+   * creates the input tensor for one sequence or an array of sequences
+   * each sequence is normalized, padded or truncated like the training data
+   * @param {*} _input
+   * @param {*} meta
+   * @param {*} _isBatch - checks the input if it is not given
+   */
+  formatSequencesForPrediction(_input, meta, _isBatch = null) {
+    const isBatch =
+      _isBatch === null
+        ? _input.every(item => Array.isArray(item) && item.every(frame => typeof frame === 'object'))
+        : _isBatch;
+    const sequences = isBatch ? _input : [_input];
+
+    const inputData = sequences.map(sequence => {
+      const xs = { ...this.formatSequenceInputs(sequence) };
+
+      if (meta.isNormalized) {
+        Object.keys(meta.inputs).forEach(k => {
+          xs[k] = this.neuralNetworkData.normalizeArray(xs[k], meta.inputs[k]);
+        });
+      }
+
+      return this.neuralNetworkData.formatSequence(xs, meta).flat();
+    });
+
+    return tf.tensor(inputData.flat(), [sequences.length, ...meta.inputUnits]);
+  }
+
   /**
    * ////////////////////////////////////////////////////////////
    * Model prep
@@ -494,6 +783,10 @@ class DiyNeuralNetwork {
       options = {};
       whileTrainingCb = optionsOrCallback;
       finishedTrainingCb = optionsOrWhileTraining;
+    } else if (typeof optionsOrCallback === 'object') {
+      options = optionsOrCallback;
+      whileTrainingCb = null;
+      finishedTrainingCb = null;
     } else {
       options = {};
       whileTrainingCb = null;
@@ -503,6 +796,21 @@ class DiyNeuralNetwork {
     this.trainInternal(options, whileTrainingCb, finishedTrainingCb);
   }
 
+  /**
+   * continues training the model from its current weights
+   * and includes the data that was added since the last training
+   * @param {*} optionsOrCallback
+   * @param {*} optionsOrWhileTraining
+   * @param {*} callback
+   */
+  trainMore(optionsOrCallback, optionsOrWhileTraining, callback) {
+    if (typeof optionsOrCallback === 'object') {
+      this.train({ ...optionsOrCallback, incremental: true }, optionsOrWhileTraining, callback);
+    } else {
+      this.train({ incremental: true }, optionsOrCallback, optionsOrWhileTraining);
+    }
+  }
+
   /**
    * train
    * @param {*} _options
@@ -514,11 +822,42 @@ class DiyNeuralNetwork {
       batchSize: 32,
       validationSplit: 0.1,
       whileTraining: null,
+      learningRateSchedule: this.options.learningRateSchedule,
+      augmentation: this.options.augmentation,
+      seed: this.options.seed,
       ..._options,
     };
 
-    // if debug mode is true, then use tf vis
-    if (this.options.debug === true || this.options.debug === 'true') {
+    // the same seed gives the same weights, shuffling and augmentation
+    // without changing the random numbers of ml5 outside of the training.
+    // the batches are created while training, so they get the generator too
+    options.generator = createSeedGenerator(options.seed);
+    const training = withGenerator(options.generator, () =>
+      this.startTraining(options, _options.classWeight || null, whileTrainingCb),
+    );
+    return callCallback(training, finishedTrainingCb);
+  }
+
+  /**
+   * creates the model if needed and trains it
+   * @param {*} _options - the options of trainInternal()
+   * @param {*} classWeight - the classWeight option as it was given
+   * @param {*} whileTrainingCb
+   * @return {Promise} the result of the training
+   */
+  startTraining(_options, classWeight, whileTrainingCb) {
+    const options = _options;
+
+    // the dashboard replaces the tf vis visor
+    if (this.dashboard !== null) {
+      options.whileTraining = [
+        this.createDashboardCallbacks(options),
+        {
+          onEpochEnd: whileTrainingCb,
+        },
+      ];
+    } else if (this.options.debug === true || this.options.debug === 'true') {
+      // if debug mode is true, then use tf vis
       options.whileTraining = [
         this.neuralNetworkVis.trainingVis(),
         {
@@ -542,24 +881,89 @@ class DiyNeuralNetwork {
       ];
     }
 
+    // the rows that were added since the metadata was last updated
+    const { statsIndex } = this.neuralNetworkData;
+    const newData = this.neuralNetworkData.data.raw.slice(statsIndex);
+
     // if metadata needs to be generated about the data
     if (!this.neuralNetworkData.isMetadataReady) {
       // if the inputs are defined as an array of [img_width, img_height, channels]
       this.createMetaData(this.neuralNetworkData.data.raw);
+    } else if (options.incremental) {
+      // only update the running stats with the new rows
+      this.neuralNetworkData.updateMetaStats(newData);
     }
 
     // if the data still need to be summarized, onehotencoded, etc
-    if (!this.neuralNetworkData.isWarmedUp) {
+    // incremental training formats the rows lazily instead
+    if (!this.neuralNetworkData.isWarmedUp && !options.incremental) {
       this.prepareForTraining(this.neuralNetworkData.data.raw);
     }
 
-    // if inputs and outputs are not specified
-    // in the options, then create the tensors
-    // from the this.neuralNetworkData.data.raws
-    if (!options.inputs && !options.outputs) {
-      const { inputs, outputs } = this.convertTrainingDataToTensors();
+    // the class distribution after the resampling and class weights
+    let classDistribution = null;
+
+    // the images are transformed randomly while training
+    if (options.augmentation) {
+      if (this.neuralNetworkData.meta.inputUnits.length !== 3) {
+        throw new Error('augmentation can only be used with images as inputs.');
+      }
+      options.augment = new NeuralNetworkAugmentation(options.augmentation).augment;
+    }
+
+    if (options.incremental) {
+      const newRows = options.newDataOnly ? newData : this.neuralNetworkData.data.raw;
+      if (newRows.length === 0) {
+        throw new Error('There is no new data to train with. Use addData() to add more data.');
+      }
+
+      const balanced = this.balanceClasses(newRows, options);
+      options.classWeight = balanced.classWeight;
+      ({ classDistribution } = balanced);
+
+      const { dataset, validationData } = this.convertTrainingDataToDatasets(
+        balanced.trainingData,
+        options,
+        balanced.validationData,
+      );
+      options.dataset = options.augment
+        ? dataset.map(batch => ({
+            xs: withGenerator(options.generator, () => options.augment(batch.xs)),
+            ys: batch.ys,
+          }))
+        : dataset;
+      options.validationData = validationData;
+    } else if (!options.inputs && !options.outputs) {
+      // if inputs and outputs are not specified
+      // in the options, then create the tensors
+      // from the this.neuralNetworkData.data.raws
+      // hold out part of the data to .evaluate() the model with
+      const trainingData =
+        options.testSplit > 0 ? this.splitTrainingData(options.testSplit) : this.data.training;
+
+      const balanced = this.balanceClasses(trainingData, options);
+      options.classWeight = balanced.classWeight;
+      ({ classDistribution } = balanced);
+
+      const { inputs, outputs } = this.convertTrainingDataToTensors(balanced.trainingData);
       options.inputs = inputs;
-      options.outputs = outputs;
+      options.outputs = this.isMultiOutput() ? this.splitOutputsByHead(outputs) : outputs;
+
+      // the validation rows were split off before the resampling
+      if (balanced.validationData !== null) {
+        const validation = this.convertTrainingDataToTensors(balanced.validationData);
+        options.validationData = [
+          validation.inputs,
+          this.isMultiOutput() ? this.splitOutputsByHead(validation.outputs) : validation.outputs,
+        ];
+        options.validationSplit = 0;
+      }
+    }
+
+    // if the model predicts different kinds of outputs
+    // then give every output its own output layer
+    if (!this.neuralNetwork.isLayered && this.isMultiOutput()) {
+      this.options.layers = this.addMultiOutputLayers(this.neuralNetworkData.meta);
     }
 
     // check to see if layers are passed into the constructor
@@ -582,8 +986,91 @@ class DiyNeuralNetwork {
       this.compile();
     }
 
+    // keep the optimizer and the schedule in the metadata so the training can be reproduced
+    this.neuralNetworkData.meta.training = {
+      optimizer: this.neuralNetwork.getOptimizerConfig(),
+      learningRateSchedule: options.learningRateSchedule || null,
+      classWeight,
+      resample: options.resample || null,
+      augmentation: options.augmentation || null,
+      seed: options.seed,
+    };
+
     // train once the model is compiled
-    this.neuralNetwork.train(options, finishedTrainingCb);
+    if (classDistribution === null) {
+      return this.neuralNetwork.trainInternal(options);
+    }
+    return this.neuralNetwork
+      .trainInternal(options)
+      .then(result => ({ ...result, classDistribution }));
+  }
+
+  /**
+   * resamples the training rows and maps the class weights on the
+   * onehot encoding of the output with labels
+   * @param {*} trainingData - raw or onehot encoded rows
+   * @param {*} options - { classWeight: 'balanced' | { label: weight },
+   *  resample: 'oversample' | 'undersample', validationSplit }
+   * @return {object} { trainingData, validationData: the rows to validate with or null,
+   *  classWeight: { index: weight }, classDistribution }
+   */
+  balanceClasses(_trainingData, options) {
+    const { classWeight = null, resample = null, validationSplit = 0 } = options;
+    if (classWeight === null && resample === null) {
+      return {
+        trainingData: _trainingData,
+        validationData: null,
+        classWeight: null,
+        classDistribution: null,
+      };
+    }
+
+    // the validation rows are split off before the resampling, the last rows like in model.fit(),
+    // so copies of the same row are not in both the training and the validation data
+    const validationCount =
+      resample !== null ? Math.floor(_trainingData.length * validationSplit) : 0;
+    const trainingData = _trainingData.slice(0, _trainingData.length - validationCount);
+    const validationData =
+      validationCount > 0 ? _trainingData.slice(_trainingData.length - validationCount) : null;
+
+    const { outputs } = this.neuralNetworkData.meta;
+    const output = Object.keys(outputs).find(k => outputs[k].dtype === 'string');
+    if (output === undefined) {
+      throw new Error('classWeight and resample can only be used with outputs with labels.');
+    }
+    if (classWeight !== null && this.isMultiOutput()) {
+      throw new Error('classWeight can only be used with models with one output.');
+    }
+
+    const originalCounts = this.neuralNetworkData.getClassDistribution(trainingData, output);
+    const balancedData =
+      resample !== null
+        ? this.neuralNetworkData.resampleData(trainingData, resample, output)
+        : trainingData;
+    const counts = this.neuralNetworkData.getClassDistribution(balancedData, output);
+    const weights = this.neuralNetworkData.getClassWeights(counts, classWeight || {});
+
+    // the share of every class in the loss
+    const labels = Object.keys(counts);
+    const total = labels.reduce((sum, label) => sum + counts[label] * weights[label], 0);
+    const effective = {};
+    labels.forEach(label => {
+      effective[label] = total > 0 ? (counts[label] * weights[label]) / total : 0;
+    });
+
+    // tf.js expects the weights by the index of the class in the onehot encoding
+    const { uniqueValues } = outputs[output];
+    const indexWeights = {};
+    uniqueValues.forEach((label, idx) => {
+      indexWeights[idx] = weights[label];
+    });
+
+    return {
+      trainingData: balancedData,
+      validationData,
+      classWeight: classWeight !== null ? indexWeights : null,
+      classDistribution: { output, originalCounts, counts, weights, effective },
+    };
   }
 
   /**
@@ -685,7 +1172,33 @@ class DiyNeuralNetwork {
           },
           {
             type: 'dense',
-            activation: 'sigmoid',
+            activation: this.getRegressionActivation(Object.values(meta.outputs)),
+          },
+        ];
+        return this.createNetworkLayers(layers, meta);
+      // if the task is sequenceClassification
+      case 'sequenceclassification':
+        layers = [
+          {
+            type: this.options.recurrentLayer,
+            units: this.options.hiddenUnits,
+          },
+          {
+            type: 'dense',
+            activation: 'softmax',
+          },
+        ];
+        return this.createNetworkLayers(layers, meta);
+      // if the task is sequenceRegression
+      case 'sequenceregression':
+        layers = [
+          {
+            type: this.options.recurrentLayer,
+            units: this.options.hiddenUnits,
+          },
+          {
+            type: 'dense',
+            activation: this.getRegressionActivation(Object.values(meta.outputs)),
           },
         ];
         return this.createNetworkLayers(layers, meta);
@@ -739,13 +1252,98 @@ class DiyNeuralNetwork {
           },
           {
             type: 'dense',
-            activation: 'sigmoid',
+            activation: this.getRegressionActivation(Object.values(meta.outputs)),
           },
         ];
         return this.createNetworkLayers(layers, meta);
     }
   }
 
+  /**
+   * the sigmoid output layer can only predict values between 0 and 1
+   * so outputs with another normalization need a linear output layer
+   * @param {*} outputsMeta - an array of the meta of the outputs
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getRegressionActivation(outputsMeta) {
+    const isBetweenZeroAndOne = outputsMeta.every(
+      output => !output.normalization || output.normalization === 'minmax',
+    );
+    return isBetweenZeroAndOne ? 'sigmoid' : 'linear';
+  }
+
+  /**
+   * checks if the model predicts more than one output
+   * and at least one of them is a classification
+   * @param {*} _meta
+   */
+  isMultiOutput(_meta = null) {
+    const meta = _meta === null ? this.neuralNetworkData.meta : _meta;
+    const outputs = Object.values(meta.outputs);
+
+    return outputs.length > 1 && outputs.some(output => output.dtype === 'string');
+  }
+
+  /**
+   * describes the output layer (head) and loss of each output
+   * classification outputs get a softmax head and
+   * regression outputs get a sigmoid or linear head
+   * @param {*} meta
+   */
+  getOutputHeads(meta) {
+    return Object.keys(meta.outputs).map(label => {
+      const { dtype, uniqueValues } = meta.outputs[label];
+      const isClassification = dtype === 'string';
+
+      return {
+        label,
+        units: isClassification ? uniqueValues.length : 1,
+        activation: isClassification
+          ? 'softmax'
+          : this.getRegressionActivation([meta.outputs[label]]),
+        loss: isClassification ? 'categoricalCrossentropy' : 'meanSquaredError',
+      };
+    });
+  }
+
+  /**
+   * creates a model with shared hidden layers and one head per output
+   * uses the custom layers without their output layer if they are given
+   * @param {*} meta
+   */
+  addMultiOutputLayers(meta) {
+    const layers =
+      this.options.layers.length >= 2
+        ? this.options.layers.slice(0, -1)
+        : [
+            {
+              type: 'dense',
+              units: this.options.hiddenUnits,
+              activation: 'relu',
+            },
+          ];
+
+    this.neuralNetwork.createModel('functional', {
+      inputShape: meta.inputUnits,
+      layers,
+      outputs: this.getOutputHeads(meta),
+    });
+
+    return layers;
+  }
+
+  /**
+   * splits the outputs tensor into one tensor per output head
+   * @param {*} outputs
+   */
+  splitOutputsByHead(outputs) {
+    const sizes = this.getOutputHeads(this.neuralNetworkData.meta).map(head => head.units);
+    const outputsByHead = tf.split(outputs, sizes, 1);
+    outputs.dispose();
+
+    return outputsByHead;
+  }
+
   /**
    * compile the model
    * @param {*} _options
@@ -759,6 +1357,12 @@ class DiyNeuralNetwork {
       options = {
         ..._modelOptions,
       };
+    } else if (this.isMultiOutput()) {
+      options = {
+        loss: this.getOutputHeads(this.neuralNetworkData.meta).map(head => head.loss),
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
     } else if (
       this.options.task === 'classification' ||
       this.options.task === 'imageClassification'
@@ -774,16 +1378,34 @@ class DiyNeuralNetwork {
         optimizer: tf.train.adam,
         metrics: ['accuracy'],
       };
+    } else if (this.options.task === 'sequenceClassification') {
+      options = {
+        loss: 'categoricalCrossentropy',
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
+    } else if (this.options.task === 'sequenceRegression') {
+      options = {
+        loss: 'meanSquaredError',
+        optimizer: tf.train.adam,
+        metrics: ['accuracy'],
+      };
     }
 
-    options.optimizer = options.optimizer
-      ? this.neuralNetwork.setOptimizerFunction(LEARNING_RATE, options.optimizer)
-      : this.neuralNetwork.setOptimizerFunction(LEARNING_RATE, tf.train.sgd);
+    if (_modelOptions === null && this.options.optimizer) {
+      // the optimizer of the options replaces the default of the task
+      options.optimizer = this.neuralNetwork.createOptimizer(LEARNING_RATE, this.options.optimizer);
+    } else {
+      options.optimizer = options.optimizer
+        ? this.neuralNetwork.setOptimizerFunction(LEARNING_RATE, options.optimizer)
+        : this.neuralNetwork.setOptimizerFunction(LEARNING_RATE, tf.train.sgd);
+    }
 
     this.neuralNetwork.compile(options);
 
     // if debug mode is true, then show the model summary
-    if (this.options.debug) {
+    // the dashboard shows its own summary when the training begins
+    if (this.options.debug && this.dashboard === null) {
       this.neuralNetworkVis.modelSummary(
         {
           name: 'Model Summary',
@@ -795,52 +1417,329 @@ class DiyNeuralNetwork {
 
   /**
    * ////////////////////////////////////////////////////////////
-   * Prediction / classification
+   * Data exploration
    * ////////////////////////////////////////////////////////////
    */
 
   /**
-   * synchronous predict
-   * @param {*} _input
+   * Shows the data before training: the histograms of the inputs, the samples
+   * per class, the correlations and the first two principal components
+   * @param {object} options - { type: 'all' | 'histogram' | 'classBalance' | 'correlation' | 'pca'
+   *    or an array of them, bins: 10, container: a DOM element instead of the visor }
+   * @return {object} the data of every chart by its type
    */
-  predictSync(_input) {
-    return this.predictSyncInternal(_input);
+  visualizeData(options = {}) {
+    const { type = 'all', bins = 10, container = null } = options;
+    const dataRaw = this.neuralNetworkData.data.raw;
+
+    if (dataRaw.length === 0) {
+      throw new Error('There is no data to visualize. Use addData() or loadData() first.');
+    }
+
+    const types = type === 'all' ? DATA_VISUALIZATIONS : [type].flat();
+    const unknown = types.find(item => !DATA_VISUALIZATIONS.includes(item));
+    if (unknown !== undefined) {
+      throw new Error(
+        `"${unknown}" is not a data visualization. Use one of: all, ${DATA_VISUALIZATIONS.join(', ')}`,
+      );
+    }
+
+    const surface = typeof container === 'string' ? document.querySelector(container) : container;
+
+    // the summaries need the metadata, but it is only kept once the model trains
+    // so the data that is added afterwards is still part of it
+    if (!this.neuralNetworkData.isMetadataReady) {
+      const { meta, statsIndex } = this.neuralNetworkData;
+      // a copy, the sequence length is set on the meta itself
+      const metaCopy = { ...meta };
+      this.createMetaData(dataRaw);
+      try {
+        return this.visualizeDataWithMeta(dataRaw, types, type, bins, surface);
+      } finally {
+        this.neuralNetworkData.meta = metaCopy;
+        this.neuralNetworkData.isMetadataReady = false;
+        this.neuralNetworkData.statsIndex = statsIndex;
+      }
+    }
+
+    return this.visualizeDataWithMeta(dataRaw, types, type, bins, surface);
   }
 
   /**
-   * predict
-   * @param {*} _input
-   * @param {*} _cb
+   * computes and shows the summaries of visualizeData() once the metadata is ready
+   * @param {*} dataRaw
+   * @param {*} _types - the visualizations to show
+   * @param {*} type - the type that was asked for
+   * @param {*} bins
+   * @param {*} surface
    */
-  predict(_input, _cb) {
-    return callCallback(this.predictInternal(_input), _cb);
+  visualizeDataWithMeta(dataRaw, _types, type, bins, surface) {
+    let types = _types;
+    const classCounts = this.neuralNetworkData.getClassCounts(dataRaw);
+    const classOutputs = Object.keys(classCounts);
+    if (classOutputs.length === 0) {
+      if (type !== 'all' && types.includes('classBalance')) {
+        throw new Error('The class balance can only be shown for outputs with labels.');
+      }
+      types = types.filter(item => item !== 'classBalance');
+    }
+
+    const results = {};
+
+    if (types.includes('histogram')) {
+      results.histogram = this.neuralNetworkData.getHistograms(dataRaw, bins);
+      this.neuralNetworkVis.histograms(results.histogram, surface);
+    }
+
+    if (types.includes('classBalance')) {
+      results.classBalance = classCounts;
+      this.neuralNetworkVis.classBalance(classCounts, surface);
+    }
+
+    if (types.includes('correlation')) {
+      results.correlation = this.neuralNetworkData.getCorrelations(dataRaw);
+      this.neuralNetworkVis.correlationHeatmap(results.correlation, surface);
+    }
+
+    if (types.includes('pca')) {
+      // the rows with missing inputs can not be projected
+      const completeRows = dataRaw.filter(row =>
+        Object.values(row.xs).every(v => !nnUtils.isMissingValue(v)),
+      );
+      const { points, explainedVariance } = this.neuralNetworkData.getPrincipalComponents(
+        completeRows,
+      );
+      // colored by the first output with labels
+      const labels = completeRows.map(row =>
+        classOutputs.length > 0 ? row.ys[classOutputs[0]] : 'data',
+      );
+      results.pca = { points, labels, explainedVariance };
+      this.neuralNetworkVis.pcaScatterplot(points, labels, surface);
+    }
+
+    return results;
   }
 
   /**
-   * predictMultiple
-   * @param {*} _input
-   * @param {*} _cb
+   * ////////////////////////////////////////////////////////////
+   * Data augmentation
+   * ////////////////////////////////////////////////////////////
    */
-  predictMultiple(_input, _cb) {
-    return callCallback(this.predictInternal(_input), _cb);
-  }
 
   /**
-   * synchronous classify
-   * @param {*} _input
+   * Creates augmented versions of an image to see the transformations
+   * of the augmentation option before training
+   * @param {*} optionsOrCallback - { image, count: 8, augmentation }
+   * @param {*} cb
    */
-  classifySync(_input) {
-    return this.classifySyncInternal(_input);
+  previewAugmentation(optionsOrCallback, cb) {
+    let options = {};
+    let callback = cb;
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else if (optionsOrCallback) {
+      options = optionsOrCallback;
+    }
+    return callCallback(this.previewAugmentationInternal(options), callback);
   }
 
   /**
-   * classify
-   * @param {*} _input
-   * @param {*} _cb
+   * previewAugmentationInternal
+   * @param {*} _options
+   * @return {Array} [{ width, height, raw, blob, image }]
    */
-  classify(_input, _cb) {
-    return callCallback(this.classifyInternal(_input), _cb);
-  }
+  async previewAugmentationInternal(_options) {
+    const {
+      image = null,
+      count = 8,
+      augmentation = this.options.augmentation,
+    } = _options;
+
+    if (!augmentation) {
+      throw new Error('Set the augmentation option to preview it.');
+    }
+    const inputShape = this.neuralNetworkData.meta.inputUnits || this.options.inputs;
+    if (!Array.isArray(inputShape) || inputShape.length !== 3) {
+      throw new Error('augmentation can only be used with images as inputs.');
+    }
+
+    // an image of the data if no image is given
+    let input = image;
+    if (input === null) {
+      const dataRaw = this.neuralNetworkData.data.raw;
+      if (dataRaw.length === 0) {
+        throw new Error('There is no image to preview. Give an image or use addData() first.');
+      }
+      input = randomSample(dataRaw, 1, false)[0].xs;
+    }
+    const formatted = this.searchAndFormat(input);
+    const pixels = Array.from(
+      Array.isArray(formatted) ? formatted.flat() : Object.values(formatted)[0],
+    );
+
+    const augmenter = new NeuralNetworkAugmentation(augmentation);
+    const samples = tf.tidy(() => {
+      const images = tf.tensor(pixels, [1, ...inputShape]).tile([count, 1, 1, 1]);
+      // the pixels of the preview are between 0 and 255
+      return augmenter
+        .augment(images)
+        .clipByValue(0, 255)
+        .toInt()
+        .unstack();
+    });
+
+    const results = await Promise.all(samples.map(sample => this.tensorToImage(sample)));
+    tf.dispose(samples);
+
+    return results;
+  }
+
+  /**
+   * creates an image from a tensor of pixels
+   * @param {*} tensor - the shape [height, width] or [height, width, channels],
+   *    int32 between 0 and 255 or float32 between 0 and 1
+   * @return {object} { width, height, raw, blob, image }, image is a p5.Image if p5 is available
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async tensorToImage(tensor) {
+    const [height, width] = tensor.shape;
+    const raw = await tf.browser.toPixels(tensor);
+    const blob = await p5Utils.rawToBlob(raw, width, height);
+    const result = {
+      width,
+      height,
+      raw,
+      blob,
+    };
+
+    if (p5Utils.checkP5()) {
+      result.image = await p5Utils.blobToP5Image(blob);
+    }
+
+    return result;
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Training dashboard
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * Shows the loss and accuracy curves, the learning rate, the samples per class
+   * and the layers while training, in a DOM element or a p5 graphics buffer
+   * @param {*} target - a DOM element, a CSS selector, a canvas or a p5 graphics buffer
+   * @param {object} options - the size, colors and font of the dashboard
+   * @return {NeuralNetworkDashboard}
+   */
+  showDashboard(target, options = {}) {
+    if (this.dashboard !== null) {
+      this.dashboard.remove();
+    }
+    this.dashboard = new NeuralNetworkDashboard(target, options);
+    this.updateDashboard();
+    return this.dashboard;
+  }
+
+  /**
+   * Updates the samples per class, the layers and the learning rate
+   * of the dashboard and draws it
+   */
+  updateDashboard() {
+    const { data, isMetadataReady } = this.neuralNetworkData;
+
+    if (isMetadataReady) {
+      this.dashboard.setClassCounts(this.neuralNetworkData.getClassCounts(data.raw));
+    }
+    if (this.neuralNetwork.isLayered) {
+      this.dashboard.setModel(this.neuralNetwork.model);
+    }
+    this.dashboard.setLearningRate(this.getLearningRate());
+    this.dashboard.render();
+  }
+
+  /**
+   * The learning rate of the optimizer, or of the options
+   * if the model is not compiled yet
+   */
+  getLearningRate() {
+    if (this.neuralNetwork.isCompiled) {
+      const { optimizer } = this.neuralNetwork.model;
+      if (optimizer && optimizer.learningRate !== undefined) return optimizer.learningRate;
+    }
+    return this.options.learningRate;
+  }
+
+  /**
+   * The training callbacks that draw every epoch into the dashboard
+   * @param {object} options - the training options
+   */
+  createDashboardCallbacks(options) {
+    return {
+      onTrainBegin: () => {
+        // trainMore() continues the curves of the previous training
+        if (options.incremental) {
+          this.dashboard.start(options.epochs);
+        } else {
+          this.dashboard.reset(options.epochs);
+        }
+        this.updateDashboard();
+      },
+      onEpochEnd: (epoch, logs) => {
+        this.dashboard.setLearningRate(this.getLearningRate());
+        this.dashboard.addEpoch(logs);
+      },
+    };
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Prediction / classification
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * synchronous predict
+   * @param {*} _input
+   */
+  predictSync(_input) {
+    return this.predictSyncInternal(_input);
+  }
+
+  /**
+   * predict
+   * @param {*} _input
+   * @param {*} _cb
+   */
+  predict(_input, _cb) {
+    return callCallback(this.predictInternal(_input), _cb);
+  }
+
+  /**
+   * predictMultiple
+   * @param {*} _input
+   * @param {*} _cb
+   */
+  predictMultiple(_input, _cb) {
+    return callCallback(this.predictInternal(_input), _cb);
+  }
+
+  /**
+   * synchronous classify
+   * @param {*} _input
+   */
+  classifySync(_input) {
+    return this.classifySyncInternal(_input);
+  }
+
+  /**
+   * classify
+   * @param {*} _input
+   * @param {*} _cb
+   */
+  classify(_input, _cb) {
+    return callCallback(this.classifyInternal(_input), _cb);
+  }
 
   /**
    * classifyMultiple
@@ -860,11 +1759,17 @@ class DiyNeuralNetwork {
     const { meta } = this.neuralNetworkData;
     const headers = Object.keys(meta.inputs);
 
-    const inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    const inputData = this.isSequenceTask()
+      ? this.formatSequencesForPrediction(_input, meta)
+      : this.formatInputsForPredictionAll(_input, meta, headers);
 
     const unformattedResults = this.neuralNetwork.predictSync(inputData);
     inputData.dispose();
 
+    if (this.isMultiOutput(meta)) {
+      return this.formatMultiOutputResults(unformattedResults, meta);
+    }
+
     if (meta !== null) {
       const labels = Object.keys(meta.outputs);
 
@@ -876,8 +1781,7 @@ class DiyNeuralNetwork {
           let val;
           let unNormalized;
           if (meta.isNormalized) {
-            const { min, max } = meta.outputs[item];
-            val = nnUtils.unnormalizeValue(unformattedResult[idx], min, max);
+            val = nnUtils.unnormalizeValueByStrategy(unformattedResult[idx], meta.outputs[item]);
             unNormalized = unformattedResult[idx];
           } else {
             val = unformattedResult[idx];
@@ -920,11 +1824,17 @@ class DiyNeuralNetwork {
     const { meta } = this.neuralNetworkData;
     const headers = Object.keys(meta.inputs);
 
-    const inputData = this.formatInputsForPredictionAll(_input, meta, headers);
+    const inputData = this.isSequenceTask()
+      ? this.formatSequencesForPrediction(_input, meta)
+      : this.formatInputsForPredictionAll(_input, meta, headers);
 
     const unformattedResults = await this.neuralNetwork.predict(inputData);
     inputData.dispose();
 
+    if (this.isMultiOutput(meta)) {
+      return this.formatMultiOutputResults(unformattedResults, meta);
+    }
+
     if (meta !== null) {
       const labels = Object.keys(meta.outputs);
 
@@ -936,8 +1846,7 @@ class DiyNeuralNetwork {
           let val;
           let unNormalized;
           if (meta.isNormalized) {
-            const { min, max } = meta.outputs[item];
-            val = nnUtils.unnormalizeValue(unformattedResult[idx], min, max);
+            val = nnUtils.unnormalizeValueByStrategy(unformattedResult[idx], meta.outputs[item]);
             unNormalized = unformattedResult[idx];
           } else {
             val = unformattedResult[idx];
@@ -995,13 +1904,17 @@ class DiyNeuralNetwork {
 
       if (meta.isNormalized) {
         // TODO: check to make sure this property is not static!!!!
-        const { min, max } = meta.inputs[headers[0]];
-        inputData = this.neuralNetworkData.normalizeArray(Array.from(inputData), { min, max });
+        inputData = this.neuralNetworkData.normalizeArray(
+          Array.from(inputData),
+          meta.inputs[headers[0]],
+        );
       } else {
         inputData = Array.from(inputData);
       }
 
       inputData = tf.tensor([inputData], [1, ...meta.inputUnits]);
+    } else if (this.isSequenceTask()) {
+      inputData = this.formatSequencesForPrediction(_input, meta);
     } else {
       inputData = this.formatInputsForPredictionAll(_input, meta, headers);
     }
@@ -1009,6 +1922,10 @@ class DiyNeuralNetwork {
     const unformattedResults = this.neuralNetwork.classifySync(inputData);
     inputData.dispose();
 
+    if (this.isMultiOutput(meta)) {
+      return this.formatMultiOutputResults(unformattedResults, meta);
+    }
+
     if (meta !== null) {
       const label = Object.keys(meta.outputs)[0];
       const vals = Object.entries(meta.outputs[label].legend);
@@ -1060,13 +1977,17 @@ class DiyNeuralNetwork {
 
       if (meta.isNormalized) {
         // TODO: check to make sure this property is not static!!!!
-        const { min, max } = meta.inputs[headers[0]];
-        inputData = this.neuralNetworkData.normalizeArray(Array.from(inputData), { min, max });
+        inputData = this.neuralNetworkData.normalizeArray(
+          Array.from(inputData),
+          meta.inputs[headers[0]],
+        );
       } else {
         inputData = Array.from(inputData);
       }
 
       inputData = tf.tensor([inputData], [1, ...meta.inputUnits]);
+    } else if (this.isSequenceTask()) {
+      inputData = this.formatSequencesForPrediction(_input, meta);
     } else {
       inputData = this.formatInputsForPredictionAll(_input, meta, headers);
     }
@@ -1074,6 +1995,10 @@ class DiyNeuralNetwork {
     const unformattedResults = await this.neuralNetwork.classify(inputData);
     inputData.dispose();
 
+    if (this.isMultiOutput(meta)) {
+      return this.formatMultiOutputResults(unformattedResults, meta);
+    }
+
     if (meta !== null) {
       const label = Object.keys(meta.outputs)[0];
       const vals = Object.entries(meta.outputs[label].legend);
@@ -1101,6 +2026,883 @@ class DiyNeuralNetwork {
     return unformattedResults;
   }
 
+  /**
+   * formats the results of a model with multiple outputs
+   * as an object keyed by the output names. classification outputs
+   * are sorted by confidence like .classify(), regression outputs
+   * are formatted like .predict()
+   * @param {*} unformattedResults
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  formatMultiOutputResults(unformattedResults, meta) {
+    const formattedResults = unformattedResults.map(unformattedResult => {
+      const result = {};
+      // where the values of the current output start
+      let offset = 0;
+
+      Object.keys(meta.outputs).forEach(label => {
+        const { dtype, uniqueValues } = meta.outputs[label];
+
+        if (dtype === 'string') {
+          const confidences = unformattedResult.slice(offset, offset + uniqueValues.length);
+          offset += uniqueValues.length;
+
+          result[label] = uniqueValues
+            .map((item, idx) => {
+              return {
+                [item]: confidences[idx],
+                label: item,
+                confidence: confidences[idx],
+              };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+        } else {
+          const unNormalized = unformattedResult[offset];
+          offset += 1;
+
+          const val = meta.isNormalized
+            ? nnUtils.unnormalizeValueByStrategy(unNormalized, meta.outputs[label])
+            : unNormalized;
+
+          result[label] = {
+            [label]: val,
+            label,
+            value: val,
+          };
+          if (meta.isNormalized) {
+            result[label].unNormalizedValue = unNormalized;
+          }
+        }
+      });
+
+      return result;
+    });
+
+    // return a single object if the length is less than 2,
+    // otherwise return an array of objects
+    if (formattedResults.length < 2) {
+      return formattedResults[0];
+    }
+    return formattedResults;
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Evaluation
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * holds out a random part of the data in this.data.testing
+   * and returns the remaining training data
+   * @param {*} testSplit
+   */
+  splitTrainingData(testSplit) {
+    const dataRaw = this.neuralNetworkData.data.raw;
+    const testCount = Math.round(dataRaw.length * testSplit);
+    const indices = dataRaw.map((item, idx) => idx);
+    const testIndices = new Set(randomSample(indices, testCount, false));
+
+    this.data.testing = dataRaw.filter((item, idx) => testIndices.has(idx));
+
+    // the stats of the normalization only come from the training rows
+    // so the test rows do not leak into the model and its evaluation
+    if (this.neuralNetworkData.meta.isNormalized) {
+      const trainingRows = dataRaw.filter((item, idx) => !testIndices.has(idx));
+      this.neuralNetworkData.getDataStats(trainingRows, this.options.normalization);
+      return this.neuralNetworkData.normalizeDataRaw(trainingRows);
+    }
+
+    return this.data.training.filter((item, idx) => !testIndices.has(idx));
+  }
+
+  /**
+   * evaluate the model on the held out test data
+   * or on the given data
+   * @param {*} dataOrCallback
+   * @param {*} cb
+   */
+  evaluate(dataOrCallback, cb) {
+    let data = null;
+    let callback;
+
+    if (typeof dataOrCallback === 'function') {
+      callback = dataOrCallback;
+    } else {
+      data = dataOrCallback || null;
+      callback = cb;
+    }
+
+    return callCallback(this.evaluateInternal(data), callback);
+  }
+
+  /**
+   * evaluateInternal
+   * @param {*} _data
+   */
+  async evaluateInternal(_data = null) {
+    const { meta } = this.neuralNetworkData;
+    const rows = _data === null ? this.data.testing : this.formatEvaluationData(_data);
+
+    if (!rows || rows.length === 0) {
+      throw new Error(
+        'there is no data to evaluate. Use .train({ testSplit: 0.2 }) or pass an array of data to .evaluate()',
+      );
+    }
+
+    const inputData = this.createEvaluationInputs(rows, meta);
+    const predictions = await this.neuralNetwork.predict(inputData);
+
+    // evaluate each output of a multi output model on its own
+    if (this.isMultiOutput(meta)) {
+      const outputs = {};
+      let offset = 0;
+
+      this.getOutputHeads(meta).forEach(head => {
+        const headPredictions = predictions.map(item => item.slice(offset, offset + head.units));
+        const headMeta = {
+          ...meta,
+          outputs: { [head.label]: meta.outputs[head.label] },
+        };
+        offset += head.units;
+
+        outputs[head.label] = meta.outputs[head.label].legend
+          ? this.evaluateClassification(rows, headPredictions, headMeta)
+          : this.evaluateRegression(rows, headPredictions, headMeta);
+      });
+
+      return {
+        task: 'multiOutput',
+        count: rows.length,
+        outputs,
+      };
+    }
+
+    const outputLabel = Object.keys(meta.outputs)[0];
+    if (meta.outputs[outputLabel].legend) {
+      const results = this.evaluateClassification(rows, predictions, meta);
+
+      // if debug mode is true, then show the confusion matrix
+      if (this.options.debug === true || this.options.debug === 'true') {
+        this.neuralNetworkVis.confusionMatrix(results.labels, results.confusionMatrix);
+      }
+      return results;
+    }
+
+    return this.evaluateRegression(rows, predictions, meta);
+  }
+
+  /**
+   * formats the data to evaluate as [{xs, ys}]
+   * accepts rows like data.raw or flat objects
+   * containing both the input and output properties
+   * @param {*} _data
+   */
+  formatEvaluationData(_data) {
+    const { meta } = this.neuralNetworkData;
+
+    return _data.map(row => {
+      if (row.xs && row.ys) {
+        return row;
+      }
+
+      const xs = {};
+      const ys = {};
+      Object.keys(meta.inputs).forEach(k => {
+        xs[k] = row[k];
+      });
+      Object.keys(meta.outputs).forEach(k => {
+        ys[k] = row[k];
+      });
+
+      return { xs, ys };
+    });
+  }
+
+  /**
+   * creates the input tensor for all of the rows to evaluate
+   * @param {*} rows
+   * @param {*} meta
+   */
+  createEvaluationInputs(rows, meta) {
+    const headers = Object.keys(meta.inputs);
+
+    if (this.options.task === 'imageClassification') {
+      const pixels = rows.map(row => {
+        const input = Array.from(this.searchAndFormat(row.xs)[headers[0]]);
+        if (!meta.isNormalized) {
+          return input;
+        }
+        return this.neuralNetworkData.normalizeArray(input, meta.inputs[headers[0]]);
+      });
+
+      return tf.tensor(pixels.flat(), [rows.length, ...meta.inputUnits]);
+    }
+
+    if (this.isSequenceTask()) {
+      return this.formatSequencesForPrediction(rows.map(row => row.xs), meta, true);
+    }
+
+    const inputs = rows.map(row => this.formatInputsForPrediction(row.xs, meta, headers));
+    return tf.tensor(inputs);
+  }
+
+  /**
+   * accuracy, a confusion matrix and the precision, recall
+   * and f1 score of each label
+   * @param {*} rows
+   * @param {*} predictions
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  evaluateClassification(rows, predictions, meta) {
+    const outputLabel = Object.keys(meta.outputs)[0];
+    const { legend, uniqueValues } = meta.outputs[outputLabel];
+    // the labels in the order of their oneHot encoding
+    const labels = uniqueValues.map(val => String(val));
+
+    const confusionMatrix = {};
+    labels.forEach(actual => {
+      confusionMatrix[actual] = {};
+      labels.forEach(predicted => {
+        confusionMatrix[actual][predicted] = 0;
+      });
+    });
+
+    let count = 0;
+    let correct = 0;
+    rows.forEach((row, idx) => {
+      const oneHot = legend[row.ys[outputLabel]];
+      if (!oneHot) {
+        console.warn(`the label ${row.ys[outputLabel]} was not part of the training data`);
+        return;
+      }
+
+      const scores = predictions[idx];
+      const actual = labels[oneHot.indexOf(1)];
+      const predicted = labels[scores.indexOf(Math.max(...scores))];
+
+      confusionMatrix[actual][predicted] += 1;
+      count += 1;
+      if (actual === predicted) {
+        correct += 1;
+      }
+    });
+
+    const metrics = {};
+    labels.forEach(label => {
+      const truePositives = confusionMatrix[label][label];
+      const actualCount = labels.reduce((sum, k) => sum + confusionMatrix[label][k], 0);
+      const predictedCount = labels.reduce((sum, k) => sum + confusionMatrix[k][label], 0);
+
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = actualCount > 0 ? truePositives / actualCount : 0;
+      const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+
+      metrics[label] = {
+        precision,
+        recall,
+        f1,
+        support: actualCount,
+      };
+    });
+
+    return {
+      task: 'classification',
+      count,
+      accuracy: count > 0 ? correct / count : 0,
+      labels,
+      confusionMatrix,
+      metrics,
+    };
+  }
+
+  /**
+   * mean squared error, mean absolute error and r squared
+   * of each output in the original data units
+   * @param {*} rows
+   * @param {*} predictions
+   * @param {*} meta
+   */
+  // eslint-disable-next-line class-methods-use-this
+  evaluateRegression(rows, predictions, meta) {
+    const outputLabels = Object.keys(meta.outputs);
+    const count = rows.length;
+
+    const metrics = {};
+    outputLabels.forEach((label, labelIdx) => {
+      const actual = rows.map(row => row.ys[label]);
+      const predicted = predictions.map(prediction =>
+        meta.isNormalized
+          ? nnUtils.unnormalizeValueByStrategy(prediction[labelIdx], meta.outputs[label])
+          : prediction[labelIdx],
+      );
+
+      const mean = actual.reduce((sum, val) => sum + val, 0) / count;
+      let squaredError = 0;
+      let absoluteError = 0;
+      let totalVariance = 0;
+      actual.forEach((val, idx) => {
+        squaredError += (val - predicted[idx]) ** 2;
+        absoluteError += Math.abs(val - predicted[idx]);
+        totalVariance += (val - mean) ** 2;
+      });
+
+      metrics[label] = {
+        mse: squaredError / count,
+        mae: absoluteError / count,
+        r2: totalVariance > 0 ? 1 - squaredError / totalVariance : 0,
+      };
+    });
+
+    // average the metrics over all of the outputs
+    const average = key =>
+      outputLabels.reduce((sum, label) => sum + metrics[label][key], 0) / outputLabels.length;
+
+    return {
+      task: 'regression',
+      count,
+      mse: average('mse'),
+      mae: average('mae'),
+      r2: average('r2'),
+      metrics,
+    };
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Hyperparameter search
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * trains copies of the model with every configuration of the search space
+   * and ranks them by their loss on the validation data
+   * @param {*} searchSpace - { optionName: [values] }
+   * @param {*} optionsOrCallback - { strategy: 'grid' | 'random', trials, folds, validationSplit }
+   * @param {*} cb
+   */
+  tune(searchSpace, optionsOrCallback, cb) {
+    let options = {};
+    let callback;
+
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else {
+      options = optionsOrCallback || {};
+      callback = cb;
+    }
+
+    return callCallback(this.tuneInternal(searchSpace, options), callback);
+  }
+
+  /**
+   * tuneInternal
+   * @param {*} searchSpace
+   * @param {*} _options
+   */
+  async tuneInternal(searchSpace, _options) {
+    const options = {
+      strategy: 'grid',
+      trials: 10,
+      folds: 1,
+      validationSplit: 0.2,
+      epochs: 10,
+      batchSize: 32,
+      ..._options,
+    };
+
+    // the configurations need the metadata, but it is only kept once the model trains
+    // so the data that is added afterwards is still part of it
+    if (!this.neuralNetworkData.isMetadataReady) {
+      const { meta, statsIndex } = this.neuralNetworkData;
+      // a copy, the sequence length is set on the meta itself
+      const metaCopy = { ...meta };
+      this.createMetaData(this.neuralNetworkData.data.raw);
+      try {
+        return await this.tuneWithMeta(searchSpace, options);
+      } finally {
+        this.neuralNetworkData.meta = metaCopy;
+        this.neuralNetworkData.isMetadataReady = false;
+        this.neuralNetworkData.statsIndex = statsIndex;
+      }
+    }
+
+    return this.tuneWithMeta(searchSpace, options);
+  }
+
+  /**
+   * trains and ranks the configurations of tune() once the metadata is ready
+   * @param {*} searchSpace
+   * @param {*} options
+   */
+  async tuneWithMeta(searchSpace, options) {
+    const rows = this.neuralNetworkData.data.raw;
+
+    // every configuration is validated on the same (shuffled) parts of the data
+    const order = rows.map((row, idx) => idx);
+    shuffleArray(order);
+    const folds =
+      options.folds > 1
+        ? [...new Array(options.folds).keys()].map(fold => {
+            const size = Math.ceil(order.length / options.folds);
+            return order.slice(fold * size, (fold + 1) * size);
+          })
+        : [order.slice(order.length - Math.round(order.length * options.validationSplit))];
+
+    if (folds.some(fold => fold.length === 0 || fold.length === order.length)) {
+      throw new Error('there is not enough data to validate with. Add more data or change the folds');
+    }
+
+    const configs = this.createTuningConfigs(searchSpace, options);
+    const scores = [];
+
+    // train one configuration after the other to keep the memory low
+    for (let i = 0; i < configs.length; i += 1) {
+      const config = configs[i];
+      const foldLosses = [];
+      const foldAccuracies = [];
+      for (let j = 0; j < folds.length; j += 1) {
+        const validationIndices = new Set(folds[j]);
+        const trainingRows = rows.filter((row, idx) => !validationIndices.has(idx));
+        const validationRows = folds[j].map(idx => rows[idx]);
+        // eslint-disable-next-line no-await-in-loop
+        const { loss, accuracy } = await this.scoreTuningConfig(
+          config,
+          trainingRows,
+          validationRows,
+          options,
+        );
+        foldLosses.push(loss);
+        foldAccuracies.push(accuracy);
+      }
+
+      const result = {
+        config,
+        loss: nnUtils.getMean(foldLosses),
+        foldLosses,
+      };
+      if (foldAccuracies.every(accuracy => typeof accuracy === 'number')) {
+        result.accuracy = nnUtils.getMean(foldAccuracies);
+      }
+      scores.push(result);
+    }
+
+    const results = scores
+      .sort((a, b) => a.loss - b.loss)
+      .map((result, idx) => ({ rank: idx + 1, ...result }));
+
+    const best = { ...results[0].config };
+
+    // use the best model options unless the model is already created
+    const modelOptions = { ...best };
+    delete modelOptions.epochs;
+    delete modelOptions.batchSize;
+    if (this.neuralNetwork.isLayered) {
+      console.warn('the model is already created. Use the best config in a new ml5.neuralNetwork()');
+    } else {
+      this.options = {
+        ...this.options,
+        ...modelOptions,
+      };
+    }
+
+    if (this.options.debug) {
+      this.neuralNetworkVis.tuningResults(results);
+    }
+
+    return {
+      best,
+      results,
+    };
+  }
+
+  /**
+   * creates the configurations to try from the search space
+   * grid tries every combination, random tries a number of (different) combinations
+   * @param {*} searchSpace
+   * @param {*} options
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createTuningConfigs(searchSpace, options) {
+    const grid = Object.keys(searchSpace).reduce(
+      (configs, key) =>
+        configs
+          .map(config => [searchSpace[key]].flat().map(value => ({ ...config, [key]: value })))
+          .flat(),
+      [{}],
+    );
+
+    if (options.strategy === 'random') {
+      return randomSample(grid, Math.min(options.trials, grid.length), false);
+    }
+    if (options.strategy !== 'grid') {
+      throw new Error(`"${options.strategy}" is not a search strategy. Use "grid" or "random"`);
+    }
+    return grid;
+  }
+
+  /**
+   * trains a copy of the model with the config on the training rows
+   * and returns its loss (and accuracy) on the validation rows
+   * @param {*} config
+   * @param {*} trainingRows - raw rows
+   * @param {*} validationRows - raw rows
+   * @param {*} options
+   */
+  async scoreTuningConfig(config, trainingRows, validationRows, options) {
+    const { epochs = options.epochs, batchSize = options.batchSize, ...modelOptions } = config;
+    const nnCopy = this.copy(modelOptions);
+    const { neuralNetworkData } = nnCopy;
+
+    // the stats of the normalization only come from the training rows of the fold
+    // so the validation rows do not leak into the model
+    if (neuralNetworkData.meta.isNormalized) {
+      neuralNetworkData.getDataStats(trainingRows, nnCopy.options.normalization);
+    }
+    const formatRows = rows =>
+      neuralNetworkData.meta.isNormalized
+        ? neuralNetworkData.normalizeDataRaw(rows)
+        : neuralNetworkData.applyOneHotEncodingsToDataRaw(rows);
+
+    nnCopy.data.training = formatRows(trainingRows);
+    neuralNetworkData.isWarmedUp = true;
+    await nnCopy.trainInternal({ epochs, batchSize, validationSplit: 0 }, null, null);
+
+    const isMultiOutput = nnCopy.isMultiOutput();
+    const { inputs, outputs } = nnCopy.convertTrainingDataToTensors(formatRows(validationRows));
+    const ys = isMultiOutput ? nnCopy.splitOutputsByHead(outputs) : outputs;
+    const evaluation = nnCopy.neuralNetwork.model.evaluate(inputs, ys, { batchSize });
+    const scores = [evaluation].flat().map(score => score.dataSync()[0]);
+
+    tf.dispose([inputs, ys, evaluation]);
+    nnCopy.dispose();
+
+    // the first score is the (total) loss, the second the accuracy of a single output
+    const isClassification = Object.values(this.neuralNetworkData.meta.outputs).every(
+      output => output.dtype === 'string',
+    );
+    return {
+      loss: scores[0],
+      accuracy: isClassification && !isMultiOutput ? scores[1] : undefined,
+    };
+  }
+
+  /**
+   * ////////////////////////////////////////////////////////////
+   * Explanations
+   * ////////////////////////////////////////////////////////////
+   */
+
+  /**
+   * computes how much each input contributes to one output of the model
+   * for a single input
+   * @param {*} input
+   * @param {*} optionsOrCallback - { method: 'gradientXInput' | 'integratedGradients', steps, target }
+   * @param {*} cb
+   */
+  explain(input, optionsOrCallback, cb) {
+    let options = {};
+    let callback;
+
+    if (typeof optionsOrCallback === 'function') {
+      callback = optionsOrCallback;
+    } else {
+      options = optionsOrCallback || {};
+      callback = cb;
+    }
+
+    return callCallback(this.explainInternal(input, options), callback);
+  }
+
+  /**
+   * explainInternal
+   * @param {*} input
+   * @param {*} _options
+   */
+  async explainInternal(input, _options) {
+    const options = {
+      method: 'gradientXInput',
+      steps: 50,
+      target: null,
+      ..._options,
+    };
+
+    if (!EXPLANATION_METHODS.includes(options.method)) {
+      throw new Error(
+        `"${options.method}" is not an explanation method. Use one of: ${EXPLANATION_METHODS.join(
+          ', ',
+        )}`,
+      );
+    }
+    if (!this.neuralNetwork.isTrained) {
+      throw new Error('the model must be trained or loaded before it can be explained');
+    }
+
+    const { meta } = this.neuralNetworkData;
+    const inputData = this.createExplanationInput(input, meta);
+    let target;
+    let attributionsTensor;
+    try {
+      const prediction = tf.tidy(() => {
+        const outputs = this.neuralNetwork.model.predict(inputData);
+        return Array.from((Array.isArray(outputs) ? tf.concat(outputs, 1) : outputs).dataSync());
+      });
+      // the target depends on the prediction, the input is also disposed if it is not found
+      target = this.getExplanationTarget(options.target, prediction, meta);
+
+      attributionsTensor = this.neuralNetwork.attribute(
+        inputData,
+        target.index,
+        options.method,
+        options.steps,
+      );
+    } finally {
+      inputData.dispose();
+    }
+    const values = Array.from(await attributionsTensor.data());
+
+    const headers = Object.keys(meta.inputs);
+    const attributions = {};
+
+    if (this.options.task === 'imageClassification') {
+      attributions[headers[0]] = values.reduce((sum, value) => sum + value, 0);
+    } else if (this.isSequenceTask()) {
+      // the values are in the order [frame][input], add up the frames of each input
+      headers.forEach((k, idx) => {
+        attributions[k] = values
+          .filter((value, valueIdx) => valueIdx % headers.length === idx)
+          .reduce((sum, value) => sum + value, 0);
+      });
+    } else {
+      // onehot encoded inputs get the sum of all of their units
+      let offset = 0;
+      headers.forEach(k => {
+        const units = meta.inputs[k].dtype === 'string' ? meta.inputs[k].uniqueValues.length : 1;
+        attributions[k] = values
+          .slice(offset, offset + units)
+          .reduce((sum, value) => sum + value, 0);
+        offset += units;
+      });
+    }
+
+    const result = {
+      method: options.method,
+      output: target.output,
+      attributions,
+    };
+    if (target.label !== undefined) {
+      result.label = target.label;
+    }
+
+    if (this.options.task === 'imageClassification') {
+      result.saliency = await this.createSaliencyImage(attributionsTensor);
+    }
+    attributionsTensor.dispose();
+
+    return result;
+  }
+
+  /**
+   * creates the input tensor of a single input like .classify() and .predict()
+   * @param {*} input
+   * @param {*} meta
+   */
+  createExplanationInput(input, meta) {
+    const headers = Object.keys(meta.inputs);
+
+    if (this.options.task === 'imageClassification') {
+      const formatted = this.searchAndFormat(input);
+      let inputData = Array.from(
+        Array.isArray(formatted) ? formatted.flat() : formatted[headers[0]],
+      );
+      if (meta.isNormalized) {
+        inputData = this.neuralNetworkData.normalizeArray(inputData, meta.inputs[headers[0]]);
+      }
+      return tf.tensor([inputData], [1, ...meta.inputUnits]);
+    }
+
+    if (this.isSequenceTask()) {
+      return this.formatSequencesForPrediction(input, meta, false);
+    }
+
+    return tf.tensor([this.formatInputsForPrediction(input, meta, headers)]);
+  }
+
+  /**
+   * finds the index of the output value to explain.
+   * the target can be the name of an output or a class label,
+   * by default it is the most likely class or the first output
+   * @param {*} target
+   * @param {*} prediction
+   * @param {*} meta
+   */
+  getExplanationTarget(target, prediction, meta) {
+    let offset = 0;
+    const heads = this.getOutputHeads(meta).map(head => {
+      const headWithOffset = { ...head, offset };
+      offset += head.units;
+      return headWithOffset;
+    });
+
+    const getTopLabel = head => {
+      const labels = Object.keys(meta.outputs[head.label].legend);
+      const confidences = prediction.slice(head.offset, head.offset + head.units);
+      const labelIdx = confidences.indexOf(Math.max(...confidences));
+      return { output: head.label, label: labels[labelIdx], index: head.offset + labelIdx };
+    };
+
+    const selectHead = head =>
+      meta.outputs[head.label].dtype === 'string'
+        ? getTopLabel(head)
+        : { output: head.label, index: head.offset };
+
+    if (target === null || target === undefined) {
+      return selectHead(heads[0]);
+    }
+
+    const namedHead = heads.find(head => head.label === target);
+    if (namedHead) {
+      return selectHead(namedHead);
+    }
+
+    for (let i = 0; i < heads.length; i += 1) {
+      const { legend } = meta.outputs[heads[i].label];
+      const labels = legend ? Object.keys(legend) : [];
+      const labelIdx = labels.indexOf(String(target));
+      if (labelIdx >= 0) {
+        return { output: heads[i].label, label: labels[labelIdx], index: heads[i].offset + labelIdx };
+      }
+    }
+
+    throw new Error(`"${target}" is neither an output nor a class label of the model`);
+  }
+
+  /**
+   * creates a saliency image the size of the input image
+   * from the absolute attributions of all of its channels
+   * @param {*} attributions - a tensor of the shape [1, height, width, channels]
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async createSaliencyImage(attributions) {
+    const saliencyTensor = tf.tidy(() => {
+      const saliency = attributions
+        .abs()
+        .sum(-1)
+        .squeeze([0]);
+      // scale the values to 0 - 1, an image without attributions stays black
+      return saliency.div(saliency.max().maximum(tf.scalar(1e-12)));
+    });
+
+    const values = Array.from(await saliencyTensor.data());
+    const result = await this.tensorToImage(saliencyTensor);
+    saliencyTensor.dispose();
+
+    return {
+      ...result,
+      values,
+    };
+  }
+
+  /**
+   * measures how much the loss of the model increases when the values
+   * of each input are shuffled. uses the held out test data,
+   * the given data or the training data
+   * @param {*} dataOrOptions
+   * @param {*} optionsOrCallback - { repeats }
+   * @param {*} cb
+   */
+  permutationImportance(dataOrOptions, optionsOrCallback, cb) {
+    const args = [dataOrOptions, optionsOrCallback, cb];
+    const data = args.find(arg => Array.isArray(arg)) || null;
+    const options = args.find(arg => arg && typeof arg === 'object' && !Array.isArray(arg)) || {};
+    const callback = args.find(arg => typeof arg === 'function');
+
+    return callCallback(this.permutationImportanceInternal(data, options), callback);
+  }
+
+  /**
+   * permutationImportanceInternal
+   * @param {*} _data
+   * @param {*} _options
+   */
+  async permutationImportanceInternal(_data, _options) {
+    const options = {
+      repeats: 5,
+      ..._options,
+    };
+
+    if (!this.neuralNetwork.isTrained) {
+      throw new Error('the model must be trained or loaded before it can be explained');
+    }
+
+    let rows;
+    if (_data !== null) {
+      rows = this.formatEvaluationData(_data);
+    } else if (this.data.testing && this.data.testing.length > 0) {
+      rows = this.data.testing;
+    } else {
+      rows = this.neuralNetworkData.data.raw;
+    }
+
+    if (!rows || rows.length === 0) {
+      throw new Error('there is no data to compute the permutation importance with');
+    }
+
+    const baseline = this.computeLoss(rows);
+    const importances = {};
+
+    Object.keys(this.neuralNetworkData.meta.inputs).forEach(k => {
+      const increases = [...new Array(options.repeats).keys()].map(() => {
+        const shuffled = rows.map(row => row.xs[k]);
+        shuffleArray(shuffled);
+        const permutedRows = rows.map((row, idx) => ({
+          xs: { ...row.xs, [k]: shuffled[idx] },
+          ys: row.ys,
+        }));
+        return this.computeLoss(permutedRows) - baseline;
+      });
+
+      importances[k] = {
+        mean: nnUtils.getMean(increases),
+        std: nnUtils.getStd(increases),
+      };
+    });
+
+    const ranking = Object.keys(importances).sort(
+      (a, b) => importances[b].mean - importances[a].mean,
+    );
+
+    return {
+      baseline,
+      importances,
+      ranking,
+    };
+  }
+
+  /**
+   * the loss of the model on {xs, ys} rows like data.raw
+   * @param {*} rows
+   */
+  computeLoss(rows) {
+    const { meta } = this.neuralNetworkData;
+    const formattedRows = rows.map(row => this.neuralNetworkData.formatRowForTraining(row, meta));
+
+    const inputs = tf.tensor(formattedRows.map(row => row.xs).flat(), [
+      rows.length,
+      ...meta.inputUnits,
+    ]);
+    const outputs = tf.tensor(formattedRows.map(row => row.ys));
+    const ys = this.isMultiOutput(meta) ? this.splitOutputsByHead(outputs) : outputs;
+
+    const evaluation = this.neuralNetwork.model.evaluate(inputs, ys);
+    const loss = [evaluation].flat()[0].dataSync()[0];
+    tf.dispose([inputs, ys, evaluation]);
+
+    return loss;
+  }
+
   /**
    * ////////////////////////////////////////////////////////////
    * Save / Load Data
@@ -1121,7 +2923,16 @@ class DiyNeuralNetwork {
    * @param {*} callback
    */
   async loadData(filesOrPath = null, callback) {
-    this.neuralNetworkData.loadData(filesOrPath, callback);
+    const loading = this.neuralNetworkData
+      .loadData(filesOrPath)
+      .then(() =>
+        this.neuralNetworkData.handleMissingValues(
+          this.neuralNetworkData.data.raw,
+          this.options.missingValues,
+        ),
+      );
+
+    return callCallback(loading, callback);
   }
 
   /**
@@ -1132,34 +2943,91 @@ class DiyNeuralNetwork {
 
   /**
    * saves the model, weights, and metadata
-   * @param {*} nameOrCb
+   * as three files, as a single .ml5 bundle
+   * or in the browser with a name like indexeddb://name
+   * @param {*} nameOrOptions - the name or { name, format: 'files' | 'bundle' }
    * @param {*} cb
    */
-  save(nameOrCb, cb) {
+  save(nameOrOptions, cb) {
     let modelName;
+    let format = 'files';
     let callback;
 
-    if (typeof nameOrCb === 'function') {
+    if (typeof nameOrOptions === 'function') {
       modelName = 'model';
-      callback = nameOrCb;
-    } else if (typeof nameOrCb === 'string') {
-      modelName = nameOrCb;
+      callback = nameOrOptions;
+    } else if (typeof nameOrOptions === 'string') {
+      modelName = nameOrOptions;
 
       if (typeof cb === 'function') {
         callback = cb;
       }
+    } else if (nameOrOptions instanceof Object) {
+      modelName = nameOrOptions.name || 'model';
+      format = nameOrOptions.format || format;
+      callback = cb;
     } else {
       modelName = 'model';
     }
 
+    if (isStorageUrl(modelName)) {
+      return this.saveToBrowserStorage(modelName, callback);
+    }
+    if (format === 'bundle') {
+      return this.saveBundle(modelName, callback);
+    }
+    if (format !== 'files') {
+      throw new Error(`"${format}" is not a save format. Use "files" or "bundle"`);
+    }
+
     // save the model
-    this.neuralNetwork.save(modelName, () => {
+    return this.neuralNetwork.save(modelName, () => {
       this.neuralNetworkData.saveMeta(modelName, callback);
     });
   }
 
   /**
-   * load a model and metadata
+   * Calls the saveBundleInternal() and calls the callback when finished
+   * @param {*} modelName
+   * @param {*} callback
+   */
+  saveBundle(modelName, callback) {
+    return callCallback(this.saveBundleInternal(modelName), callback);
+  }
+
+  /**
+   * saves the model, weights and metadata as a single .ml5 file
+   * @param {*} modelName
+   */
+  async saveBundleInternal(modelName) {
+    const artifacts = await this.neuralNetwork.getModelArtifacts();
+    const bundle = createBundle(artifacts, this.neuralNetworkData.meta);
+
+    await saveBlob(JSON.stringify(bundle), `${modelName}${BUNDLE_EXTENSION}`, 'application/json');
+  }
+
+  /**
+   * Calls the saveToBrowserStorageInternal() and calls the callback when finished
+   * @param {*} url
+   * @param {*} callback
+   */
+  saveToBrowserStorage(url, callback) {
+    return callCallback(this.saveToBrowserStorageInternal(url), callback);
+  }
+
+  /**
+   * saves the model, weights and metadata in IndexedDB or localStorage
+   * @param {*} url - indexeddb://name or localstorage://name
+   */
+  async saveToBrowserStorageInternal(url) {
+    const artifacts = await this.neuralNetwork.getModelArtifacts();
+    await saveToStorage(url, 'neuralNetwork', createBundle(artifacts, this.neuralNetworkData.meta));
+  }
+
+  /**
+   * load a model and metadata from the three files,
+   * from a .ml5 bundle (a path, File or ArrayBuffer)
+   * or from the browser with a name like indexeddb://name
    * @param {*} filesOrPath
    * @param {*} callback
    */
@@ -1169,13 +3037,50 @@ class DiyNeuralNetwork {
       callback = cb;
     }
 
-    this.neuralNetwork.load(filesOrPath, () => {
+    if (isStorageUrl(filesOrPath)) {
+      const loading = loadFromStorage(filesOrPath, 'neuralNetwork').then(this.loadBundleInternal);
+      return callCallback(loading, callback);
+    }
+
+    const bundleFile =
+      typeof FileList !== 'undefined' && filesOrPath instanceof FileList
+        ? Array.from(filesOrPath).find(file => file.name.endsWith(BUNDLE_EXTENSION))
+        : null;
+    if (bundleFile || isBundleSource(filesOrPath)) {
+      return this.loadBundle(bundleFile || filesOrPath, callback);
+    }
+
+    return this.neuralNetwork.load(filesOrPath, () => {
       this.neuralNetworkData.loadMeta(filesOrPath, callback);
 
       return this.neuralNetwork.model;
     });
   }
 
+  /**
+   * Calls the loadBundleInternal() and calls the callback when finished
+   * @param {*} source
+   * @param {*} callback
+   */
+  loadBundle(source, callback) {
+    return callCallback(this.loadBundleInternal(source), callback);
+  }
+
+  /**
+   * loads the model, weights and metadata from a .ml5 bundle
+   * @param {*} source - a path, File, Blob or ArrayBuffer
+   */
+  async loadBundleInternal(source) {
+    const bundle = await readBundle(source);
+
+    await this.neuralNetwork.loadModelArtifacts(bundle);
+    this.neuralNetworkData.meta = bundle.meta;
+    this.neuralNetworkData.isMetadataReady = true;
+    this.neuralNetworkData.isWarmedUp = true;
+
+    return this.neuralNetwork.model;
+  }
+
   /**
    * dispose and release memory for a model
    */
@@ -1192,21 +3097,28 @@ class DiyNeuralNetwork {
   /**
    * mutate the weights of a model
    * @param {*} rate
-   * @param {*} mutateFunction
+   * @param {*} mutateFunctionOrOptions - a function (weight) => newWeight
+   *  or { strategy: 'gaussian' | 'uniform', sigma, min, max, layers }
    */
 
-  mutate(rate, mutateFunction) {
-    this.neuralNetwork.mutate(rate, mutateFunction);
+  mutate(rate, mutateFunctionOrOptions) {
+    this.neuralNetwork.mutate(rate, mutateFunctionOrOptions);
   }
 
   /**
    * create a new neural network with crossover
    * @param {*} other
+   * @param {*} options - { strategy: 'uniform' | 'singlePoint' | 'layer' | 'blend', alpha, layers }
    */
 
-  crossover(other) {
+  crossover(other, options) {
     const nnCopy = this.copy();
-    nnCopy.neuralNetwork.crossover(other.neuralNetwork);
+    try {
+      nnCopy.neuralNetwork.crossover(other.neuralNetwork, options);
+    } catch (error) {
+      nnCopy.dispose();
+      throw error;
+    }
     return nnCopy;
   }
 }
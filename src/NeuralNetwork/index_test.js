@@ -6,6 +6,16 @@
 const { neuralNetwork } = ml5;
 
 describe('NeuralNetwork', () => {
+  // training takes long, the timeout is restored for the suites of the other models
+  let defaultTimeout;
+  beforeAll(() => {
+    defaultTimeout = jasmine.DEFAULT_TIMEOUT_INTERVAL;
+    jasmine.DEFAULT_TIMEOUT_INTERVAL = 100000;
+  });
+  afterAll(() => {
+    jasmine.DEFAULT_TIMEOUT_INTERVAL = defaultTimeout;
+  });
+
   // The entire neural network as a whole
   describe('DiyNeuralNetwork Class', () => {
     // init
@@ -247,13 +257,766 @@ describe('NeuralNetwork', () => {
         // ...
       });
     });
+
+    // multiple outputs
+    describe('multiple outputs', () => {
+      it('should classify and predict with one head per output', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { label: i < 5 ? 'small' : 'big', size: i * 10 });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+
+        expect(nn.neuralNetwork.model.outputs.length).toBe(2);
+
+        const result = await nn.classify({ x: 2 });
+
+        expect(result.label.length).toBe(2);
+        expect(['small', 'big']).toContain(result.label[0].label);
+        expect(result.size.label).toBe('size');
+        expect(typeof result.size.value).toBe('number');
+      });
+    });
+
+    // sequences
+    describe('sequenceClassification', () => {
+      it('should pad or truncate the sequences and classify them', async () => {
+        const nn = neuralNetwork({ task: 'sequenceClassification', sequenceLength: 4 });
+        for (let i = 0; i < 10; i += 1) {
+          const frames = [...new Array(3 + (i % 3)).keys()].map(t => ({ x: i % 2 ? t : -t, y: t }));
+          nn.addData(frames, { direction: i % 2 ? 'right' : 'left' });
+        }
+
+        expect(nn.neuralNetworkData.data.raw[1].xs.x).toEqual([0, 1, 2, 3]);
+
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+
+        const { meta } = nn.neuralNetworkData;
+        expect(meta.sequenceLength).toBe(4);
+        expect(meta.inputUnits).toEqual([4, 2]);
+        expect(meta.inputs.x.min).toBe(-4);
+        expect(meta.inputs.y.max).toBe(4);
+        expect(nn.neuralNetwork.model.layers[0].getClassName()).toBe('LSTM');
+
+        const result = await nn.classify([[0, 0], [1, 1], [2, 2], [3, 3], [4, 4], [5, 5]]);
+        expect(result.length).toBe(2);
+        expect(['left', 'right']).toContain(result[0].label);
+      });
+    });
+
+    // normalization
+    describe('normalization', () => {
+      it('should store the normalization of each property in the meta', async () => {
+        const nn = neuralNetwork({
+          task: 'regression',
+          normalization: { x: 'robust', y: 'zscore' },
+        });
+        for (let i = 0; i < 5; i += 1) {
+          nn.addData({ x: i === 4 ? 100 : i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+
+        const { inputs, outputs } = nn.neuralNetworkData.meta;
+        expect(inputs.x.normalization).toBe('robust');
+        expect(inputs.x.median).toBe(2);
+        expect(inputs.x.iqr).toBe(2);
+        expect(outputs.y.normalization).toBe('zscore');
+        expect(outputs.y.mean).toBe(4);
+        expect(nn.data.training[4].xs.x).toBe(49);
+
+        await new Promise(resolve => nn.train({ epochs: 1 }, resolve));
+        expect(nn.neuralNetwork.model.layers[1].getConfig().activation).toBe('linear');
+
+        // the meta is saved and loaded as json
+        const before = await nn.predict({ x: 1 });
+        nn.neuralNetworkData.meta = JSON.parse(JSON.stringify(nn.neuralNetworkData.meta));
+        const after = await nn.predict({ x: 1 });
+        expect(after[0].value).toBeCloseTo(before[0].value);
+      });
+    });
+
+    // incremental training
+    describe('trainMore', () => {
+      it('should continue training with the new data and update the running stats', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+        const { model } = nn.neuralNetwork;
+
+        nn.addData({ x: 20 }, { y: 40 });
+        await new Promise(resolve => nn.trainMore({ epochs: 2 }, resolve));
+
+        expect(nn.neuralNetwork.model).toBe(model);
+        expect(nn.neuralNetworkData.statsIndex).toBe(11);
+        expect(nn.neuralNetworkData.meta.inputs.x.max).toBe(20);
+        expect(nn.neuralNetworkData.meta.outputs.y.max).toBe(40);
+        expect(() => nn.trainMore({ newDataOnly: true })).toThrow();
+      });
+
+      it('should not accept new classes', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { label: i < 5 ? 'small' : 'big' });
+        }
+        await new Promise(resolve => nn.trainMore({ epochs: 1 }, resolve));
+
+        nn.addData({ x: 20 }, { label: 'huge' });
+        expect(() => nn.trainMore({ epochs: 1 })).toThrow();
+      });
+    });
+
+    describe('optimizer & learning rate schedule', () => {
+      const createNetwork = options => {
+        const nn = neuralNetwork({ task: 'classification', ...options });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { label: i < 5 ? 'a' : 'b' });
+        }
+        nn.normalizeData();
+        return nn;
+      };
+
+      it('should create the optimizer of the options and record it in the metadata', async () => {
+        const nn = createNetwork({ learningRate: 0.1, optimizer: { name: 'adam', beta1: 0.8 } });
+        await new Promise(resolve => nn.train({ epochs: 1 }, resolve));
+
+        const { optimizer } = nn.neuralNetworkData.meta.training;
+        expect(optimizer.name).toBe('adam');
+        expect(optimizer.learningRate).toBe(0.1);
+        expect(optimizer.beta1).toBe(0.8);
+        expect(() => createNetwork({ optimizer: 'newton' }).train({ epochs: 1 })).toThrow();
+      });
+
+      it('should change the learning rate between the epochs', async () => {
+        const nn = createNetwork({ learningRate: 0.1 });
+        const result = await new Promise(resolve =>
+          nn.train(
+            { epochs: 4, learningRateSchedule: { type: 'step', stepSize: 2, gamma: 0.5 } },
+            (error, trainingResult) => resolve(trainingResult),
+          ),
+        );
+
+        expect(result.learningRates).toEqual([0.1, 0.1, 0.05, 0.05]);
+        expect(nn.neuralNetworkData.meta.training.learningRateSchedule.type).toBe('step');
+      });
+    });
+
+    describe('imbalanced classes', () => {
+      const createNetwork = () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i }, { label: i < 4 ? 'rare' : 'common' });
+        }
+        nn.normalizeData();
+        return nn;
+      };
+      const train = (nn, options) =>
+        new Promise(resolve => nn.train(options, (error, result) => resolve(result)));
+
+      it('should weigh the classes inversely to their size', async () => {
+        const { classDistribution } = await train(createNetwork(), {
+          epochs: 1,
+          classWeight: 'balanced',
+        });
+
+        expect(classDistribution.counts).toEqual({ rare: 4, common: 16 });
+        expect(classDistribution.weights.rare).toBeCloseTo(2.5);
+        expect(classDistribution.weights.common).toBeCloseTo(0.625);
+        expect(classDistribution.effective.rare).toBeCloseTo(0.5);
+      });
+
+      it('should oversample and undersample the classes', async () => {
+        // the last 2 rows are held out for the validation
+        const oversampled = await train(createNetwork(), { epochs: 1, resample: 'oversample' });
+        expect(oversampled.classDistribution.counts).toEqual({ rare: 14, common: 14 });
+
+        const undersampled = await train(createNetwork(), { epochs: 1, resample: 'undersample' });
+        expect(undersampled.classDistribution.originalCounts).toEqual({ rare: 4, common: 14 });
+        expect(undersampled.classDistribution.counts).toEqual({ rare: 4, common: 4 });
+      });
+
+      it('should only resample the rows that are not used for the validation', async () => {
+        const logs = [];
+        const { classDistribution } = await new Promise(resolve =>
+          createNetwork().train(
+            { epochs: 1, resample: 'oversample', validationSplit: 0.25 },
+            (epoch, log) => logs.push(log),
+            (error, result) => resolve(result),
+          ),
+        );
+
+        expect(classDistribution.originalCounts).toEqual({ rare: 4, common: 11 });
+        expect(classDistribution.counts).toEqual({ rare: 11, common: 11 });
+        expect(typeof logs[0].val_loss).toBe('number');
+      });
+    });
+
+    describe('visualizeData', () => {
+      it('should summarize the data that the model is trained with', () => {
+        const element = document.createElement('div');
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i, color: i % 2 === 0 ? 'red' : 'blue' }, { label: i < 5 ? 'a' : 'b' });
+        }
+
+        const { histogram, classBalance, correlation, pca } = nn.visualizeData({
+          bins: 4,
+          container: element,
+        });
+
+        expect(histogram.x.bins.map(bin => bin.count)).toEqual([5, 5, 5, 5]);
+        expect(histogram.color.counts).toEqual({ red: 10, blue: 10 });
+        expect(classBalance).toEqual({ label: { a: 5, b: 15 } });
+        expect(correlation.labels.length).toBe(5);
+        expect(correlation.values[0][0]).toBeCloseTo(1);
+        expect(pca.points.length).toBe(20);
+        expect(pca.points[0].length).toBe(2);
+        expect(nn.neuralNetworkData.isMetadataReady).toBe(false);
+        expect(element.children.length).toBeGreaterThan(0);
+
+        // the data that is added afterwards is part of the metadata of the training
+        nn.addData({ x: 40, color: 'green' }, { label: 'c' });
+        nn.normalizeData();
+        const { meta } = nn.neuralNetworkData;
+        expect(meta.inputs.x.max).toBe(40);
+        expect(meta.inputs.color.uniqueValues).toContain('green');
+        expect(meta.outputs.label.uniqueValues).toContain('c');
+      });
+
+      it('should throw for an unknown type', () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        nn.addData({ x: 1 }, { y: 2 });
+        expect(() => nn.visualizeData({ type: 'boxplot' })).toThrow();
+        expect(() => nn.visualizeData({ type: 'classBalance' })).toThrow();
+      });
+    });
+
+    describe('dashboard', () => {
+      it('should draw every epoch into a canvas inside the element', async () => {
+        const element = document.createElement('div');
+        const nn = neuralNetwork({ task: 'classification', dashboard: element });
+        for (let i = 0; i < 12; i += 1) {
+          nn.addData({ x: i }, { label: i < 4 ? 'small' : 'big' });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+
+        expect(element.querySelector('canvas')).not.toBe(null);
+        expect(nn.dashboard.history.length).toBe(2);
+        expect(typeof nn.dashboard.history[0].accuracy).toBe('number');
+        expect(nn.dashboard.classCounts).toEqual({ small: 4, big: 8 });
+        expect(nn.dashboard.layers.length).toBe(2);
+        expect(nn.dashboard.learningRate).toBe(0.2);
+
+        await new Promise(resolve => nn.trainMore({ epochs: 1 }, resolve));
+        expect(nn.dashboard.history.length).toBe(3);
+        nn.dispose();
+      });
+    });
+
+    describe('augmentation', () => {
+      const createNetwork = augmentation => {
+        const nn = neuralNetwork({ task: 'imageClassification', inputs: [16, 16, 4], augmentation });
+        for (let i = 0; i < 8; i += 1) {
+          const image = [...new Array(16 * 16 * 4).keys()].map(j => (j * (i + 1)) % 256);
+          nn.addData({ image }, { label: i % 2 === 0 ? 'a' : 'b' });
+        }
+        nn.normalizeData();
+        return nn;
+      };
+
+      it('should train with augmented images', async () => {
+        const nn = createNetwork({ flip: true, rotation: { probability: 1 }, zoom: true, noise: true });
+        await new Promise(resolve => nn.train({ epochs: 1, batchSize: 4 }, resolve));
+
+        expect(nn.neuralNetworkData.meta.training.augmentation.rotation).toEqual({ probability: 1 });
+        nn.dispose();
+      });
+
+      it('should preview the augmentation of an image', async () => {
+        const nn = createNetwork({ brightness: { probability: 1 } });
+        const previews = await nn.previewAugmentation({ count: 3 });
+
+        expect(previews.length).toBe(3);
+        expect(previews[0].width).toBe(16);
+        expect(previews[0].raw.length).toBe(16 * 16 * 4);
+        const error = await nn.previewAugmentation({ augmentation: { blur: true } }).catch(e => e);
+        expect(error instanceof Error).toBe(true);
+        nn.dispose();
+      });
+    });
+
+    describe('seed', () => {
+      afterEach(() => ml5.setSeed(null));
+
+      const trainWeights = async (nnOptions, trainingOptions) => {
+        const nn = neuralNetwork({ task: 'classification', ...nnOptions });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i, y: (i * 7) % 11 }, { label: i % 3 === 0 ? 'a' : 'b' });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2, testSplit: 0.2, ...trainingOptions }, resolve));
+        const weights = nn.neuralNetwork.model.getWeights().map(tensor => Array.from(tensor.dataSync()));
+        nn.dispose();
+        return weights;
+      };
+
+      it('should train the same weights with the same seed', async () => {
+        ml5.setSeed(42);
+        const first = await trainWeights({}, {});
+        ml5.setSeed(42);
+        const second = await trainWeights({}, {});
+        expect(second).toEqual(first);
+
+        const fromOption = await trainWeights({ seed: 7 }, {});
+        const fromTraining = await trainWeights({}, { seed: 7 });
+        expect(fromTraining).toEqual(fromOption);
+        expect(fromOption).not.toEqual(first);
+      });
+
+      it('should keep the seed of the options to its training', async () => {
+        ml5.setSeed(42);
+        const first = await trainWeights({}, {});
+        ml5.setSeed(42);
+        await trainWeights({}, { seed: 7 });
+        const second = await trainWeights({}, {});
+        expect(second).toEqual(first);
+      });
+
+      it('should shuffle every batch with the seed, also while other trainings run', async () => {
+        // 16 training rows in batches of 4
+        const trainBatches = () => trainWeights({}, { seed: 3, batchSize: 4, epochs: 3 });
+        const first = await trainBatches();
+        const second = await trainBatches();
+        expect(second).toEqual(first);
+
+        const overlapping = await Promise.all([trainBatches(), trainBatches()]);
+        expect(overlapping[0]).toEqual(first);
+        expect(overlapping[1]).toEqual(first);
+      });
+    });
+
+    // hyperparameter search
+    describe('tune', () => {
+      it('should rank every configuration of the grid and use the best one', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i % 2, y: i }, { label: i % 2 === 0 ? 'even' : 'odd' });
+        }
+        nn.normalizeData();
+
+        const { best, results } = await nn.tune(
+          { hiddenUnits: [4, 8], learningRate: [0.01, 0.1], epochs: 1 },
+          { folds: 2 },
+        );
+
+        expect(results.length).toBe(4);
+        expect(results.map(result => result.rank)).toEqual([1, 2, 3, 4]);
+        expect(results[0].loss).toBeLessThanOrEqual(results[3].loss);
+        expect(results[0].foldLosses.length).toBe(2);
+        expect(typeof results[0].accuracy).toBe('number');
+        expect(best).toEqual(results[0].config);
+        expect(nn.options.hiddenUnits).toBe(best.hiddenUnits);
+        expect(nn.neuralNetwork.isLayered).toBe(false);
+      });
+
+      it('should try a number of random configurations', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+
+        const { results } = await nn.tune(
+          { hiddenUnits: [4, 8, 16], epochs: [1, 2] },
+          { strategy: 'random', trials: 2 },
+        );
+
+        expect(results.length).toBe(2);
+        expect(results[0].accuracy).toBeUndefined();
+      });
+
+      it('should copy the data and the metadata with other options', () => {
+        const nn = neuralNetwork({ task: 'regression', hiddenUnits: 4 });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+
+        const nnCopy = nn.copy({ hiddenUnits: 8 });
+        nnCopy.neuralNetworkData.getDataStats([{ xs: { x: 0 }, ys: { y: 0 } }]);
+
+        expect(nnCopy.options.hiddenUnits).toBe(8);
+        expect(nnCopy.options.task).toBe('regression');
+        expect(nnCopy.neuralNetworkData.data.raw.length).toBe(10);
+        expect(nnCopy.neuralNetworkData.meta.inputs.x.max).toBe(0);
+        expect(nn.neuralNetworkData.meta.inputs.x.max).toBe(9);
+      });
+
+      it('should not change the normalization of the model', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+        const { inputs } = nn.neuralNetworkData.meta;
+
+        await nn.tune({ hiddenUnits: [4], epochs: 1 }, { folds: 5 });
+
+        expect(nn.neuralNetworkData.meta.inputs).toEqual(inputs);
+        expect(inputs.x.min).toBe(0);
+        expect(inputs.x.max).toBe(9);
+      });
+
+      it('should not keep the metadata that it creates', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { label: i < 5 ? 'a' : 'b' });
+        }
+
+        await nn.tune({ hiddenUnits: [4], epochs: 1 });
+        expect(nn.neuralNetworkData.isMetadataReady).toBe(false);
+
+        // the data that is added afterwards is part of the metadata of the training
+        nn.addData({ x: 40 }, { label: 'c' });
+        nn.normalizeData();
+        const { meta } = nn.neuralNetworkData;
+        expect(meta.inputs.x.max).toBe(40);
+        expect(meta.outputs.label.uniqueValues).toContain('c');
+      });
+    });
+
+    describe('missing values', () => {
+      it('should fill the missing inputs of a prediction like the data', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        const dataRaw = [...new Array(12).keys()].map(i => ({
+          xs: { x: i % 4 === 0 ? null : i, color: i % 2 === 0 ? 'red' : 'blue' },
+          ys: { label: i < 6 ? 'small' : 'big' },
+        }));
+        nn.neuralNetworkData.handleMissingValues(dataRaw, { x: 'indicator' });
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 1 }, resolve));
+
+        const { meta } = nn.neuralNetworkData;
+        const headers = Object.keys(meta.inputs);
+        expect(headers).toContain('x_missing');
+        expect(meta.missingValues).toEqual({ x: { strategy: 'indicator', value: 6 } });
+
+        // x is normalized between 1 and 11, red is [1, 0], then x_missing
+        expect(nn.formatInputsForPrediction({ color: 'red' }, meta, headers)).toEqual([0.5, 1, 0, 1]);
+        expect(nn.formatInputsForPrediction([null, 'red'], meta, headers)).toEqual([0.5, 1, 0, 1]);
+        expect(nn.formatInputsForPrediction({ x: 3, color: 'red' }, meta, headers)).toEqual([
+          0.2,
+          1,
+          0,
+          0,
+        ]);
+
+        const results = await nn.classify({ x: null, color: 'blue' });
+        expect(results.length).toBe(2);
+        expect(results.every(result => Number.isFinite(result.confidence))).toBe(true);
+      });
+    });
+
+    describe('explain', () => {
+      let nn;
+      beforeAll(async () => {
+        nn = neuralNetwork({ task: 'classification', learningRate: 0.5 });
+        for (let i = 0; i < 40; i += 1) {
+          const signal = i / 40;
+          nn.addData(
+            { signal, color: i % 2 === 0 ? 'red' : 'blue' },
+            { label: signal > 0.5 ? 'high' : 'low' },
+          );
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 20 }, resolve));
+      });
+
+      it('should return an attribution for each named input', async () => {
+        const result = await nn.explain({ signal: 0.9, color: 'red' });
+
+        expect(result.method).toBe('gradientXInput');
+        expect(result.output).toBe('label');
+        expect(Object.keys(result.attributions)).toEqual(['signal', 'color']);
+        expect(typeof result.attributions.color).toBe('number');
+      });
+
+      it('should explain the given class with integrated gradients', async () => {
+        const result = await nn.explain(
+          { signal: 0.9, color: 'red' },
+          { method: 'integratedGradients', steps: 10, target: 'low' },
+        );
+
+        expect(result.method).toBe('integratedGradients');
+        expect(result.label).toBe('low');
+
+        const { numTensors } = ml5.tf.memory();
+        let error;
+        try {
+          await nn.explain({ signal: 0.9, color: 'red' }, { target: 'medium' });
+        } catch (err) {
+          error = err;
+        }
+        expect(error).toBeDefined();
+        expect(ml5.tf.memory().numTensors).toBe(numTensors);
+      });
+
+      it('should rank the inputs by their permutation importance', async () => {
+        const { baseline, importances, ranking } = await nn.permutationImportance({ repeats: 2 });
+
+        expect(typeof baseline).toBe('number');
+        expect(Object.keys(importances)).toEqual(['signal', 'color']);
+        expect(ranking.length).toBe(2);
+      });
+    });
+
+    describe('mutate & crossover', () => {
+      const options = {
+        inputs: 2,
+        outputs: ['a', 'b'],
+        task: 'classification',
+        noTraining: true,
+      };
+      const getWeights = nn =>
+        nn.neuralNetwork.model.getWeights().map(tensor => Array.from(tensor.dataSync()));
+      const setWeights = (nn, value) => {
+        const { model } = nn.neuralNetwork;
+        model.setWeights(model.getWeights().map(tensor => ml5.tf.fill(tensor.shape, value)));
+      };
+
+      it('should clamp the gaussian mutations by default', () => {
+        const nn = neuralNetwork(options);
+        setWeights(nn, 0.9);
+        ml5.setSeed(5);
+        nn.mutate(0.1);
+        ml5.setSeed(null);
+
+        // about a tenth of the weights are mutated and none is outside of -1 and 1
+        const weights = getWeights(nn).flat();
+        const mutated = weights.filter(value => Math.abs(value - 0.9) > 1e-6);
+        expect(mutated.length).toBeGreaterThan(0);
+        expect(mutated.length).toBeLessThan(weights.length / 2);
+        expect(weights.every(value => value >= -1 && value <= 1)).toBe(true);
+        nn.dispose();
+      });
+
+      it('should not clamp the gaussian mutations with clamp false', () => {
+        const nn = neuralNetwork(options);
+        setWeights(nn, 5);
+        nn.mutate(1, { sigma: 0.1, clamp: false });
+
+        expect(Math.max(...getWeights(nn)[0])).toBeGreaterThan(4);
+        nn.dispose();
+      });
+
+      it('should leave the layers set to false unchanged', () => {
+        const nn = neuralNetwork(options);
+        setWeights(nn, 5);
+        nn.mutate(1, { strategy: 'uniform', layers: { 1: false } });
+
+        const weights = getWeights(nn);
+        expect(weights[0].every(value => value >= -1 && value <= 1)).toBe(true);
+        expect(weights[2].every(value => value === 5)).toBe(true);
+        nn.dispose();
+      });
+
+      it('should blend the weights of both parents', () => {
+        const nnA = neuralNetwork(options);
+        const nnB = neuralNetwork(options);
+        setWeights(nnA, 1);
+        setWeights(nnB, 3);
+        const child = nnA.crossover(nnB, { strategy: 'blend' });
+
+        expect(getWeights(child)[0].every(value => value === 2)).toBe(true);
+        [nnA, nnB, child].forEach(nn => nn.dispose());
+      });
+    });
+
+    describe('browser storage', () => {
+      ['localstorage', 'indexeddb'].forEach(storage => {
+        it(`should save, list, load and delete a model in ${storage}`, async () => {
+          const url = `${storage}://nn-test`;
+          const nn = neuralNetwork({ task: 'regression' });
+          for (let i = 0; i < 10; i += 1) {
+            nn.addData({ x: i }, { y: i * 2 });
+          }
+          nn.normalizeData();
+          await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+          await nn.save(url);
+
+          const savedModels = await ml5.listSavedModels();
+          const savedModel = savedModels.find(model => model.url === url);
+          expect(savedModel.type).toBe('neuralNetwork');
+          expect(typeof savedModel.savedAt).toBe('string');
+
+          const loaded = neuralNetwork({ task: 'regression' });
+          await loaded.load(url);
+          expect(loaded.neuralNetworkData.meta).toEqual(nn.neuralNetworkData.meta);
+          expect(await loaded.predict({ x: 3 })).toEqual(await nn.predict({ x: 3 }));
+
+          await ml5.deleteSavedModel(url);
+          const remainingModels = await ml5.listSavedModels();
+          expect(remainingModels.map(model => model.url)).not.toContain(url);
+        });
+      });
+
+      it('should not load a missing model or a model of another type', async () => {
+        const knn = ml5.KNNClassifier();
+        knn.addExample([1, 0], 'a');
+        await knn.save('indexeddb://knn-for-nn-test');
+
+        const nn = neuralNetwork({ task: 'regression' });
+        const getError = url => nn.load(url).then(() => null, error => error);
+
+        expect((await getError('indexeddb://knn-for-nn-test')).message).toMatch(
+          /is a KNNClassifier and not a neuralNetwork/,
+        );
+        expect((await getError('indexeddb://nn-missing')).message).toMatch(/no model saved/);
+
+        await ml5.deleteSavedModel('indexeddb://knn-for-nn-test');
+        knn.dispose();
+      });
+
+      it('should call back with an error for a missing model', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        const error = await new Promise(resolve => {
+          nn.load('localstorage://nn-missing', resolve).catch(() => {});
+        });
+
+        expect(error.message).toMatch(/no model saved at "localstorage:\/\/nn-missing"/);
+      });
+    });
+
+    describe('bundle', () => {
+      let nn;
+      beforeAll(async () => {
+        nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i, color: i % 2 === 0 ? 'red' : 'blue' }, { label: i < 5 ? 'a' : 'b' });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+      });
+
+      it('should save the model as one .ml5 file and load it with the same predictions', async () => {
+        // keep the file instead of downloading it
+        let file;
+        spyOn(URL, 'createObjectURL').and.callFake(blob => {
+          file = blob;
+          return 'blob:model';
+        });
+        spyOn(HTMLAnchorElement.prototype, 'click');
+
+        await nn.save({ name: 'nn-bundle', format: 'bundle' });
+        expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+
+        const loaded = neuralNetwork({ task: 'classification' });
+        await loaded.load(file);
+
+        expect(loaded.neuralNetworkData.meta).toEqual(nn.neuralNetworkData.meta);
+        expect(await loaded.classify({ x: 3, color: 'red' })).toEqual(
+          await nn.classify({ x: 3, color: 'red' }),
+        );
+      });
+
+      it('should not load a bundle of a newer schema version', async () => {
+        const { BUNDLE_SCHEMA_VERSION, createBundle } = ml5.testingUtils.modelBundle;
+        const artifacts = await nn.neuralNetwork.getModelArtifacts();
+        const bundle = {
+          ...createBundle(artifacts, nn.neuralNetworkData.meta),
+          schemaVersion: BUNDLE_SCHEMA_VERSION + 1,
+        };
+
+        const loaded = neuralNetwork({ task: 'classification' });
+        let error;
+        await loaded.load(bundle).catch(e => {
+          error = e;
+        });
+
+        expect(error.message).toMatch(/schema version/);
+        expect(loaded.neuralNetworkData.isMetadataReady).toBe(false);
+      });
+
+      it('should call back with an error for a corrupt bundle', async () => {
+        const loaded = neuralNetwork({ task: 'classification' });
+        const corrupt = new Blob(['{"format": "ml5-bundle", '], { type: 'application/json' });
+        const error = await new Promise(resolve => {
+          loaded.load(corrupt, resolve).catch(() => {});
+        });
+
+        expect(error instanceof Error).toBe(true);
+        expect(loaded.neuralNetworkData.isMetadataReady).toBe(false);
+      });
+
+      it('should throw for an unknown format', () => {
+        expect(() => nn.save({ name: 'nn-bundle', format: 'zip' })).toThrowError(
+          /"zip" is not a save format/,
+        );
+      });
+    });
+
+    // evaluate
+    describe('evaluate', () => {
+      it('should evaluate a classification on the held out test data', async () => {
+        const nn = neuralNetwork({ task: 'classification' });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i % 2, y: i }, { label: i % 2 === 0 ? 'even' : 'odd' });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2, testSplit: 0.5 }, resolve));
+
+        const results = await nn.evaluate();
+
+        expect(nn.data.testing.length).toBe(10);
+        expect(results.count).toBe(10);
+        expect(results.labels).toEqual(['even', 'odd']);
+        expect(Object.keys(results.confusionMatrix.even)).toEqual(['even', 'odd']);
+        expect(Object.keys(results.metrics.odd)).toEqual(['precision', 'recall', 'f1', 'support']);
+      });
+
+      it('should normalize the data with the stats of the training rows only', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        for (let i = 0; i < 20; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+        // the seed holds out the row with the largest x
+        await new Promise(resolve => nn.train({ epochs: 1, testSplit: 0.25, seed: 2 }, resolve));
+
+        const testValues = nn.data.testing.map(row => row.xs.x);
+        expect(testValues).toContain(19);
+        const trainingValues = [...new Array(20).keys()].filter(x => !testValues.includes(x));
+        const { inputs } = nn.neuralNetworkData.meta;
+        expect(inputs.x.min).toBe(Math.min(...trainingValues));
+        expect(inputs.x.max).toBe(Math.max(...trainingValues));
+      });
+
+      it('should evaluate a regression on the given data', async () => {
+        const nn = neuralNetwork({ task: 'regression' });
+        for (let i = 0; i < 10; i += 1) {
+          nn.addData({ x: i }, { y: i * 2 });
+        }
+        nn.normalizeData();
+        await new Promise(resolve => nn.train({ epochs: 2 }, resolve));
+
+        const results = await nn.evaluate([{ x: 1, y: 2 }, { xs: { x: 2 }, ys: { y: 4 } }]);
+
+        expect(results.count).toBe(2);
+        expect(typeof results.mse).toBe('number');
+        expect(typeof results.metrics.y.r2).toBe('number');
+      });
+    });
   });
 
   /**
    * Describes the neural network class
    */
   describe('NeuralNetwork Class', () => {
-    jasmine.DEFAULT_TIMEOUT_INTERVAL = 100000;
     const nn = neuralNetwork();
     const brain = nn.neuralNetwork;
 
@@ -343,6 +1106,26 @@ describe('NeuralNetwork', () => {
 
         expect(brain.isTrained).toBe(true);
       });
+
+      it('should stop early when the monitored metric stops improving', async () => {
+        const trainingOptions = {
+          inputs: ml5.tf.tensor([[0, 0], [1, 1]], [2, 2]),
+          outputs: ml5.tf.tensor([[0, 1], [1, 0]], [2, 2]),
+          batchSize: 1,
+          epochs: 20,
+          monitor: 'loss',
+          patience: 0,
+          minDelta: 100,
+          restoreBestWeights: true,
+        };
+
+        const result = await brain.trainInternal(trainingOptions);
+
+        expect(result.stoppedEarly).toBe(true);
+        expect(result.stoppedEpoch).toBe(1);
+        expect(result.bestEpoch).toBe(0);
+        expect(result.restoredBestWeights).toBe(true);
+      });
     });
 
     /**
@@ -370,7 +1153,6 @@ describe('NeuralNetwork', () => {
    */
   // the NeuralNetworkData class
   describe('NeuralNetworkData Class', () => {
-    jasmine.DEFAULT_TIMEOUT_INTERVAL = 100000;
     const nn = neuralNetwork();
     const brainData = nn.neuralNetworkData;
 
@@ -556,10 +1338,83 @@ describe('NeuralNetwork', () => {
       });
     });
 
-    xdescribe('csvToJSON()', () => {
+    describe('csvToJSON()', () => {
       it('should csvToJSON()', () => {
-        // TODO
-        // ...
+        const csv = 'a,b,c\r\n1,"x, ""y""",3\r\n2,"multiple\nlines",\r\n\r\n';
+        const { entries } = brainData.csvToJSON(csv);
+
+        expect(entries).toEqual([
+          { a: 1, b: 'x, "y"', c: 3 },
+          { a: 2, b: 'multiple\nlines', c: '' },
+        ]);
+      });
+
+      it('should use the delimiter and columnTypes options', () => {
+        const { entries } = brainData.csvToJSON('zip;city\n01234;Berlin\n', {
+          delimiter: ';',
+          columnTypes: { zip: 'string' },
+        });
+
+        expect(entries).toEqual([{ zip: '01234', city: 'Berlin' }]);
+      });
+
+      it('should fail with the line number of a malformed line', () => {
+        expect(() => brainData.csvToJSON('a,b\n1,2\n3\n')).toThrowError(/line 3/);
+        expect(() => brainData.csvToJSON('a,b\n1,"2\n')).toThrowError(/line 2/);
+      });
+    });
+
+    describe('handleMissingValues()', () => {
+      const dataRaw = [
+        { xs: { a: 1, b: 'x' }, ys: { y: 'p' } },
+        { xs: { a: '', b: 'x' }, ys: { y: 'q' } },
+        { xs: { a: 5, b: null }, ys: { y: 'p' } },
+        { xs: { a: 6, b: 'z' }, ys: { y: undefined } },
+      ];
+
+      it('should keep the missing values by default', () => {
+        const report = brainData.handleMissingValues(dataRaw);
+
+        expect(brainData.data.raw.length).toBe(4);
+        expect(brainData.data.raw[1].xs.a).toBe('');
+        expect(report.droppedRows).toBe(0);
+        expect(report.columns.a).toEqual({ missing: 1, strategy: 'none' });
+      });
+
+      it('should drop the rows with missing values', () => {
+        const report = brainData.handleMissingValues(dataRaw, 'drop');
+
+        expect(brainData.data.raw.length).toBe(1);
+        expect(report.droppedRows).toBe(3);
+        expect(report.columns.a).toEqual({ missing: 1, strategy: 'drop' });
+      });
+
+      it('should fill the missing values of each column', () => {
+        const report = brainData.handleMissingValues(dataRaw, {
+          a: 'indicator',
+          b: { strategy: 'constant', value: 'unknown' },
+          y: 'mode',
+        });
+
+        expect(report.droppedRows).toBe(0);
+        expect(report.columns.a.value).toBe(4);
+        expect(brainData.data.raw[1].xs).toEqual({ a: 4, b: 'x', a_missing: 1 });
+        expect(brainData.data.raw[2].xs.b).toBe('unknown');
+        expect(brainData.data.raw[3].ys.y).toBe('p');
+        expect(() => brainData.handleMissingValues(dataRaw, { b: 'mean' })).toThrow();
+      });
+
+      it('should take the dtypes from the values that are not missing', () => {
+        brainData.handleMissingValues([
+          { xs: { a: '', b: null }, ys: { y: 'p' } },
+          { xs: { a: 2, b: 'x' }, ys: { y: 'q' } },
+          { xs: { a: 3, b: 'z' }, ys: { y: 'p' } },
+        ]);
+        const meta = brainData.getDTypesFromData(brainData.data.raw);
+
+        expect(meta.inputs.a.dtype).toBe('number');
+        expect(meta.inputs.b.dtype).toBe('string');
+        expect(meta.outputs.y.dtype).toBe('string');
       });
     });
   });
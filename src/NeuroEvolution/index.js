@@ -0,0 +1,272 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+A population of neural networks that evolves over generations
+with selection, crossover and mutation
+*/
+
+import neuralNetwork from '../NeuralNetwork';
+import callCallback from '../utils/callcallback';
+import { createGenerator, random, randomSample, withGenerator } from '../utils/random';
+
+const DEFAULTS = {
+  populationSize: 50,
+  template: null,
+  selection: 'roulette',
+  mutationRate: 0.1,
+  mutationFunction: null,
+  mutation: {},
+  crossover: {},
+  elites: null,
+  tournamentSize: 3,
+  seed: null,
+};
+
+const SELECTIONS = ['roulette', 'tournament', 'elitism'];
+
+class NeuroEvolution {
+  /**
+   * Create a population of neural networks
+   * @param {Object} options - An object with the options of the population:
+   *    populationSize, template (a neuralNetwork or its options), selection,
+   *    mutationRate, mutationFunction, mutation and crossover (the options of
+   *    neuralNetwork.mutate() and .crossover()), elites, tournamentSize
+   *    and seed (like ml5.setSeed() for this population only)
+   */
+  constructor(options = {}) {
+    this.config = {
+      ...DEFAULTS,
+      ...options,
+    };
+
+    if (!SELECTIONS.includes(this.config.selection)) {
+      throw new Error(
+        `"${this.config.selection}" is not a selection. Use one of: ${SELECTIONS.join(', ')}`,
+      );
+    }
+    if (!this.config.template) {
+      throw new Error('a template neuralNetwork or the options of a neuralNetwork is required');
+    }
+    if (this.config.elites === null) {
+      const { selection, populationSize } = this.config;
+      this.config.elites = selection === 'elitism' ? Math.max(1, Math.round(populationSize * 0.2)) : 0;
+    }
+
+    // the population has its own generator so the seed does not change the other models
+    this.generator = this.config.seed !== null ? createGenerator(this.config.seed) : null;
+
+    this.generation = 0;
+    this.history = [];
+    this.bestScore = -Infinity;
+    this.champion = null;
+    this.population = withGenerator(this.generator, () => this.createPopulation());
+  }
+
+  /**
+   * The options to create a network like the template
+   */
+  get templateOptions() {
+    const { template } = this.config;
+    const options = template.neuralNetwork ? template.options : template;
+    return { ...options, noTraining: true };
+  }
+
+  /**
+   * Creates the first generation: copies of the template network
+   * with mutations or new networks with random weights
+   */
+  createPopulation() {
+    const { template, populationSize, mutationRate } = this.config;
+
+    return [...new Array(populationSize).keys()].map(idx => {
+      let brain;
+      if (template.neuralNetwork) {
+        brain = template.copy();
+        // keep one unchanged copy of the template
+        if (idx > 0) brain.mutate(mutationRate, this.getMutation());
+      } else {
+        brain = neuralNetwork(this.templateOptions);
+      }
+      return { brain, score: 0, fitness: 0 };
+    });
+  }
+
+  /**
+   * The custom mutation function or the mutation options
+   */
+  getMutation() {
+    return this.config.mutationFunction || this.config.mutation;
+  }
+
+  /**
+   * Normalizes the scores to fitness values that add up to 1.
+   * Negative scores are shifted so the lowest score is 0
+   */
+  calculateFitness() {
+    const scores = this.population.map(member => member.score);
+    const minScore = Math.min(0, ...scores);
+    const sum = scores.reduce((total, score) => total + (score - minScore), 0);
+
+    this.population.forEach(member => {
+      // eslint-disable-next-line no-param-reassign
+      member.fitness = sum > 0 ? (member.score - minScore) / sum : 1 / this.population.length;
+    });
+  }
+
+  /**
+   * Picks a parent with the selection of the config
+   * @param {Array} ranked - the members sorted from the highest to the lowest fitness
+   */
+  selectParent(ranked) {
+    const { selection, tournamentSize, elites } = this.config;
+
+    if (selection === 'tournament') {
+      const competitors = randomSample(ranked, Math.min(tournamentSize, ranked.length), false);
+      return competitors.reduce((best, member) => (member.fitness > best.fitness ? member : best));
+    }
+    if (selection === 'elitism') {
+      return randomSample(ranked.slice(0, Math.max(1, elites)), 1, false)[0];
+    }
+
+    // roulette: the chance of a member is its fitness
+    let r = random();
+    for (let i = 0; i < ranked.length; i += 1) {
+      r -= ranked[i].fitness;
+      if (r < 0) return ranked[i];
+    }
+    return ranked[ranked.length - 1];
+  }
+
+  /**
+   * Creates the next generation from the scores of the current one
+   * and disposes the networks of the current generation
+   * @param {Array} scores - Optional. The score of each member, in the order of the population.
+   *    Otherwise the score property of each member is used
+   * @return {Array} the new population of { brain, score, fitness }
+   */
+  nextGeneration(scores = null) {
+    return withGenerator(this.generator, () => this.nextGenerationInternal(scores));
+  }
+
+  /**
+   * nextGenerationInternal
+   * @param {Array} scores
+   */
+  nextGenerationInternal(scores) {
+    const { populationSize, elites, mutationRate, crossover } = this.config;
+
+    if (scores !== null) {
+      if (scores.length !== this.population.length) {
+        throw new Error(`expected ${this.population.length} scores but got ${scores.length}`);
+      }
+      this.population.forEach((member, idx) => {
+        // eslint-disable-next-line no-param-reassign
+        member.score = scores[idx];
+      });
+    }
+
+    this.calculateFitness();
+    const ranked = [...this.population].sort((a, b) => b.fitness - a.fitness);
+    const best = ranked[0];
+    const averageScore =
+      this.population.reduce((total, member) => total + member.score, 0) / this.population.length;
+
+    this.history.push({
+      generation: this.generation,
+      bestScore: best.score,
+      averageScore,
+    });
+
+    if (best.score > this.bestScore) {
+      if (this.champion) this.champion.dispose();
+      this.champion = best.brain.copy();
+      this.bestScore = best.score;
+    }
+
+    // the best members are copied unchanged
+    const nextPopulation = ranked
+      .slice(0, Math.min(elites, populationSize))
+      .map(member => ({ brain: member.brain.copy(), score: 0, fitness: 0 }));
+
+    while (nextPopulation.length < populationSize) {
+      const parentA = this.selectParent(ranked);
+      const parentB = this.selectParent(ranked);
+      const brain = parentA.brain.crossover(parentB.brain, crossover);
+      brain.mutate(mutationRate, this.getMutation());
+      nextPopulation.push({ brain, score: 0, fitness: 0 });
+    }
+
+    this.population.forEach(member => member.brain.dispose());
+    this.population = nextPopulation;
+    this.generation += 1;
+
+    return this.population;
+  }
+
+  /**
+   * The member with the highest score of the current population
+   */
+  getBest() {
+    return this.population.reduce((best, member) => (member.score > best.score ? member : best));
+  }
+
+  /**
+   * Saves the champion, the network with the highest score of all generations.
+   * Takes the same arguments as neuralNetwork.save()
+   * @param {string | Object} nameOrOptions
+   * @param {function} callback
+   */
+  saveChampion(nameOrOptions, callback) {
+    if (!this.champion) {
+      throw new Error('there is no champion yet. Call nextGeneration() first');
+    }
+    return this.champion.save(nameOrOptions, callback);
+  }
+
+  /**
+   * Loads a saved champion and starts a new population from it
+   * @param {*} filesOrPath - anything neuralNetwork.load() can load
+   * @param {function} callback
+   */
+  loadChampion(filesOrPath, callback) {
+    return callCallback(this.loadChampionInternal(filesOrPath), callback);
+  }
+
+  /**
+   * loadChampionInternal
+   * @param {*} filesOrPath
+   */
+  async loadChampionInternal(filesOrPath) {
+    const champion = neuralNetwork(this.templateOptions);
+    await champion.load(filesOrPath);
+
+    if (this.champion) this.champion.dispose();
+    this.champion = champion;
+    this.bestScore = -Infinity;
+
+    this.population.forEach(member => member.brain.dispose());
+    this.config.template = champion;
+    this.population = withGenerator(this.generator, () => this.createPopulation());
+
+    return this.champion;
+  }
+
+  /**
+   * Disposes all of the networks
+   */
+  dispose() {
+    this.population.forEach(member => member.brain.dispose());
+    this.population = [];
+    if (this.champion) {
+      this.champion.dispose();
+      this.champion = null;
+    }
+  }
+}
+
+const neuroEvolution = options => new NeuroEvolution(options);
+
+export default neuroEvolution;
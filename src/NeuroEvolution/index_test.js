@@ -0,0 +1,61 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { neuroEvolution, tf } = ml5;
+
+const TEMPLATE = {
+  inputs: 2,
+  outputs: ['a', 'b'],
+  task: 'classification',
+};
+
+describe('neuroEvolution', () => {
+  it('should create a population from the template options', () => {
+    const population = neuroEvolution({ populationSize: 4, template: TEMPLATE });
+
+    expect(population.population.length).toBe(4);
+    expect(population.generation).toBe(0);
+    expect(population.config.elites).toBe(0);
+    population.dispose();
+  });
+
+  it('should evolve generations and track the champion', () => {
+    const population = neuroEvolution({
+      populationSize: 6,
+      template: TEMPLATE,
+      selection: 'tournament',
+    });
+
+    population.nextGeneration([1, 2, 3, 4, 5, 6]);
+    population.nextGeneration([6, 5, 4, 3, 2, 1]);
+
+    expect(population.generation).toBe(2);
+    expect(population.history.map(item => item.bestScore)).toEqual([6, 6]);
+    expect(population.history[0].averageScore).toBe(3.5);
+    expect(population.champion).not.toBe(null);
+    expect(population.bestScore).toBe(6);
+    population.dispose();
+  });
+
+  it('should dispose the networks of the previous generations', () => {
+    const population = neuroEvolution({
+      populationSize: 5,
+      template: TEMPLATE,
+      selection: 'elitism',
+    });
+    population.nextGeneration([1, 2, 3, 4, 5]);
+    const { numTensors } = tf.memory();
+
+    population.nextGeneration([5, 4, 3, 2, 1]);
+    population.nextGeneration([1, 1, 1, 1, 1]);
+
+    expect(tf.memory().numTensors).toBe(numTensors);
+    population.dispose();
+  });
+
+  it('should throw for an unknown selection', () => {
+    expect(() => neuroEvolution({ template: TEMPLATE, selection: 'random' })).toThrow();
+  });
+});
@@ -10,6 +10,7 @@ Word2Vec
 import * as tf from '@tensorflow/tfjs';
 import axios from 'axios';
 import callCallback from '../utils/callcallback';
+import { random } from '../utils/random';
 
 
 class Word2Vec {
@@ -143,7 +144,7 @@ class Word2Vec {
   async getRandomWord(callback) {
     await this.ready;
     const words = Object.keys(this.model);
-    const result = words[Math.floor(Math.random() * words.length)];
+    const result = words[Math.floor(random() * words.length)];
     if (callback) {
       callback(undefined, result);
     }
@@ -28,8 +28,13 @@ import { version } from "../package.json";
 import sentiment from "./Sentiment";
 import bodyPix from "./BodyPix";
 import neuralNetwork from "./NeuralNetwork";
+import neuroEvolution from "./NeuroEvolution";
 import faceApi from "./FaceApi";
 import kmeans from "./KMeans";
+import dbscan from "./DBSCAN";
+import hierarchicalClustering from "./HierarchicalClustering";
+import gaussianMixture from "./GaussianMixture";
+import dimensionReduction from "./DimensionReduction";
 import cartoon from "./CartoonGAN";
 import universalSentenceEncoder from "./UniversalSentenceEncoder";
 import facemesh from "./Facemesh";
@@ -37,6 +42,14 @@ import handpose from './Handpose';
 import p5Utils from "./utils/p5Utils";
 import communityStatement from "./utils/community";
 import * as testingUtils from "./utils/testingUtils";
+import callCallback from "./utils/callcallback";
+import * as modelStorage from "./utils/modelStorage";
+import { setSeed } from "./utils/random";
+
+// list and delete the models saved with names like indexeddb://name or localstorage://name
+const listSavedModels = callback => callCallback(modelStorage.listSavedModels(), callback);
+const deleteSavedModel = (url, callback) =>
+  callCallback(modelStorage.deleteSavedModel(url), callback);
 
 const withPreload = {
   charRNN,
@@ -46,6 +59,10 @@ const withPreload = {
   featureExtractor,
   imageClassifier,
   kmeans,
+  dbscan,
+  hierarchicalClustering,
+  gaussianMixture,
+  dimensionReduction,
   soundClassifier,
   pitchDetection,
   pix2pix,
@@ -78,5 +95,9 @@ module.exports = Object.assign({ p5Utils }, preloadRegister(withPreload), {
   tfvis,
   version,
   neuralNetwork,
+  neuroEvolution,
+  listSavedModels,
+  deleteSavedModel,
+  setSeed,
   testingUtils
 });
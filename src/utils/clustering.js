@@ -0,0 +1,147 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+/*
+Utils for the clustering models: loading the data, distances and formatting the inputs of classify()
+*/
+
+import * as tf from '@tensorflow/tfjs';
+
+// the number of rows of the distance matrix that are computed at once
+const CHUNK_SIZE = 512;
+
+/**
+ * Read in a csv file from a path to its location.
+ * @param {string} path
+ */
+async function readCsv(path) {
+  const myCsv = tf.data.csv(path);
+  const loadedData = await myCsv.toArray();
+  return loadedData;
+}
+
+/**
+ * Load and flatten an array of arrays, an array of objects, or a string
+ *   path to a csv.
+ * @param {string || array || object} inputData
+ */
+async function loadDataset(inputData) {
+  let data;
+  if (typeof inputData === 'string') {
+    data = await readCsv(inputData);
+  } else {
+    data = inputData;
+  }
+  const dataFlat = data.map(d => Object.values(d));
+  return dataFlat;
+}
+
+/**
+ * The squared Euclidian distances between every point and every other point.
+ * @param {tf.tensor} points - a tensor of the shape [points, dimensions]
+ * @param {tf.tensor} others - a tensor of the shape [others, dimensions]
+ * @return {tf.tensor} a tensor of the shape [points, others]
+ */
+function getSquaredDistances(points, others) {
+  return tf.tidy(() => {
+    const pointNorms = points.square().sum(1, true);
+    const otherNorms = others.square().sum(1).expandDims(0);
+    // |p - o|^2 = |p|^2 + |o|^2 - 2 p.o, rounding can make it slightly negative
+    return pointNorms
+      .add(otherNorms)
+      .sub(points.matMul(others.transpose()).mul(2))
+      .relu();
+  });
+}
+
+/**
+ * The one hot encoding of the cluster of every point. Unlike tf.oneHot() it also works for
+ *   one cluster, a point without a cluster (-1) has all zeros.
+ * @param {tf.tensor || array} labels - the cluster of every point
+ * @param {number} clusters - the number of clusters
+ * @return {tf.tensor} a tensor of the shape [points, clusters]
+ */
+function getMembers(labels, clusters) {
+  return tf.tidy(() => {
+    const ids = labels instanceof tf.Tensor ? labels.toInt() : tf.tensor1d(labels, 'int32');
+    return ids
+      .expandDims(1)
+      .equal(tf.range(0, clusters, 1, 'int32').expandDims(0))
+      .toFloat();
+  });
+}
+
+/**
+ * The mean silhouette of the points: for every point (b - a) / max(a, b) where a is its
+ *   average distance to the other points of its cluster and b its average distance to the
+ *   points of the closest other cluster. From -1 to 1, the higher the better the clusters are
+ *   separated. A point that is alone in its cluster has a silhouette of 0.
+ * @param {tf.tensor} points - a tensor of the shape [points, dimensions]
+ * @param {array} labels - the cluster of every point
+ * @param {number} clusters - the number of clusters, at least 2
+ * @return {number}
+ */
+function getSilhouetteScore(points, labels, clusters) {
+  const count = points.shape[0];
+  const members = getMembers(labels, clusters);
+  const sizes = members.sum(0);
+  let total = 0;
+
+  // the distances of a few rows at once, so the memory does not grow with the square of the points
+  for (let start = 0; start < count; start += CHUNK_SIZE) {
+    const size = Math.min(CHUNK_SIZE, count - start);
+    total += tf.tidy(() => {
+      const rows = points.slice(start, size);
+      const own = members.slice(start, size);
+      const ownSizes = own.mul(sizes).sum(1);
+      // the sum of the distances to the points of every cluster
+      const sums = getSquaredDistances(rows, points)
+        .sqrt()
+        .matMul(members);
+      const a = own
+        .mul(sums)
+        .sum(1)
+        .div(ownSizes.sub(1).maximum(1));
+      // the own cluster and the empty clusters are never the closest other cluster
+      const excluded = own.add(sizes.equal(0).toFloat()).minimum(1);
+      const b = sums
+        .div(sizes.maximum(1))
+        .add(excluded.mul(1e30))
+        .min(1);
+      const silhouettes = b.sub(a).div(tf.maximum(a, b).maximum(1e-12));
+      return silhouettes
+        .mul(ownSizes.greater(1).toFloat())
+        .sum()
+        .dataSync()[0];
+    });
+  }
+  tf.dispose([members, sizes]);
+
+  return total / count;
+}
+
+/**
+ * Formats the input of classify(): a point as an array or an object,
+ *   or an array of points.
+ * @param {array || object} value
+ * @return {object} { tensor: a tensor of the shape [points, dimensions], isBatch }
+ */
+function pointsToTensor(value) {
+  const isBatch = Array.isArray(value) && value.length > 0 && typeof value[0] === 'object';
+  const points = isBatch ? value : [value];
+  return {
+    tensor: tf.tensor2d(points.map(v => Object.values(v))),
+    isBatch,
+  };
+}
+
+export {
+  CHUNK_SIZE,
+  loadDataset,
+  getSquaredDistances,
+  getMembers,
+  getSilhouetteScore,
+  pointsToTensor,
+};
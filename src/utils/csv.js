@@ -0,0 +1,160 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+// CSV parsing following RFC 4180:
+// quoted fields can contain delimiters, quotes ("") and line breaks,
+// lines can end with \n or \r\n and blank lines are skipped
+
+const DEFAULTS = {
+  delimiter: ',',
+  quote: '"',
+  header: true, // true, false or an array of column names
+  columnTypes: {}, // { columnName: 'number' | 'string' }, other columns are inferred
+};
+
+const csvError = (line, message) => new Error(`CSV error on line ${line}: ${message}`);
+
+// Splits the text into records of { fields, line }
+const parseRecords = (text, delimiter, quote) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let isQuoted = false; // inside of a quoted field
+  let wasQuoted = false; // the current field started with a quote
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // skip blank lines
+    if (fields.length > 1 || field !== '' || wasQuoted) {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+    field = '';
+    wasQuoted = false;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (isQuoted) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+      } else if (char === quote) {
+        isQuoted = false;
+        i += 1;
+        const next = text[i];
+        if (next !== undefined && next !== delimiter && next !== '\n' && next !== '\r') {
+          throw csvError(line, `unexpected "${next}" after the closing quote`);
+        }
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+        i += 1;
+      }
+    } else if (char === quote && field === '' && !wasQuoted) {
+      isQuoted = true;
+      wasQuoted = true;
+      quoteLine = line;
+      i += 1;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+      wasQuoted = false;
+      i += 1;
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+      i += 1;
+    }
+  }
+
+  if (isQuoted) {
+    throw csvError(quoteLine, 'the quoted field is never closed');
+  }
+  endRecord();
+
+  return records;
+};
+
+const isNumeric = value => value.trim() !== '' && Number.isFinite(Number(value));
+
+// Gets the type of each column from the columnTypes or from the values
+const getColumnTypes = (columns, records, columnTypes) =>
+  columns.map((column, idx) => {
+    const type = columnTypes[column];
+    if (type !== undefined) {
+      if (type !== 'number' && type !== 'string') {
+        throw new Error(`the type of the column "${column}" must be "number" or "string"`);
+      }
+      return type;
+    }
+    // empty values are missing values and do not change the type
+    const values = records.map(record => record.fields[idx]).filter(value => value !== '');
+    return values.length > 0 && values.every(isNumeric) ? 'number' : 'string';
+  });
+
+/**
+ * Parses a csv string into an array of objects, one per row
+ * @param {string} text
+ * @param {object} options - { delimiter, quote, header, columnTypes }
+ * @return {object} { columns, entries }
+ */
+const parseCSV = (text, options = {}) => {
+  const { delimiter, quote, header, columnTypes } = { ...DEFAULTS, ...options };
+
+  if (delimiter.length !== 1 || quote.length !== 1 || delimiter === quote) {
+    throw new Error('the delimiter and the quote must be two different characters');
+  }
+
+  // remove the byte order mark that some spreadsheets add
+  const records = parseRecords(text.replace(/^\uFEFF/, ''), delimiter, quote);
+
+  let columns;
+  if (Array.isArray(header)) {
+    columns = header;
+  } else if (header) {
+    const headerRecord = records.shift();
+    columns = headerRecord ? headerRecord.fields.map(name => name.trim()) : [];
+  } else {
+    columns = records.length > 0 ? records[0].fields.map((field, idx) => `${idx}`) : [];
+  }
+
+  records.forEach(({ fields, line }) => {
+    if (fields.length !== columns.length) {
+      throw csvError(line, `expected ${columns.length} fields but found ${fields.length}`);
+    }
+  });
+
+  const types = getColumnTypes(columns, records, columnTypes);
+
+  const entries = records.map(({ fields, line }) => {
+    const row = {};
+    columns.forEach((column, idx) => {
+      const value = fields[idx];
+      if (types[idx] === 'number' && value !== '') {
+        if (!isNumeric(value)) {
+          throw csvError(line, `"${value}" in the column "${column}" is not a number`);
+        }
+        row[column] = Number(value);
+      } else {
+        row[column] = value;
+      }
+    });
+    return row;
+  });
+
+  return { columns, entries };
+};
+
+export default parseCSV;
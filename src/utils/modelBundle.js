@@ -0,0 +1,134 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+// A single file (.ml5) with the model topology, the weights as base64
+// and the metadata of a model, so it can be saved and loaded as one file
+
+import axios from 'axios';
+
+const BUNDLE_FORMAT = 'ml5-bundle';
+const BUNDLE_EXTENSION = '.ml5';
+const BUNDLE_SCHEMA_VERSION = 1;
+
+// migrations[n] upgrades a bundle of the schema version n to n + 1
+const migrations = {};
+
+const arrayBufferToBase64 = buffer => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // convert in chunks to stay below the maximum number of function arguments
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+const base64ToArrayBuffer = base64 => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Creates a bundle from the model artifacts of tf.io and the metadata
+ * @param {object} artifacts - { modelTopology, weightSpecs, weightData }
+ * @param {object} meta
+ * @return {object} the bundle, ready for JSON.stringify()
+ */
+const createBundle = (artifacts, meta = null) => ({
+  format: BUNDLE_FORMAT,
+  schemaVersion: BUNDLE_SCHEMA_VERSION,
+  createdAt: new Date().toISOString(),
+  modelTopology: artifacts.modelTopology,
+  weightSpecs: artifacts.weightSpecs,
+  weightData: arrayBufferToBase64(artifacts.weightData),
+  meta,
+});
+
+/**
+ * Upgrades a bundle of an older schema version to the current one
+ * @param {object} bundle
+ * @param {object} bundleMigrations - the upgrades by schema version, the migrations of ml5 by default
+ * @return {object}
+ */
+const migrateBundle = (bundle, bundleMigrations = migrations) => {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('the file is not a model bundle');
+  }
+  if (bundle.schemaVersion > BUNDLE_SCHEMA_VERSION) {
+    throw new Error(
+      `the bundle has the schema version ${bundle.schemaVersion}, this version of ml5 can load bundles up to version ${BUNDLE_SCHEMA_VERSION}`,
+    );
+  }
+
+  let migrated = bundle;
+  for (let version = bundle.schemaVersion; version < BUNDLE_SCHEMA_VERSION; version += 1) {
+    if (!bundleMigrations[version]) {
+      throw new Error(`the bundle has the schema version ${version}, which can not be upgraded`);
+    }
+    migrated = { ...bundleMigrations[version](migrated), schemaVersion: version + 1 };
+  }
+  return migrated;
+};
+
+/**
+ * Checks if the source of a model is a bundle:
+ * a path ending with .ml5, a File, Blob, ArrayBuffer or a parsed bundle
+ * @param {*} source
+ * @return {boolean}
+ */
+const isBundleSource = source => {
+  if (typeof source === 'string') {
+    return source.split(/[?#]/)[0].endsWith(BUNDLE_EXTENSION);
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return true;
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    return true;
+  }
+  return !!source && source.format === BUNDLE_FORMAT;
+};
+
+/**
+ * Reads a bundle from a path, a File, Blob, ArrayBuffer or a parsed bundle
+ * and upgrades it to the current schema version
+ * @param {*} source
+ * @return {object} { modelTopology, weightSpecs, weightData: ArrayBuffer, meta }
+ */
+const readBundle = async source => {
+  let bundle;
+
+  if (typeof source === 'string') {
+    const response = await axios.get(source, { responseType: 'text' });
+    bundle = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    bundle = JSON.parse(await source.text());
+  } else if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    bundle = JSON.parse(new TextDecoder().decode(source));
+  } else {
+    bundle = source;
+  }
+
+  const migrated = migrateBundle(bundle);
+
+  return {
+    ...migrated,
+    weightData: base64ToArrayBuffer(migrated.weightData),
+  };
+};
+
+export {
+  BUNDLE_EXTENSION,
+  BUNDLE_SCHEMA_VERSION,
+  createBundle,
+  migrateBundle,
+  isBundleSource,
+  readBundle,
+};
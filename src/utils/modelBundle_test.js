@@ -0,0 +1,105 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+const { modelBundle } = ml5.testingUtils;
+
+describe('modelBundle', () => {
+  const artifacts = {
+    modelTopology: { class_name: 'Sequential' },
+    weightSpecs: [{ name: 'dense/kernel', shape: [2, 1], dtype: 'float32' }],
+    weightData: new Float32Array([0.5, -1.25]).buffer,
+  };
+  const meta = { inputUnits: [2], outputUnits: 1 };
+
+  const getWeights = bundle => Array.from(new Float32Array(bundle.weightData));
+
+  describe('createBundle', () => {
+    it('should have the format, the schema version, the weights as base64 and the meta', () => {
+      const bundle = modelBundle.createBundle(artifacts, meta);
+
+      expect(bundle.format).toBe('ml5-bundle');
+      expect(bundle.schemaVersion).toBe(modelBundle.BUNDLE_SCHEMA_VERSION);
+      expect(typeof bundle.createdAt).toBe('string');
+      expect(bundle.modelTopology).toEqual(artifacts.modelTopology);
+      expect(bundle.weightSpecs).toEqual(artifacts.weightSpecs);
+      expect(typeof bundle.weightData).toBe('string');
+      expect(bundle.meta).toEqual(meta);
+      expect(JSON.parse(JSON.stringify(bundle))).toEqual(bundle);
+    });
+  });
+
+  describe('readBundle', () => {
+    it('should read a parsed bundle, a Blob and an ArrayBuffer', async () => {
+      const bundle = modelBundle.createBundle(artifacts, meta);
+      const json = JSON.stringify(bundle);
+
+      const sources = [
+        bundle,
+        new Blob([json], { type: 'application/json' }),
+        new TextEncoder().encode(json).buffer,
+      ];
+      const bundles = await Promise.all(sources.map(source => modelBundle.readBundle(source)));
+      bundles.forEach(read => {
+        expect(getWeights(read)).toEqual([0.5, -1.25]);
+        expect(read.weightSpecs).toEqual(artifacts.weightSpecs);
+        expect(read.meta).toEqual(meta);
+      });
+    });
+  });
+
+  describe('migrateBundle', () => {
+    it('should upgrade a bundle of an older schema version', () => {
+      const current = modelBundle.BUNDLE_SCHEMA_VERSION;
+      const bundle = {
+        ...modelBundle.createBundle(artifacts, null),
+        schemaVersion: current - 1,
+        metadata: meta,
+      };
+      // the older version kept the meta as metadata
+      const migrations = {
+        [current - 1]: ({ metadata, ...rest }) => ({ ...rest, meta: metadata }),
+      };
+
+      const migrated = modelBundle.migrateBundle(bundle, migrations);
+
+      expect(migrated.schemaVersion).toBe(current);
+      expect(migrated.meta).toEqual(meta);
+      expect(migrated.metadata).toBeUndefined();
+      expect(bundle.schemaVersion).toBe(current - 1);
+    });
+
+    it('should keep a bundle of the current schema version', () => {
+      const bundle = modelBundle.createBundle(artifacts, meta);
+
+      expect(modelBundle.migrateBundle(bundle)).toEqual(bundle);
+    });
+
+    it('should throw for other files, newer schema versions and versions without a migration', () => {
+      const bundle = modelBundle.createBundle(artifacts, meta);
+      const current = modelBundle.BUNDLE_SCHEMA_VERSION;
+
+      expect(() => modelBundle.migrateBundle({ format: 'other' })).toThrowError(/not a model bundle/);
+      expect(() => modelBundle.migrateBundle({ ...bundle, schemaVersion: current + 1 })).toThrowError(
+        /up to version/,
+      );
+      expect(() => modelBundle.migrateBundle({ ...bundle, schemaVersion: current - 1 }, {})).toThrowError(
+        /can not be upgraded/,
+      );
+    });
+  });
+
+  describe('isBundleSource', () => {
+    it('should find the bundles by their path, type or format', () => {
+      expect(modelBundle.isBundleSource('models/model.ml5')).toBe(true);
+      expect(modelBundle.isBundleSource('models/model.ml5?version=2')).toBe(true);
+      expect(modelBundle.isBundleSource('models/model.json')).toBe(false);
+      expect(modelBundle.isBundleSource(new Blob(['{}']))).toBe(true);
+      expect(modelBundle.isBundleSource(new ArrayBuffer(2))).toBe(true);
+      expect(modelBundle.isBundleSource(modelBundle.createBundle(artifacts, meta))).toBe(true);
+      expect(modelBundle.isBundleSource({ model: 'model.json' })).toBe(false);
+      expect(modelBundle.isBundleSource(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// Copyright (c) 2020 ml5
+//
+// This software is released under the MIT License.
+// https://opensource.org/licenses/MIT
+
+// Saves models in the browser instead of downloading them,
+// with urls like indexeddb://name or localstorage://name.
+// Every model is saved as a record of { type, savedAt, data },
+// the data is saved as JSON so both storages behave the same
+
+const STORAGE_URL = /^(indexeddb|localstorage):\/\/(.+)$/i;
+const DATABASE_NAME = 'ml5';
+const STORE_NAME = 'models';
+const LOCAL_STORAGE_PREFIX = 'ml5_model/';
+
+/**
+ * Checks if the path is a url of the model storage
+ * @param {*} path
+ * @return {boolean}
+ */
+const isStorageUrl = path => typeof path === 'string' && STORAGE_URL.test(path);
+
+const parseStorageUrl = url => {
+  const match = STORAGE_URL.exec(url);
+  if (!match) {
+    throw new Error(`"${url}" is not a storage url. Use "indexeddb://name" or "localstorage://name"`);
+  }
+  return { storage: match[1].toLowerCase(), name: match[2] };
+};
+
+/**
+ * ////////////////////////////////////////////////
+ * IndexedDB
+ * ////////////////////////////////////////////////
+ */
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this environment'));
+      return;
+    }
+    const request = indexedDB.open(DATABASE_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// runs the operation on the object store and resolves with the result of its request
+const runTransaction = async (mode, operation) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const indexedDBStorage = {
+  save: record => runTransaction('readwrite', store => store.put(record)),
+  load: name => runTransaction('readonly', store => store.get(name)),
+  list: () => runTransaction('readonly', store => store.getAll()),
+  remove: name => runTransaction('readwrite', store => store.delete(name)),
+};
+
+/**
+ * ////////////////////////////////////////////////
+ * localStorage
+ * ////////////////////////////////////////////////
+ */
+
+const getLocalStorage = () => {
+  if (typeof localStorage === 'undefined') {
+    throw new Error('localStorage is not available in this environment');
+  }
+  return localStorage;
+};
+
+const localStorageStorage = {
+  save: async record => {
+    try {
+      getLocalStorage().setItem(`${LOCAL_STORAGE_PREFIX}${record.name}`, JSON.stringify(record));
+    } catch (error) {
+      if (error.name === 'QuotaExceededError') {
+        throw new Error('the model is too big for localStorage. Use "indexeddb://" instead');
+      }
+      throw error;
+    }
+  },
+  load: async name => {
+    const item = getLocalStorage().getItem(`${LOCAL_STORAGE_PREFIX}${name}`);
+    return item === null ? undefined : JSON.parse(item);
+  },
+  list: async () => {
+    const storage = getLocalStorage();
+    return [...new Array(storage.length).keys()]
+      .map(idx => storage.key(idx))
+      .filter(key => key.startsWith(LOCAL_STORAGE_PREFIX))
+      .map(key => JSON.parse(storage.getItem(key)));
+  },
+  remove: async name => {
+    getLocalStorage().removeItem(`${LOCAL_STORAGE_PREFIX}${name}`);
+  },
+};
+
+const STORAGES = {
+  indexeddb: indexedDBStorage,
+  localstorage: localStorageStorage,
+};
+
+/**
+ * ////////////////////////////////////////////////
+ * Saving / loading
+ * ////////////////////////////////////////////////
+ */
+
+/**
+ * Saves the data of a model
+ * @param {string} url - indexeddb://name or localstorage://name
+ * @param {string} type - the kind of model, e.g. 'neuralNetwork'
+ * @param {object} data - the model and its metadata, anything that works with JSON.stringify()
+ */
+const saveToStorage = async (url, type, data) => {
+  const { storage, name } = parseStorageUrl(url);
+  await STORAGES[storage].save({
+    name,
+    type,
+    savedAt: new Date().toISOString(),
+    data: JSON.stringify(data),
+  });
+};
+
+/**
+ * Loads the data of a model
+ * @param {string} url - indexeddb://name or localstorage://name
+ * @param {string} type - the kind of model that is expected
+ * @return {object} the data that was saved
+ */
+const loadFromStorage = async (url, type) => {
+  const { storage, name } = parseStorageUrl(url);
+  const record = await STORAGES[storage].load(name);
+
+  if (!record) {
+    throw new Error(`there is no model saved at "${url}"`);
+  }
+  if (record.type !== type) {
+    throw new Error(`the model saved at "${url}" is a ${record.type} and not a ${type}`);
+  }
+  return JSON.parse(record.data);
+};
+
+/**
+ * Lists the models saved in IndexedDB and localStorage.
+ * A storage that is not available is skipped
+ * @return {Array} [{ url, type, savedAt }]
+ */
+const listSavedModels = async () => {
+  const lists = await Promise.all(
+    Object.keys(STORAGES).map(storage =>
+      STORAGES[storage]
+        .list()
+        .then(records =>
+          records.map(({ name, type, savedAt }) => ({ url: `${storage}://${name}`, type, savedAt })),
+        )
+        .catch(() => []),
+    ),
+  );
+  return lists.flat();
+};
+
+/**
+ * Deletes a saved model
+ * @param {string} url - indexeddb://name or localstorage://name
+ */
+const deleteSavedModel = async url => {
+  const { storage, name } = parseStorageUrl(url);
+  await STORAGES[storage].remove(name);
+};
+
+export { isStorageUrl, saveToStorage, loadFromStorage, listSavedModels, deleteSavedModel };
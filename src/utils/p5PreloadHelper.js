@@ -38,6 +38,8 @@ export default function registerPreload(obj) {
         return null;
       }]);
     };
+    // keep the helpers that are attached to the function, like kmeans.findK
+    Object.assign(preloadFn[key], fn);
     window.p5.prototype.registerPreloadMethod(`${key}`, obj);
   });
 
@@ -5,11 +5,105 @@
 
 // Random
 
+// All of the random numbers of ml5 come from this generator.
+// It is Math.random until a seed is set with setSeed()
+let generator = Math.random;
+let currentSeed = null;
+
+// mulberry32, a small seeded generator of numbers between 0 (inclusive) and 1 (exclusive)
+/* eslint-disable no-bitwise */
+const mulberry32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+/* eslint-enable no-bitwise */
+
+// Seeds the generator, null goes back to Math.random
+const setSeed = (seed = null) => {
+  if (seed === null) {
+    generator = Math.random;
+    currentSeed = null;
+    return;
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error(`the seed must be an integer, got ${seed}`);
+  }
+  generator = mulberry32(seed);
+  currentSeed = seed;
+};
+
+// Returns the last seed of setSeed() or null
+const getSeed = () => currentSeed;
+
+// Creates a seeded generator with its own state, for the models that keep drawing
+// random numbers with the seed of their options, see withGenerator()
+const createGenerator = (seed) => {
+  if (!Number.isInteger(seed)) {
+    throw new Error(`the seed must be an integer, got ${seed}`);
+  }
+  return { seed, next: mulberry32(seed) };
+};
+
+// Calls fn with the random numbers of ml5 coming from the generator of createGenerator()
+// and restores the previous generator once fn returns. Without a generator fn uses the generator of setSeed().
+// fn must be synchronous, so other models never draw from the generator: work that goes on
+// asynchronously gets the generator passed along and calls withGenerator() again for every synchronous part
+const withGenerator = (localGenerator, fn) => {
+  if (localGenerator === null) return fn();
+
+  const previousGenerator = generator;
+  const previousSeed = currentSeed;
+  generator = localGenerator.next;
+  currentSeed = localGenerator.seed;
+  try {
+    return fn();
+  } finally {
+    generator = previousGenerator;
+    currentSeed = previousSeed;
+  }
+};
+
+// Creates a generator of the seed, or null for a seed of null or undefined
+// so the generator of setSeed() is used
+const createSeedGenerator = (seed) =>
+  (seed === null || seed === undefined ? null : createGenerator(seed));
+
+// Calls the synchronous fn with a new generator of the seed, like withGenerator().
+// A seed of null or undefined leaves the generator of setSeed()
+const withSeed = (seed, fn) => withGenerator(createSeedGenerator(seed), fn);
+
+// Returns a random number between 0 (inclusive) and 1 (exclusive)
+const random = () => generator();
+
+// Returns a seed for the random ops of tfjs, like tf.randomUniform(shape, min, max, dtype, seed).
+// It is undefined without a seed, so tfjs picks its own. tfjs ignores a seed of 0
+const randomTfSeed = () => (currentSeed === null ? undefined : Math.floor(generator() * 2147483646) + 1);
+
+// Calls fn with Math.random replaced by the seeded generator, for tfjs functions
+// that do not take a seed but pick one with Math.random, like the initializers of the layers.
+// fn must be synchronous
+const withSeededMathRandom = (fn) => {
+  if (currentSeed === null) return fn();
+
+  const mathRandom = Math.random;
+  Math.random = generator;
+  try {
+    return fn();
+  } finally {
+    Math.random = mathRandom;
+  }
+};
+
 // Returns a random number between min (inclusive) and max (exclusive)
-const randomFloat = (min = 0, max = 1) => (Math.random() * (max - min)) + min;
+const randomFloat = (min = 0, max = 1) => (random() * (max - min)) + min;
 
 // Returns a random integer between min (inclusive) and max (inclusive)
-const randomInt = (min = 0, max = 1) => Math.floor(Math.random() * ((max - min) + 1)) + min;
+const randomInt = (min = 0, max = 1) => Math.floor(random() * ((max - min) + 1)) + min;
 
 // Random Number following a normal dist.
 // Taken from https://github.com/processing/p5.js/blob/master/src/math/random.js#L168
@@ -41,15 +135,40 @@ const randomGaussian = (mean = 0, sd = 1) => {
 const randomSample = (arr, k, withReplacement = false) => {
   let sample;
   if (withReplacement === true) {  // sample with replacement
-    sample = Array.from({length: k}, () => arr[Math.floor(Math.random() * arr.length)]);
+    sample = Array.from({length: k}, () => arr[Math.floor(random() * arr.length)]);
   } else { // sample without replacement
     if (k > arr.length) {
       throw new RangeError('Sample size must be less than or equal to array length when sampling without replacement.')
     }
-    sample = arr.map(a => [a, Math.random()]).sort((a, b) => {
+    sample = arr.map(a => [a, random()]).sort((a, b) => {
       return a[1] < b[1] ? -1 : 1;}).slice(0, k).map(a => a[0]); 
   };
   return sample;
 };
 
-export { randomFloat, randomInt, randomGaussian, randomSample };
+// Shuffles an array in place (Fisher-Yates) and returns it
+const shuffle = (arr) => {
+  for (let i = arr.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    // eslint-disable-next-line no-param-reassign
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+export {
+  setSeed,
+  getSeed,
+  createGenerator,
+  createSeedGenerator,
+  withGenerator,
+  withSeed,
+  random,
+  randomTfSeed,
+  withSeededMathRandom,
+  randomFloat,
+  randomInt,
+  randomGaussian,
+  randomSample,
+  shuffle,
+};
@@ -5,9 +5,11 @@
 
 // Utils for sampling
 
+import { random } from './random';
+
 // Sample from a distrubution
 const sampleFromDistribution = (input) => {
-  const randomValue = Math.random();
+  const randomValue = random();
   let sum = 0;
   let result;
   for (let j = 0; j < input.length; j += 1) {
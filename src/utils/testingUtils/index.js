@@ -1,3 +1,7 @@
+import * as modelBundle from "../modelBundle";
+
+// the helpers of the .ml5 bundles, to test them without downloading files
+export { modelBundle };
 
 export const getRobin = async () => {
   const img = new Image();